@@ -0,0 +1,122 @@
+/**
+ * Workbook proxy for the endorsement dashboard.
+ *
+ * Holds the Google Sheets credentials server-side and exposes the workbook as
+ * GET /api/workbook (add ?refresh=1 to bypass the cache). The Vite dev server
+ * proxies /api to this process, see vite.config.js.
+ *
+ * Environment:
+ *   GOOGLE_SHEET_ID   spreadsheet id (required)
+ *   GOOGLE_API_KEY    API key or empty when the upstream does not need one
+ *   SHEETS_API_URL    upstream base URL, defaults to the Google Sheets API;
+ *                     point it at server/mockSheetsApi.js for local testing
+ *   CACHE_TTL_MS      how long a good workbook is reused (default 5 minutes)
+ *   PORT              listen port (default 3001)
+ *
+ * Alert webhook (see webhookNotifier.js), off unless WEBHOOK_URL is set:
+ *   WEBHOOK_URL         endpoint fired alerts are POSTed to; point it at
+ *                       server/mockWebhook.js for local testing
+ *   DASHBOARD_URL       dashboard address used for the alert links
+ *   ALERT_RULES_FILE    rules JSON (as exported from the alert center),
+ *                       defaults to src/alertRules.json
+ *   WEBHOOK_STATE_FILE  file that remembers delivered alerts across restarts
+ *   ALERT_POLL_MS       also request the workbook on this interval (it reloads
+ *                       once CACHE_TTL_MS has passed), so alerts go out when
+ *                       no dashboard is open (default off)
+ *   COLUMN_MAPPING_FILE, DATE_FORMAT
+ *                       the dashboard's column mapping overrides and date
+ *                       order, so alerts read the same columns and dates
+ *                       (see sheetSettings.js)
+ */
+
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { createWorkbookService } from './workbookService.js';
+import { createWebhookNotifier } from './webhookNotifier.js';
+import { loadSheetSettingsFromEnv } from './sheetSettings.js';
+import { SHEETS_API_URL } from '../src/googleSheets.js';
+import { buildDatasetsFromValues } from '../src/sheetValues.js';
+import { evaluateAlerts, getDefaultAlertRules, validateAlertRules } from '../src/alerts.js';
+
+const PORT = parseInt(process.env.PORT || '3001', 10);
+const CACHE_TTL_MS = parseInt(process.env.CACHE_TTL_MS || '300000', 10);
+const ALERT_POLL_MS = parseInt(process.env.ALERT_POLL_MS || '0', 10);
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+// Checks the alert rules on every freshly fetched workbook and sends what fired.
+// `sheetSettings` is the dashboard's { mapping, dateFormat } (see sheetSettings.js).
+export const createAlertWebhook = ({ rules, notifier, sheetSettings = {}, log = console }) => async ({ sheets }) => {
+  const alerts = evaluateAlerts(buildDatasetsFromValues(sheets, sheetSettings), rules);
+  const { sent, skipped, failed } = await notifier.notify(alerts);
+  log.log(`Alerts: ${alerts.length} firing, ${sent.length} sent, ${skipped} already sent, ${failed.length} failed`);
+};
+
+export const createServer = (workbookService) => http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  if (req.method !== 'GET') {
+    sendJson(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  if (url.pathname === '/api/health') {
+    sendJson(res, 200, { ok: true });
+    return;
+  }
+
+  if (url.pathname === '/api/workbook') {
+    try {
+      const workbook = await workbookService.getWorkbook({ refresh: url.searchParams.has('refresh') });
+      sendJson(res, 200, workbook);
+    } catch (err) {
+      sendJson(res, 502, { error: err.message || 'Error fetching workbook' });
+    }
+    return;
+  }
+
+  sendJson(res, 404, { error: 'Not found' });
+});
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  if (!process.env.GOOGLE_SHEET_ID) {
+    console.error('GOOGLE_SHEET_ID is not set');
+    process.exit(1);
+  }
+
+  const onLoad = process.env.WEBHOOK_URL
+    ? createAlertWebhook({
+      rules: process.env.ALERT_RULES_FILE
+        ? validateAlertRules(JSON.parse(readFileSync(process.env.ALERT_RULES_FILE, 'utf8')))
+        : getDefaultAlertRules(),
+      sheetSettings: loadSheetSettingsFromEnv(),
+      notifier: createWebhookNotifier({
+        url: process.env.WEBHOOK_URL,
+        dashboardUrl: process.env.DASHBOARD_URL || null,
+        stateFile: process.env.WEBHOOK_STATE_FILE || null,
+      }),
+    })
+    : null;
+
+  const workbookService = createWorkbookService({
+    spreadsheetId: process.env.GOOGLE_SHEET_ID,
+    apiKey: process.env.GOOGLE_API_KEY,
+    baseUrl: process.env.SHEETS_API_URL || SHEETS_API_URL,
+    cacheTtlMs: CACHE_TTL_MS,
+    onLoad,
+  });
+
+  if (onLoad && ALERT_POLL_MS > 0) {
+    const poll = () => workbookService.getWorkbook().catch(err => console.error(`Alert poll failed: ${err.message}`));
+    poll();
+    setInterval(poll, ALERT_POLL_MS);
+  }
+
+  createServer(workbookService).listen(PORT, () => {
+    console.log(`Workbook proxy listening on http://localhost:${PORT}/api/workbook`);
+  });
+}
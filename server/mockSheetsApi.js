@@ -0,0 +1,71 @@
+/**
+ * Local stand-in for the Google Sheets values:batchGet endpoint, backed by
+ * server/fixtures/workbook.json (sheet name -> rows). Lets the workbook proxy
+ * be exercised without a real spreadsheet:
+ *
+ *   npm run mock-sheets
+ *   SHEETS_API_URL=http://localhost:3002/v4/spreadsheets GOOGLE_SHEET_ID=fixture npm run server
+ *
+ * Environment:
+ *   PORT           listen port (default 3002)
+ *   FIXTURE_FILE   alternative fixture file
+ *   MOCK_API_KEY   when set, requests without this key get HTTP 403
+ */
+
+import http from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const PORT = parseInt(process.env.PORT || '3002', 10);
+const DEFAULT_FIXTURE_FILE = fileURLToPath(new URL('./fixtures/workbook.json', import.meta.url));
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+// Same error envelope as the Google APIs
+const sendError = (res, status, message) => {
+  sendJson(res, status, { error: { code: status, message, status: status === 403 ? 'PERMISSION_DENIED' : 'INVALID_ARGUMENT' } });
+};
+
+export const createMockSheetsApi = ({ fixtureFile = DEFAULT_FIXTURE_FILE, apiKey } = {}) => http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const match = /^\/v4\/spreadsheets\/([^/]+)\/values:batchGet$/.exec(url.pathname);
+
+  if (req.method !== 'GET' || !match) {
+    sendError(res, 404, 'Requested entity was not found.');
+    return;
+  }
+
+  if (apiKey && url.searchParams.get('key') !== apiKey) {
+    sendError(res, 403, 'The caller does not have permission');
+    return;
+  }
+
+  // Re-read on every request so fixtures can be edited while the server runs
+  const sheets = JSON.parse(await readFile(fixtureFile, 'utf8'));
+  const ranges = url.searchParams.getAll('ranges');
+  const unknown = ranges.find(range => !(range in sheets));
+
+  if (unknown) {
+    sendError(res, 400, `Unable to parse range: ${unknown}`);
+    return;
+  }
+
+  sendJson(res, 200, {
+    spreadsheetId: decodeURIComponent(match[1]),
+    valueRanges: ranges.map(range => ({
+      range: `${range}!A1:Z${sheets[range].length}`,
+      majorDimension: 'ROWS',
+      ...(sheets[range].length > 0 ? { values: sheets[range] } : {}),
+    })),
+  });
+});
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createMockSheetsApi({ fixtureFile: process.env.FIXTURE_FILE || DEFAULT_FIXTURE_FILE, apiKey: process.env.MOCK_API_KEY })
+    .listen(PORT, () => {
+      console.log(`Mock Sheets API listening on http://localhost:${PORT}/v4/spreadsheets`);
+    });
+}
@@ -0,0 +1,83 @@
+/**
+ * Local stand-in for a chat/ops webhook, to exercise the alert notifier
+ * (server/webhookNotifier.js) without a real endpoint:
+ *
+ *   npm run mock-webhook
+ *   WEBHOOK_URL=http://localhost:3003/webhook SHEETS_API_URL=http://localhost:3002/v4/spreadsheets GOOGLE_SHEET_ID=fixture npm run server
+ *
+ * POST /webhook logs and keeps the JSON body; GET /webhook lists the bodies
+ * received so far.
+ *
+ * Environment:
+ *   PORT         listen port (default 3003)
+ *   FAIL_FIRST   answer the first N POSTs with HTTP 503, to exercise retries
+ */
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+const PORT = parseInt(process.env.PORT || '3003', 10);
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+export const createMockWebhook = ({ failFirst = 0, log = console } = {}) => {
+  const received = [];
+  let posts = 0;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname !== '/webhook') {
+      sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    if (req.method === 'GET') {
+      sendJson(res, 200, received);
+      return;
+    }
+
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    posts++;
+    if (posts <= failFirst) {
+      log.log(`POST #${posts}: failing with HTTP 503 (FAIL_FIRST=${failFirst})`);
+      sendJson(res, 503, { error: 'Service unavailable' });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(await readBody(req));
+    } catch {
+      sendJson(res, 400, { error: 'Body is not JSON' });
+      return;
+    }
+    received.push(payload);
+    log.log(`POST #${posts}: ${payload.text || JSON.stringify(payload)}`);
+    sendJson(res, 200, { ok: true });
+  });
+
+  return Object.assign(server, { received });
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createMockWebhook({ failFirst: parseInt(process.env.FAIL_FIRST || '0', 10) })
+    .listen(PORT, () => {
+      console.log(`Mock webhook listening on http://localhost:${PORT}/webhook`);
+    });
+}
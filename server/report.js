@@ -0,0 +1,171 @@
+/**
+ * Month-end report without the dashboard: loads the workbook from a local
+ * .xlsx file or the workbook proxy, runs the dashboard's metrics for one month
+ * and product type (see src/monthlyReport.js) and writes them as JSON, one CSV
+ * per table and/or an Excel workbook laid out like the dashboard's exports.
+ *
+ *   npm run report -- --product "CREDIT CARD" --month 2026-10 --file workbook.xlsx
+ *   npm run report -- --product "CREDIT CARD" --format json,csv --out reports
+ *
+ * Options:
+ *   --product    product type (required)
+ *   --month      "YYYY-MM", defaults to the product type's latest month
+ *   --file       local .xlsx workbook; without it the workbook proxy is used
+ *   --url        workbook proxy endpoint (default WORKBOOK_API_URL or
+ *                http://localhost:3001/api/workbook, see server/index.js)
+ *   --view       count (default) or ob for the Outstanding Balance columns
+ *   --compare    months in the Monthly Comparison, the report's month included
+ *                (default 3); earlier months without DAILY or BOM rows are skipped
+ *   --alignment  calendar (default) or business days for the Monthly Comparison
+ *   --format     comma-separated json, csv, xlsx (default all three)
+ *   --out        output directory (default reports)
+ *
+ * COLUMN_MAPPING_FILE and DATE_FORMAT give it the dashboard's column mapping
+ * overrides and date order, as for the proxy (see sheetSettings.js).
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import * as XLSX from 'xlsx';
+import { SHEET_NAMES, buildLoadReport, describeRequiredSheetFailures } from '../src/sheetConfig.js';
+import { buildDatasetsFromValues } from '../src/sheetValues.js';
+import { buildColumnMapping, resolveSheetColumns } from '../src/columnMapping.js';
+import { withIsoDateCells } from '../src/dateCells.js';
+import { loadSheetSettingsFromEnv } from './sheetSettings.js';
+import { LOCAL_TARGETS } from '../src/targets.js';
+import { formatPeriod } from '../src/periods.js';
+import { buildMonthlyReport, toReportWorkbook, DEFAULT_COMPARE_MONTHS } from '../src/monthlyReport.js';
+import { buildExportWorkbook, getExportFileName, toCsv } from '../src/workbookExport.js';
+
+const DEFAULT_WORKBOOK_API_URL = process.env.WORKBOOK_API_URL || 'http://localhost:3001/api/workbook';
+const FORMATS = ['json', 'csv', 'xlsx'];
+const VIEW_MODES = ['count', 'ob'];
+const ALIGNMENTS = ['calendar', 'business'];
+
+// Sheet name -> rows of cells, the shape the proxy serves (see googleSheets.fetchSheetValues).
+// Date cells of the mapped date and month columns read as day keys, as in the dashboard's upload.
+const readWorkbookFile = async (file, mapping = buildColumnMapping({})) => {
+  const workbook = XLSX.read(await readFile(file), { type: 'buffer' });
+  const readValues = (name) => {
+    const sheet = workbook.Sheets[name];
+    const [headers = []] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false });
+    const columns = resolveSheetColumns(name, headers.map(String), mapping);
+    return XLSX.utils.sheet_to_json(withIsoDateCells(sheet, columns), { header: 1, raw: false });
+  };
+  return Object.fromEntries(SHEET_NAMES
+    .filter(name => workbook.SheetNames.includes(name))
+    .map(name => [name, readValues(name)]));
+};
+
+const fetchWorkbook = async (url, fetchImpl = fetch) => {
+  const response = await fetchImpl(url).catch(err => {
+    throw new Error(`Cannot reach the workbook proxy at ${url} (${err.message}); start it with npm run server or pass --file`);
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(`${url} answered HTTP ${response.status}${body.error ? `: ${body.error}` : ''}`);
+  return body.sheets;
+};
+
+/**
+ * Loads the datasets from `file` or the proxy at `url`: { datasets, sourceLabel }.
+ * `sheetSettings` is the dashboard's { mapping, dateFormat } (see sheetSettings.js).
+ * Targets fall back to src/targets.json without a TARGETS sheet, as in the dashboard.
+ */
+export const loadDatasets = async ({ file = null, url = DEFAULT_WORKBOOK_API_URL, sheetSettings = {}, fetchImpl = fetch } = {}) => {
+  const sheets = file ? await readWorkbookFile(file, sheetSettings.mapping) : await fetchWorkbook(url, fetchImpl);
+  const failures = describeRequiredSheetFailures(buildLoadReport(sheets));
+  if (failures.length > 0) throw new Error(`Cannot build the report: ${failures.join('; ')}`);
+
+  const datasets = buildDatasetsFromValues(sheets, sheetSettings);
+  if (!Array.isArray(sheets.TARGETS)) datasets.targetData = LOCAL_TARGETS;
+  return { datasets, sourceLabel: file ? path.basename(file) : url };
+};
+
+const latestMonth = (dailyData, productType) => dailyData
+  .filter(r => r['PRODUCT TYPE'] === productType && r.PERIOD)
+  .reduce((latest, r) => (r.PERIOD > latest ? r.PERIOD : latest), '');
+
+/**
+ * Builds the report and writes the requested formats to `out`; returns the
+ * paths written.
+ */
+export const writeMonthlyReport = async ({ datasets, sourceLabel, productType, month, viewMode, compareMonths, alignment, formats, out }) => {
+  const report = buildMonthlyReport(datasets, { month, productType, viewMode, compareMonths, alignment });
+  const workbookReport = toReportWorkbook(report, { sourceLabel });
+  const baseName = getExportFileName(['Monthly Report', productType, formatPeriod(month), viewMode === 'ob' ? 'OB' : null]).replace(/\.xlsx$/, '');
+  const generatedAt = new Date();
+  const written = [];
+  const write = async (fileName, contents) => {
+    const filePath = path.join(out, fileName);
+    await writeFile(filePath, contents);
+    written.push(filePath);
+  };
+
+  await mkdir(out, { recursive: true });
+  if (formats.includes('json')) {
+    await write(`${baseName}.json`, `${JSON.stringify({ generatedAt: generatedAt.toISOString(), source: sourceLabel, ...report }, null, 2)}\n`);
+  }
+  if (formats.includes('csv')) {
+    if (workbookReport.cards.length > 0) {
+      await write(`${baseName} - Summary.csv`, toCsv({ columns: [{ key: 'label', header: 'Metric' }, { key: 'value', header: 'Value' }], rows: workbookReport.cards }));
+    }
+    for (const table of workbookReport.tables) {
+      await write(`${baseName} - ${table.name}.csv`, toCsv(table));
+    }
+  }
+  if (formats.includes('xlsx')) {
+    const workbook = buildExportWorkbook(workbookReport, { exportedAt: generatedAt });
+    await write(`${baseName}.xlsx`, XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx', compression: true }));
+  }
+  return written;
+};
+
+const readOptions = (args) => {
+  const { values } = parseArgs({
+    args,
+    options: {
+      product: { type: 'string' },
+      month: { type: 'string' },
+      file: { type: 'string' },
+      url: { type: 'string', default: DEFAULT_WORKBOOK_API_URL },
+      view: { type: 'string', default: 'count' },
+      compare: { type: 'string', default: String(DEFAULT_COMPARE_MONTHS) },
+      alignment: { type: 'string', default: 'calendar' },
+      format: { type: 'string', default: FORMATS.join(',') },
+      out: { type: 'string', default: 'reports' },
+    },
+  });
+
+  const formats = values.format.split(',').map(format => format.trim().toLowerCase()).filter(Boolean);
+  const compareMonths = parseInt(values.compare, 10);
+  if (!values.product) throw new Error('--product is required');
+  if (values.month && !/^\d{4}-\d{2}$/.test(values.month)) throw new Error(`--month must be YYYY-MM, got "${values.month}"`);
+  if (!VIEW_MODES.includes(values.view)) throw new Error(`--view must be one of ${VIEW_MODES.join(', ')}`);
+  if (!ALIGNMENTS.includes(values.alignment)) throw new Error(`--alignment must be one of ${ALIGNMENTS.join(', ')}`);
+  if (!(compareMonths >= 1)) throw new Error('--compare must be a whole number of months, at least 1');
+  if (formats.length === 0 || formats.some(format => !FORMATS.includes(format))) throw new Error(`--format must list some of ${FORMATS.join(', ')}`);
+
+  return { ...values, viewMode: values.view, compareMonths, formats };
+};
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    const options = readOptions(process.argv.slice(2));
+    const { datasets, sourceLabel } = await loadDatasets({ file: options.file, url: options.url, sheetSettings: loadSheetSettingsFromEnv() });
+
+    const productTypes = [...new Set(datasets.dailyData.map(r => r['PRODUCT TYPE']).filter(Boolean))];
+    if (!productTypes.includes(options.product)) {
+      throw new Error(`No DAILY rows for product type "${options.product}" (available: ${productTypes.join(', ') || 'none'})`);
+    }
+    const month = options.month || latestMonth(datasets.dailyData, options.product);
+
+    const written = await writeMonthlyReport({ ...options, datasets, sourceLabel, productType: options.product, month });
+    console.log(`Monthly report for ${options.product}, ${formatPeriod(month)} (${sourceLabel}):`);
+    written.forEach(filePath => console.log(`  ${filePath}`));
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,25 @@
+/**
+ * The dashboard's sheet settings for code that reads the workbook outside the
+ * browser. The dashboard keeps its column mapping overrides and date order in
+ * localStorage; the server is given the same through the environment:
+ *
+ *   COLUMN_MAPPING_FILE  overrides JSON, as exported from the Column Mapping
+ *                        screen ({ SHEET: { FIELD: header } }); default none
+ *   DATE_FORMAT          auto (default), mdy or dmy, as picked on that screen
+ */
+
+import { readFileSync } from 'node:fs';
+import { buildColumnMapping, validateColumnOverrides } from '../src/columnMapping.js';
+import { DATE_FORMATS, DEFAULT_DATE_FORMAT } from '../src/dates.js';
+
+// { mapping, dateFormat }, the options of buildDatasetsFromValues (src/sheetValues.js)
+export const loadSheetSettings = ({ mappingFile = null, dateFormat = DEFAULT_DATE_FORMAT } = {}) => {
+  if (!DATE_FORMATS[dateFormat]) throw new Error(`DATE_FORMAT must be one of ${Object.keys(DATE_FORMATS).join(', ')}, got "${dateFormat}"`);
+  const overrides = mappingFile ? validateColumnOverrides(JSON.parse(readFileSync(mappingFile, 'utf8'))) : {};
+  return { mapping: buildColumnMapping(overrides), dateFormat };
+};
+
+export const loadSheetSettingsFromEnv = (env = process.env) => loadSheetSettings({
+  mappingFile: env.COLUMN_MAPPING_FILE || null,
+  dateFormat: env.DATE_FORMAT || DEFAULT_DATE_FORMAT,
+});
@@ -0,0 +1,132 @@
+/**
+ * Pushes fired alerts (see src/alerts.js) to a webhook, once per breach.
+ *
+ * Every alert is POSTed on its own as JSON (see buildWebhookPayload). Network
+ * errors, HTTP 429 and 5xx responses are retried with exponential backoff;
+ * any other response gives up until the next refresh. Delivered alert ids are
+ * remembered, in memory and in `stateFile` when one is given, so an alert that
+ * keeps firing on later refreshes is not sent again.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { buildUrlSearch } from '../src/urlState.js';
+
+// Delivered ids are forgotten after this long, by when their month is long over
+const SENT_RETENTION_MS = 62 * 24 * 60 * 60 * 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryable = (status) => status === 429 || status >= 500;
+
+/**
+ * The JSON body sent for an alert. `text` is a one-line summary for chat tools
+ * that only show that field; `link` opens the dashboard on the breach.
+ */
+export const buildWebhookPayload = (alert, dashboardUrl) => {
+  const link = dashboardUrl ? `${dashboardUrl}${buildUrlSearch(alert.view)}` : null;
+  return {
+    event: 'alert.fired',
+    alertId: alert.id,
+    rule: { id: alert.ruleId, name: alert.ruleName, type: alert.type, threshold: alert.threshold },
+    scope: alert.scope,
+    ...(alert.scope === 'campaign' ? { client: alert.subject } : { productType: alert.subject }),
+    period: alert.period,
+    day: alert.day,
+    message: alert.message,
+    metrics: alert.metrics,
+    link,
+    text: `${alert.subject}: ${alert.message}${link ? ` ${link}` : ''}`,
+  };
+};
+
+export const createWebhookNotifier = ({
+  url,
+  dashboardUrl = null,
+  stateFile = null,
+  maxAttempts = 4,
+  retryDelayMs = 1000,
+  timeoutMs = 10000,
+  fetchImpl = fetch,
+  sleep = wait,
+  log = console,
+}) => {
+  // Alert id -> ISO time it was delivered
+  let sent = null;
+  // Deliveries run one after another so overlapping refreshes cannot send twice
+  let queue = Promise.resolve();
+
+  const loadSent = async () => {
+    if (sent) return sent;
+    sent = {};
+    if (!stateFile) return sent;
+    try {
+      sent = JSON.parse(await readFile(stateFile, 'utf8')).sent || {};
+    } catch (err) {
+      if (err.code !== 'ENOENT') log.warn(`Ignoring unreadable webhook state file ${stateFile}: ${err.message}`);
+    }
+    return sent;
+  };
+
+  const storeSent = async () => {
+    const cutoff = Date.now() - SENT_RETENTION_MS;
+    sent = Object.fromEntries(Object.entries(sent).filter(([, sentAt]) => Date.parse(sentAt) >= cutoff));
+    if (stateFile) await writeFile(stateFile, JSON.stringify({ sent }, null, 2));
+  };
+
+  // Resolves once delivered; throws the last error when every attempt failed
+  const deliver = async (payload) => {
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let error;
+      try {
+        response = await fetchImpl(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(payload),
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        if (response.ok) return;
+        error = new Error(`Webhook returned HTTP ${response.status}`);
+      } catch (err) {
+        error = err;
+      }
+      if ((response && !isRetryable(response.status)) || attempt >= maxAttempts) throw error;
+      const retryAfter = response ? parseInt(response.headers.get('retry-after'), 10) : NaN;
+      await sleep(isNaN(retryAfter) ? retryDelayMs * 2 ** (attempt - 1) : retryAfter * 1000);
+    }
+  };
+
+  const send = async (alerts) => {
+    const delivered = await loadSent();
+    const result = { sent: [], skipped: 0, failed: [] };
+    for (const alert of alerts) {
+      if (delivered[alert.id]) {
+        result.skipped++;
+        continue;
+      }
+      try {
+        await deliver(buildWebhookPayload(alert, dashboardUrl));
+        delivered[alert.id] = new Date().toISOString();
+        result.sent.push(alert.id);
+      } catch (err) {
+        log.warn(`Webhook delivery failed for ${alert.id}: ${err.message}`);
+        result.failed.push({ id: alert.id, error: err.message });
+      }
+    }
+    if (result.sent.length > 0) await storeSent();
+    return result;
+  };
+
+  /**
+   * Sends the alerts that were not delivered before. Returns
+   * { sent: [ids], skipped: count, failed: [{ id, error }] }; failed alerts
+   * are tried again on the next call.
+   */
+  const notify = (alerts) => {
+    const run = queue.then(() => send(alerts));
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return { notify };
+};
@@ -0,0 +1,56 @@
+/**
+ * Loads the endorsement workbook from the Google Sheets API and keeps the last
+ * good copy in memory so the dashboard does not hit the API on every request.
+ */
+
+import { fetchSheetValues, SHEETS_API_URL } from '../src/googleSheets.js';
+import { SHEET_NAMES, buildLoadReport, describeRequiredSheetFailures } from '../src/sheetConfig.js';
+
+/**
+ * `onLoad({ sheets, fetchedAt })` is called after every good upstream fetch
+ * (e.g. to check alert rules); it runs in the background and its errors are
+ * only logged.
+ */
+export const createWorkbookService = ({ spreadsheetId, apiKey, baseUrl = SHEETS_API_URL, cacheTtlMs, fetchImpl = fetch, onLoad = null, log = console }) => {
+  let cache = null;
+  let inFlight = null;
+
+  const load = async () => {
+    const sheets = await fetchSheetValues({ spreadsheetId, apiKey, sheetNames: SHEET_NAMES, baseUrl, fetchImpl });
+    const failures = describeRequiredSheetFailures(buildLoadReport(sheets));
+    const fetchedAt = new Date().toISOString();
+
+    if (failures.length === 0) {
+      cache = { sheets, fetchedAt, expiresAt: Date.now() + cacheTtlMs };
+      if (onLoad) {
+        Promise.resolve()
+          .then(() => onLoad({ sheets, fetchedAt }))
+          .catch(err => log.error(`Workbook onLoad failed: ${err.message}`));
+      }
+      return { sheets, fetchedAt, cached: false, stale: false };
+    }
+
+    // Keep serving the last good workbook when the upstream fetch breaks
+    if (cache) {
+      return { sheets: cache.sheets, fetchedAt: cache.fetchedAt, cached: true, stale: true, upstreamErrors: failures };
+    }
+    return { sheets, fetchedAt, cached: false, stale: false };
+  };
+
+  /**
+   * Returns { sheets, fetchedAt, cached, stale }. `sheets` has the same shape as
+   * `fetchSheetValues`. Pass `refresh: true` to bypass the cache.
+   */
+  const getWorkbook = async ({ refresh = false } = {}) => {
+    if (!refresh && cache && cache.expiresAt > Date.now()) {
+      return { sheets: cache.sheets, fetchedAt: cache.fetchedAt, cached: true, stale: false };
+    }
+    // Concurrent requests share one upstream fetch
+    if (!inFlight) {
+      inFlight = load().finally(() => { inFlight = null; });
+    }
+    return inFlight;
+  };
+
+  return { getWorkbook };
+};
@@ -0,0 +1,260 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Bell, Check, RotateCcw, ExternalLink, Download, Upload, Save, RefreshCw } from 'lucide-react';
+import { RULE_TYPES, RULE_SCOPES, getAlertRules, getDefaultAlertRules, saveAlertRules, resetAlertRules, validateAlertRules, getAlertAcknowledgements, saveAlertAcknowledgements } from './alerts';
+import { formatPeriod } from './periods';
+import { downloadJson } from './download';
+
+const AlertRows = ({ rows }) => {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row.values)))];
+  return (
+    <table className="w-full border-collapse text-xs mt-2">
+      <thead>
+        <tr className="bg-gray-100">
+          <th className="border p-1 text-left">Sheet</th>
+          <th className="border p-1 text-right">Row</th>
+          {columns.map(column => <th key={column} className="border p-1 text-right">{column}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={`${row.sheet}-${row.rowNumber}`}>
+            <td className="border p-1">{row.sheet}</td>
+            <td className="border p-1 text-right">{row.rowNumber}</td>
+            {columns.map(column => <td key={column} className="border p-1 text-right">{row.values[column] ?? ''}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+/**
+ * Header alert center: the alerts fired on the last refresh (see alerts.js)
+ * with their triggering sheet rows and acknowledgement state, and an editor
+ * for the alert rules. Acknowledgements are kept per alert id in localStorage.
+ */
+export default function AlertCenter({ alerts, evaluatedAt, onRulesChange, onOpen }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [section, setSection] = useState('alerts');
+  const [acknowledgements, setAcknowledgements] = useState(() => getAlertAcknowledgements());
+  const [showAcknowledged, setShowAcknowledged] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [draftRules, setDraftRules] = useState(() => getAlertRules());
+  const [message, setMessage] = useState(null);
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const openCount = alerts.filter(alert => !acknowledgements[alert.id]).length;
+  const visibleAlerts = showAcknowledged ? alerts : alerts.filter(alert => !acknowledgements[alert.id]);
+
+  // Only acknowledgements of alerts that still fire are kept
+  const updateAcknowledgements = (changes) => {
+    const next = Object.fromEntries(
+      Object.entries({ ...acknowledgements, ...changes })
+        .filter(([id, acknowledgedAt]) => acknowledgedAt && alerts.some(alert => alert.id === id)),
+    );
+    saveAlertAcknowledgements(next);
+    setAcknowledgements(next);
+  };
+
+  const acknowledgeAll = () => {
+    const now = new Date().toISOString();
+    updateAcknowledgements(Object.fromEntries(alerts.filter(alert => !acknowledgements[alert.id]).map(alert => [alert.id, now])));
+  };
+
+  const setRule = (index, changes) => {
+    setDraftRules(draftRules.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+    setMessage(null);
+  };
+
+  const applyRules = (rules, text) => {
+    try {
+      const validated = validateAlertRules(rules);
+      saveAlertRules(validated);
+      setDraftRules(validated);
+      onRulesChange(validated);
+      setMessage({ type: 'info', text });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message || 'Invalid alert rules' });
+    }
+  };
+
+  const handleReset = () => {
+    resetAlertRules();
+    const defaults = getDefaultAlertRules();
+    setDraftRules(defaults);
+    onRulesChange(defaults);
+    setMessage({ type: 'info', text: 'Alert rules reset to the defaults.' });
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      applyRules(JSON.parse(await file.text()), `Imported and applied ${file.name}.`);
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message || 'Invalid alert rules file' });
+    }
+  };
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        title={openCount > 0 ? `${openCount} unacknowledged alert${openCount === 1 ? '' : 's'}` : 'No open alerts'}
+        className="relative px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2"
+      >
+        <Bell className="h-4 w-4" />
+        Alerts
+        {openCount > 0 && (
+          <span className="ml-1 px-1.5 min-w-[1.25rem] rounded-full bg-red-600 text-white text-xs font-semibold">{openCount}</span>
+        )}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 z-50 mt-2 w-[36rem] bg-white border border-gray-300 rounded shadow-lg p-3 text-gray-900">
+          <div className="flex items-center justify-between mb-3">
+            <div className="flex gap-2 text-sm">
+              <button onClick={() => setSection('alerts')} className={`px-2 py-1 rounded ${section === 'alerts' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`}>
+                Alerts ({alerts.length})
+              </button>
+              <button onClick={() => setSection('rules')} className={`px-2 py-1 rounded ${section === 'rules' ? 'bg-indigo-600 text-white' : 'bg-gray-100'}`}>
+                Rules ({draftRules.filter(rule => rule.enabled).length})
+              </button>
+            </div>
+            {evaluatedAt && <span className="text-xs text-gray-500">Checked {evaluatedAt.toLocaleTimeString()}</span>}
+          </div>
+
+          {section === 'alerts' ? (
+            <>
+              <div className="flex items-center justify-between mb-2 text-xs text-gray-600">
+                <label className="flex items-center gap-2">
+                  <input type="checkbox" checked={showAcknowledged} onChange={(e) => setShowAcknowledged(e.target.checked)} />
+                  Show acknowledged
+                </label>
+                <button onClick={acknowledgeAll} disabled={openCount === 0} className="text-indigo-600 hover:underline disabled:text-gray-400 disabled:no-underline">
+                  Acknowledge all
+                </button>
+              </div>
+              {visibleAlerts.length === 0 ? (
+                <p className="text-sm text-gray-500 py-4 text-center">
+                  {evaluatedAt ? 'No open alerts.' : 'Alerts are checked when the Google Sheets data or a workbook file loads.'}
+                </p>
+              ) : (
+                <ul className="divide-y border rounded max-h-96 overflow-y-auto">
+                  {visibleAlerts.map(alert => {
+                    const acknowledgedAt = acknowledgements[alert.id];
+                    return (
+                      <li key={alert.id} className={`p-2 ${acknowledgedAt ? 'bg-gray-50 text-gray-500' : ''}`}>
+                        <div className="flex items-start gap-2">
+                          <div className="flex-1 min-w-0">
+                            <p className="text-sm font-medium">
+                              {alert.subject} <span className="font-normal text-gray-500">· {alert.ruleName} · {formatPeriod(alert.period)}</span>
+                            </p>
+                            <p className={`text-xs ${acknowledgedAt ? '' : 'text-red-700'}`}>{alert.message}</p>
+                            {acknowledgedAt && <p className="text-xs">Acknowledged {new Date(acknowledgedAt).toLocaleString()}</p>}
+                            <button onClick={() => setExpandedId(expandedId === alert.id ? null : alert.id)} className="text-xs text-indigo-600 hover:underline">
+                              {expandedId === alert.id ? 'Hide' : 'Show'} {alert.rows.length} triggering row{alert.rows.length === 1 ? '' : 's'}
+                            </button>
+                          </div>
+                          <button onClick={() => { onOpen(alert.view); setIsOpen(false); }} title="Open in the dashboard" className="text-gray-400 hover:text-indigo-600">
+                            <ExternalLink className="h-4 w-4" />
+                          </button>
+                          {acknowledgedAt ? (
+                            <button onClick={() => updateAcknowledgements({ [alert.id]: null })} title="Reopen" className="text-gray-400 hover:text-gray-700">
+                              <RotateCcw className="h-4 w-4" />
+                            </button>
+                          ) : (
+                            <button onClick={() => updateAcknowledgements({ [alert.id]: new Date().toISOString() })} title="Acknowledge" className="text-gray-400 hover:text-green-600">
+                              <Check className="h-4 w-4" />
+                            </button>
+                          )}
+                        </div>
+                        {expandedId === alert.id && <AlertRows rows={alert.rows} />}
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </>
+          ) : (
+            <>
+              <ul className="divide-y border rounded max-h-96 overflow-y-auto mb-3">
+                {draftRules.map((rule, index) => (
+                  <li key={rule.id} className="p-2 text-sm">
+                    <label className="flex items-center gap-2 font-medium">
+                      <input type="checkbox" checked={rule.enabled} onChange={(e) => setRule(index, { enabled: e.target.checked })} />
+                      {rule.name}
+                    </label>
+                    <div className="flex items-center gap-3 mt-1 ml-6 text-xs text-gray-600">
+                      <span>{RULE_SCOPES[rule.scope]} · {RULE_TYPES[rule.type]}{rule.viewMode === 'ob' ? ' (OB)' : ''}</span>
+                      <label className="flex items-center gap-1">
+                        {rule.type === 'pendingAbove' ? 'Above %' : rule.type === 'netFlowBelow' ? 'Below' : 'Above'}
+                        <input
+                          type="number"
+                          step="any"
+                          value={rule.threshold}
+                          onChange={(e) => setRule(index, { threshold: e.target.value === '' ? '' : Number(e.target.value) })}
+                          className="w-20 p-1 border border-gray-300 rounded"
+                        />
+                      </label>
+                      {rule.type === 'netFlowBelow' && (
+                        <label className="flex items-center gap-1">
+                          Days
+                          <input
+                            type="number"
+                            min="1"
+                            step="1"
+                            value={rule.days}
+                            onChange={(e) => setRule(index, { days: e.target.value === '' ? '' : Number(e.target.value) })}
+                            className="w-14 p-1 border border-gray-300 rounded"
+                          />
+                        </label>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+
+              {message && (
+                <div className={`rounded p-2 mb-3 text-xs ${message.type === 'error' ? 'bg-red-50 border border-red-200 text-red-700' : 'bg-blue-50 border border-blue-200 text-blue-700'}`}>
+                  {message.text}
+                </div>
+              )}
+
+              <div className="flex gap-2 border-t pt-3">
+                <button onClick={() => applyRules(draftRules, 'Alert rules saved and checked against the loaded data.')} className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 flex items-center gap-2 text-sm">
+                  <Save className="h-4 w-4" />
+                  Save & Apply
+                </button>
+                <button onClick={handleReset} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm">
+                  <RefreshCw className="h-4 w-4" />
+                  Reset
+                </button>
+                <label className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm cursor-pointer">
+                  <Upload className="h-4 w-4" />
+                  Import JSON
+                  <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+                </label>
+                <button onClick={() => downloadJson(draftRules, 'alert-rules.json')} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm">
+                  <Download className="h-4 w-4" />
+                  Export JSON
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
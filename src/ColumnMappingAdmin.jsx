@@ -0,0 +1,171 @@
+import React, { useState, useMemo } from 'react';
+import { Download, Upload, Save, RefreshCw } from 'lucide-react';
+import { DEFAULT_COLUMN_MAPPING, buildColumnMapping, resolveSheetColumns, validateColumnOverrides } from './columnMapping';
+import { DATE_FORMATS, DEFAULT_DATE_FORMAT } from './dates';
+import { downloadJson } from './download';
+
+// Headers that differ from the defaults: { SHEET: { FIELD: header } }
+const getOverridesFromMapping = (mapping) => {
+  const overrides = {};
+  Object.entries(mapping).forEach(([sheet, fields]) => {
+    Object.entries(fields).forEach(([field, { header }]) => {
+      if (header !== DEFAULT_COLUMN_MAPPING[sheet]?.[field]?.header) {
+        overrides[sheet] = { ...overrides[sheet], [field]: header };
+      }
+    });
+  });
+  return overrides;
+};
+
+/**
+ * Admin screen for mapping logical fields to sheet headers. Shows, for every
+ * sheet, whether each mapped header exists in the currently loaded workbook.
+ * Also sets how slash dates in the sheets are read (see dates.js).
+ */
+export default function ColumnMappingAdmin({ mapping, dateFormat, sheetHeaders, onSave }) {
+  const [draft, setDraft] = useState(() => getOverridesFromMapping(mapping));
+  const [draftDateFormat, setDraftDateFormat] = useState(dateFormat);
+  const [message, setMessage] = useState(null);
+
+  const draftMapping = useMemo(() => buildColumnMapping(draft), [draft]);
+  const isDirty = JSON.stringify(draft) !== JSON.stringify(getOverridesFromMapping(mapping)) || draftDateFormat !== dateFormat;
+
+  const setHeader = (sheet, field, header) => {
+    const defaultHeader = DEFAULT_COLUMN_MAPPING[sheet][field].header;
+    const sheetOverrides = { ...draft[sheet] };
+    if (header === '' || header === defaultHeader) {
+      delete sheetOverrides[field];
+    } else {
+      sheetOverrides[field] = header;
+    }
+    const next = { ...draft, [sheet]: sheetOverrides };
+    if (Object.keys(sheetOverrides).length === 0) delete next[sheet];
+    setDraft(next);
+    setMessage(null);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      setDraft(validateColumnOverrides(JSON.parse(await file.text())));
+      setMessage({ type: 'info', text: `Imported ${file.name}. Review and click Save & Apply.` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message || 'Invalid column mapping file' });
+    }
+  };
+
+  const handleSave = () => {
+    onSave(draft, draftDateFormat);
+    setMessage({ type: 'info', text: 'Column mapping and date format saved and applied to the loaded workbook.' });
+  };
+
+  return (
+    <div className="bg-white rounded-lg p-6 shadow-sm border">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-xl font-bold">Column Mapping</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Map each field the dashboard reads to the header used in the sheet. Leave a header blank to use the default.
+          </p>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => { setDraft({}); setDraftDateFormat(DEFAULT_DATE_FORMAT); setMessage(null); }} className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm">
+            <RefreshCw className="h-4 w-4" />
+            Reset to Defaults
+          </button>
+          <label className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm cursor-pointer">
+            <Upload className="h-4 w-4" />
+            Import JSON
+            <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+          </label>
+          <button onClick={() => downloadJson(draft, 'column-mapping.json')} className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm">
+            <Download className="h-4 w-4" />
+            Export JSON
+          </button>
+          <button onClick={handleSave} disabled={!isDirty} className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 flex items-center gap-2 text-sm disabled:bg-gray-400">
+            <Save className="h-4 w-4" />
+            Save &amp; Apply
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <div className={`rounded p-3 mb-4 text-sm ${message.type === 'error' ? 'bg-red-50 border border-red-200 text-red-700' : 'bg-blue-50 border border-blue-200 text-blue-700'}`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="flex items-center gap-3 mb-6">
+        <label htmlFor="date-format" className="text-sm font-semibold text-gray-700">Date format in sheets</label>
+        <select
+          id="date-format"
+          value={draftDateFormat}
+          onChange={(e) => { setDraftDateFormat(e.target.value); setMessage(null); }}
+          className="p-1 border border-gray-300 rounded text-sm"
+        >
+          {Object.entries(DATE_FORMATS).map(([format, label]) => <option key={format} value={format}>{label}</option>)}
+        </select>
+        <span className="text-sm text-gray-500">
+          ISO dates (yyyy-mm-dd) and Excel date serials are always read as-is. Auto-detect flags dates like 03/04/2026 when the sheet gives no hint.
+        </span>
+      </div>
+
+      <div className="space-y-6">
+        {Object.keys(DEFAULT_COLUMN_MAPPING).map(sheet => {
+          const headers = sheetHeaders[sheet];
+          const columns = resolveSheetColumns(sheet, headers || [], draftMapping);
+          return (
+            <div key={sheet}>
+              <h3 className="text-sm font-semibold text-gray-700 mb-2">
+                {sheet}
+                {!headers && <span className="ml-2 text-xs font-normal text-gray-400">(sheet not loaded)</span>}
+              </h3>
+              <datalist id={`headers-${sheet}`}>
+                {(headers || []).map(h => <option key={h} value={h} />)}
+              </datalist>
+              <table className="w-full border-collapse text-sm">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="border p-2 text-left w-1/5">Field</th>
+                    <th className="border p-2 text-left">Description</th>
+                    <th className="border p-2 text-left w-1/4">Sheet Header</th>
+                    <th className="border p-2 text-left w-1/6">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {columns.map(column => (
+                    <tr key={column.field}>
+                      <td className="border p-2 font-medium">{column.field}</td>
+                      <td className="border p-2 text-gray-500">{column.description}{column.optional && ' (optional)'}</td>
+                      <td className="border p-2">
+                        <input
+                          type="text"
+                          list={`headers-${sheet}`}
+                          value={draft[sheet]?.[column.field] ?? ''}
+                          placeholder={DEFAULT_COLUMN_MAPPING[sheet][column.field].header}
+                          onChange={(e) => setHeader(sheet, column.field, e.target.value)}
+                          className="w-full p-1 border border-gray-300 rounded text-sm"
+                        />
+                      </td>
+                      <td className="border p-2">
+                        {!headers ? (
+                          <span className="text-gray-400">—</span>
+                        ) : column.found ? (
+                          <span className="text-green-600">✓ Found{column.resolvedHeader !== column.header && ` as "${column.resolvedHeader}"`}</span>
+                        ) : (
+                          <span className={column.optional ? 'text-gray-500' : 'text-red-600'}>✗ Not found</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
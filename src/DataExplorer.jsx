@@ -0,0 +1,280 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { ArrowUp, ArrowDown, Columns, X, FileDown } from 'lucide-react';
+import { getColumns, getColumnTypes, filterRows, sortRows, readCell } from './sheetGrid';
+import { formatPeriod } from './periods';
+import { exportWorkbook, getExportFileName } from './workbookExport';
+
+// Grid geometry: rows are a fixed height so only the visible ones are rendered
+const ROW_HEIGHT = 32;
+const GRID_HEIGHT = 560;
+const OVERSCAN_ROWS = 10;
+const ROW_NUMBER_WIDTH = 72;
+const COLUMN_WIDTH = 160;
+
+const DATASETS = [
+  { key: 'dailyData', sheet: 'DAILY' },
+  { key: 'campaignData', sheet: 'CAMPAIGN' },
+  { key: 'fieldEndoData', sheet: 'FIELD_ENDO' },
+  { key: 'perAreaData', sheet: 'PER_AREA' },
+];
+
+const EXPORT_FORMATS = { date: 'day', number: 'number', text: 'text' };
+
+// "contains \"bpi\"", "≥ 100, ≤ 500", "from 2026-10-01"
+const describeFilter = (filter) => [
+  filter.text && `contains "${filter.text}"`,
+  filter.min !== undefined && filter.min !== '' && `≥ ${filter.min}`,
+  filter.max !== undefined && filter.max !== '' && `≤ ${filter.max}`,
+  filter.from && `from ${filter.from}`,
+  filter.to && `to ${filter.to}`,
+].filter(Boolean).join(', ');
+
+const ColumnFilter = ({ type, filter = {}, onChange }) => {
+  const inputClass = 'w-full min-w-0 p-1 border border-gray-300 rounded text-xs font-normal';
+  if (type === 'date') {
+    return (
+      <div className="flex gap-1">
+        <input type="date" value={filter.from || ''} onChange={(e) => onChange({ ...filter, from: e.target.value })} className={inputClass} title="From" />
+        <input type="date" value={filter.to || ''} onChange={(e) => onChange({ ...filter, to: e.target.value })} className={inputClass} title="To" />
+      </div>
+    );
+  }
+  if (type === 'number') {
+    return (
+      <div className="flex gap-1">
+        <input type="number" value={filter.min ?? ''} onChange={(e) => onChange({ ...filter, min: e.target.value })} placeholder="Min" className={inputClass} />
+        <input type="number" value={filter.max ?? ''} onChange={(e) => onChange({ ...filter, max: e.target.value })} placeholder="Max" className={inputClass} />
+      </div>
+    );
+  }
+  return <input type="text" value={filter.text || ''} onChange={(e) => onChange({ text: e.target.value })} placeholder="Contains…" className={inputClass} />;
+};
+
+const ColumnPicker = ({ columns, hidden, onChange }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const pickerRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (pickerRef.current && !pickerRef.current.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const toggle = (column) => onChange(hidden.includes(column) ? hidden.filter(c => c !== column) : [...hidden, column]);
+
+  return (
+    <div className="relative" ref={pickerRef}>
+      <button onClick={() => setIsOpen(!isOpen)} className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm">
+        <Columns className="h-4 w-4" />
+        Columns ({columns.length - hidden.length}/{columns.length})
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 z-50 mt-1 w-64 bg-white border border-gray-300 rounded shadow-lg max-h-80 overflow-y-auto">
+          <div className="flex justify-between px-3 py-2 border-b text-xs">
+            <button onClick={() => onChange([])} className="text-indigo-600 hover:underline">Show all</button>
+            <button onClick={() => onChange(columns)} className="text-indigo-600 hover:underline">Hide all</button>
+          </div>
+          {columns.map(column => (
+            <label key={column} className="flex items-center px-3 py-1.5 hover:bg-gray-50 cursor-pointer text-sm">
+              <input type="checkbox" checked={!hidden.includes(column)} onChange={() => toggle(column)} className="mr-2 h-4 w-4 text-indigo-600 rounded" />
+              {column}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Data Explorer tab: the raw rows of a sheet in a virtualized grid with column
+ * sorting, per-column filters (see sheetGrid.js) and column hide/show. The
+ * dashboard's month, product type and client selections can be applied as
+ * presets on top of the column filters.
+ */
+export default function DataExplorer({ datasets, month, productType, client }) {
+  const [datasetKey, setDatasetKey] = useState(DATASETS[0].key);
+  const [presets, setPresets] = useState({ month: false, productType: false, client: false });
+  // Per dataset, so switching sheets keeps each one's grid settings
+  const [filtersByDataset, setFiltersByDataset] = useState({});
+  const [sortByDataset, setSortByDataset] = useState({});
+  const [hiddenByDataset, setHiddenByDataset] = useState({});
+  const [scrollTop, setScrollTop] = useState(0);
+  const gridRef = useRef(null);
+
+  const rows = useMemo(() => datasets[datasetKey] || [], [datasets, datasetKey]);
+  const columns = useMemo(() => getColumns(rows), [rows]);
+  const types = useMemo(() => getColumnTypes(rows, columns), [rows, columns]);
+  const hasPeriods = useMemo(() => rows.some(row => row.PERIOD), [rows]);
+  const filters = useMemo(() => filtersByDataset[datasetKey] || {}, [filtersByDataset, datasetKey]);
+  const sort = sortByDataset[datasetKey] || null;
+  const hidden = hiddenByDataset[datasetKey] || [];
+  const visibleColumns = columns.filter(column => !hidden.includes(column));
+
+  // Presets only apply to sheets that have the column
+  const availablePresets = {
+    month: Boolean(month) && hasPeriods,
+    productType: Boolean(productType) && columns.includes('PRODUCT TYPE'),
+    client: Boolean(client) && columns.includes('CAMPAIGN'),
+  };
+
+  const shownRows = useMemo(() => {
+    const preset = rows.filter(row => (
+      (!presets.month || !availablePresets.month || row.PERIOD === month)
+      && (!presets.productType || !availablePresets.productType || row['PRODUCT TYPE'] === productType)
+      && (!presets.client || !availablePresets.client || row.CAMPAIGN === client)
+    ));
+    return sortRows(filterRows(preset, filters, types), sort, types);
+  }, [rows, presets, availablePresets.month, availablePresets.productType, availablePresets.client, month, productType, client, filters, sort, types]);
+
+  // Back to the top whenever the rows shown change
+  useEffect(() => {
+    if (gridRef.current) gridRef.current.scrollTop = 0;
+    setScrollTop(0);
+  }, [shownRows]);
+
+  const setFilter = (column, filter) => setFiltersByDataset(prev => ({ ...prev, [datasetKey]: { ...filters, [column]: filter } }));
+
+  // Column header click: ascending, then descending, then sheet order
+  const toggleSort = (column) => {
+    const next = sort?.column !== column ? { column, direction: 'asc' } : sort.direction === 'asc' ? { column, direction: 'desc' } : null;
+    setSortByDataset(prev => ({ ...prev, [datasetKey]: next }));
+  };
+
+  const hasFilters = Object.values(filters).some(filter => Object.values(filter).some(value => value !== '' && value !== undefined));
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+  const lastRow = Math.min(shownRows.length, Math.ceil((scrollTop + GRID_HEIGHT) / ROW_HEIGHT) + OVERSCAN_ROWS);
+  const gridTemplateColumns = `${ROW_NUMBER_WIDTH}px repeat(${visibleColumns.length}, ${COLUMN_WIDTH}px)`;
+  const gridWidth = ROW_NUMBER_WIDTH + visibleColumns.length * COLUMN_WIDTH;
+
+  const presetLabels = {
+    month: `Month: ${formatPeriod(month)}`,
+    productType: `Product type: ${productType}`,
+    client: `Client: ${client}`,
+  };
+
+  // The rows and columns on screen, in their current order, with the filters on the cover sheet
+  const handleExport = () => {
+    const sheet = DATASETS.find(dataset => dataset.key === datasetKey).sheet;
+    exportWorkbook({
+      title: `MC03 Data Explorer · ${sheet}`,
+      filters: [
+        ['Sheet', sheet],
+        ['Rows', `${shownRows.length} of ${rows.length}`],
+        ...Object.keys(presetLabels).filter(key => presets[key] && availablePresets[key]).map(key => presetLabels[key].split(': ')),
+        ...Object.entries(filters).map(([column, filter]) => [column, describeFilter(filter)]).filter(([, text]) => text),
+        ...(sort ? [['Sorted by', `${sort.column} (${sort.direction === 'asc' ? 'ascending' : 'descending'})`]] : []),
+      ],
+      tables: [{
+        name: sheet,
+        columns: [
+          { key: 'ROW_NUMBER', header: 'Row', format: 'integer' },
+          ...visibleColumns.map(column => ({ key: column, header: column, format: EXPORT_FORMATS[types[column]], value: (row) => readCell(row, column, types) })),
+        ],
+        rows: shownRows,
+      }],
+    }, getExportFileName(['MC03 Data Explorer', sheet]));
+  };
+
+  return (
+    <div className="bg-white rounded-lg p-6 shadow-sm border">
+      <div className="flex flex-wrap justify-between items-start gap-4 mb-4">
+        <div>
+          <h2 className="text-xl font-bold">Data Explorer</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Showing {shownRows.length.toLocaleString()} of {rows.length.toLocaleString()} rows. Click a column header to sort.
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <select value={datasetKey} onChange={(e) => setDatasetKey(e.target.value)} className="p-2 border border-gray-300 rounded text-sm">
+            {DATASETS.map(({ key, sheet }) => (
+              <option key={key} value={key}>{sheet} ({(datasets[key] || []).length.toLocaleString()})</option>
+            ))}
+          </select>
+          {hasFilters && (
+            <button onClick={() => setFiltersByDataset(prev => ({ ...prev, [datasetKey]: {} }))} className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm">
+              <X className="h-4 w-4" />
+              Clear filters
+            </button>
+          )}
+          <ColumnPicker columns={columns} hidden={hidden} onChange={(next) => setHiddenByDataset(prev => ({ ...prev, [datasetKey]: next }))} />
+          <button onClick={handleExport} disabled={shownRows.length === 0} className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm disabled:text-gray-400" title="Export the rows and columns shown to Excel">
+            <FileDown className="h-4 w-4" />
+            Export
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-4 mb-4 text-sm">
+        <span className="text-gray-600">Dashboard filters:</span>
+        {Object.entries(presetLabels).map(([key, label]) => (
+          <label key={key} className={`flex items-center gap-2 ${availablePresets[key] ? 'cursor-pointer' : 'text-gray-400'}`}>
+            <input
+              type="checkbox"
+              checked={presets[key] && availablePresets[key]}
+              disabled={!availablePresets[key]}
+              onChange={(e) => setPresets(prev => ({ ...prev, [key]: e.target.checked }))}
+              className="h-4 w-4 text-indigo-600 rounded"
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500">No rows loaded for this sheet.</p>
+      ) : (
+        <div
+          ref={gridRef}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+          className="border rounded overflow-auto text-xs"
+          style={{ height: GRID_HEIGHT }}
+        >
+          <div className="sticky top-0 z-10 bg-gray-100 border-b" style={{ width: gridWidth }}>
+            <div className="grid" style={{ gridTemplateColumns }}>
+              <div className="p-2 font-semibold text-right border-r">Row</div>
+              {visibleColumns.map(column => (
+                <button
+                  key={column}
+                  onClick={() => toggleSort(column)}
+                  className="p-2 font-semibold text-left border-r flex items-center gap-1 hover:bg-gray-200"
+                  title={`${column} (${types[column]})`}
+                >
+                  <span className="truncate">{column}</span>
+                  {sort?.column === column && (sort.direction === 'asc' ? <ArrowUp className="h-3 w-3 shrink-0" /> : <ArrowDown className="h-3 w-3 shrink-0" />)}
+                </button>
+              ))}
+            </div>
+            <div className="grid" style={{ gridTemplateColumns }}>
+              <div className="border-r" />
+              {visibleColumns.map(column => (
+                <div key={column} className="p-1 border-r">
+                  <ColumnFilter type={types[column]} filter={filters[column]} onChange={(filter) => setFilter(column, filter)} />
+                </div>
+              ))}
+            </div>
+          </div>
+          <div className="relative" style={{ height: shownRows.length * ROW_HEIGHT, width: gridWidth }}>
+            {shownRows.slice(firstRow, lastRow).map((row, index) => (
+              <div
+                key={row.ROW_NUMBER}
+                className="grid absolute left-0 border-b hover:bg-indigo-50"
+                style={{ gridTemplateColumns, top: (firstRow + index) * ROW_HEIGHT, height: ROW_HEIGHT, width: gridWidth }}
+              >
+                <div className="px-2 flex items-center justify-end text-gray-500 border-r">{row.ROW_NUMBER}</div>
+                {visibleColumns.map(column => (
+                  <div key={column} className={`px-2 flex items-center border-r truncate ${types[column] === 'number' ? 'justify-end' : ''}`} title={String(row[column] ?? '')}>
+                    {row[column] ?? ''}
+                  </div>
+                ))}
+              </div>
+            ))}
+          </div>
+          {shownRows.length === 0 && <p className="p-4 text-sm text-gray-500">No rows match the filters.</p>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+import React, { useState, useMemo } from 'react';
+import { AlertCircle } from 'lucide-react';
+import { SHEET_NAMES } from './sheetConfig';
+import { ISSUE_TYPES, formatRowNumbers } from './dataQuality';
+
+// Rows rendered per sheet before the list is truncated
+const MAX_ISSUES_PER_SHEET = 200;
+
+/**
+ * Data Quality tab: issues found in the loaded sheets, grouped by sheet, with
+ * the sheet row numbers to fix.
+ */
+export default function DataQualityReport({ issues }) {
+  const [typeFilter, setTypeFilter] = useState('all');
+
+  const filtered = useMemo(() => (
+    typeFilter === 'all' ? issues : issues.filter(issue => issue.type === typeFilter)
+  ), [issues, typeFilter]);
+
+  const bySheet = useMemo(() => SHEET_NAMES
+    .map(sheet => ({ sheet, issues: filtered.filter(issue => issue.sheet === sheet) }))
+    .filter(group => group.issues.length > 0), [filtered]);
+
+  const countsByType = useMemo(() => {
+    const counts = {};
+    issues.forEach(issue => { counts[issue.type] = (counts[issue.type] || 0) + 1; });
+    return counts;
+  }, [issues]);
+
+  return (
+    <>
+      <div className="bg-white rounded-lg p-6 shadow-sm border mb-6">
+        <div className="flex justify-between items-center mb-4">
+          <div>
+            <h2 className="text-xl font-bold">Data Quality</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Rows that are read as 0, mis-dated or double counted. Row numbers refer to the rows in the sheet itself.
+            </p>
+          </div>
+          <div className="w-64">
+            <label className="block text-xs font-medium text-gray-600 mb-2">Issue Type</label>
+            <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)} className="w-full p-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500">
+              <option value="all">All issues ({issues.length})</option>
+              {Object.entries(ISSUE_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label} ({countsByType[type] || 0})</option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="grid grid-cols-4 gap-3">
+          {Object.entries(ISSUE_TYPES).map(([type, label]) => (
+            <button
+              key={type}
+              onClick={() => setTypeFilter(typeFilter === type ? 'all' : type)}
+              className={`border rounded p-3 text-left ${typeFilter === type ? 'border-indigo-500 bg-indigo-50' : 'hover:bg-gray-50'}`}
+            >
+              <div className="text-xs text-gray-600">{label}</div>
+              <div className={`text-2xl font-bold ${countsByType[type] ? 'text-orange-600' : 'text-green-600'}`}>{countsByType[type] || 0}</div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {bySheet.length === 0 ? (
+        <div className="bg-green-50 border border-green-200 rounded p-6 text-green-700 text-sm">
+          ✓ No data quality issues found{typeFilter !== 'all' && ` of type "${ISSUE_TYPES[typeFilter]}"`}.
+        </div>
+      ) : bySheet.map(({ sheet, issues: sheetIssues }) => (
+        <div key={sheet} className="bg-white rounded-lg p-6 shadow-sm border mb-6">
+          <h3 className="text-sm font-semibold text-gray-700 mb-3 uppercase flex items-center gap-2">
+            <AlertCircle className="h-4 w-4 text-orange-500" />
+            {sheet} — {sheetIssues.length} issue{sheetIssues.length === 1 ? '' : 's'}
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="w-full border-collapse">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="border p-2 text-left text-sm w-32">Row(s)</th>
+                  <th className="border p-2 text-left text-sm">Issue</th>
+                  <th className="border p-2 text-left text-sm">Column</th>
+                  <th className="border p-2 text-left text-sm">Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sheetIssues.slice(0, MAX_ISSUES_PER_SHEET).map((issue, index) => (
+                  <tr key={index} className="hover:bg-gray-50">
+                    <td className="border p-2 text-sm font-mono">{formatRowNumbers(issue.rows) || '—'}</td>
+                    <td className="border p-2 text-sm">{ISSUE_TYPES[issue.type]}</td>
+                    <td className="border p-2 text-sm">{issue.column}</td>
+                    <td className="border p-2 text-sm text-gray-600">{issue.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {sheetIssues.length > MAX_ISSUES_PER_SHEET && (
+            <p className="text-xs text-gray-500 mt-2">
+              Showing the first {MAX_ISSUES_PER_SHEET} of {sheetIssues.length} issues.
+            </p>
+          )}
+        </div>
+      ))}
+    </>
+  );
+}
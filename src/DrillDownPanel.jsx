@@ -0,0 +1,86 @@
+import React, { useEffect } from 'react';
+import { X, ExternalLink } from 'lucide-react';
+import { DERIVED_COLUMNS } from './sheetConfig';
+
+const SheetRows = ({ sheet, rows, onOpenClient }) => {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))].filter(column => !DERIVED_COLUMNS.includes(column));
+  const canOpenClient = onOpenClient && rows.some(row => row.CAMPAIGN && row.DAY);
+  return (
+    <div className="mb-6">
+      <h3 className="text-sm font-semibold text-gray-700 mb-2">{sheet} <span className="text-gray-400 font-normal">({rows.length} {rows.length === 1 ? 'row' : 'rows'})</span></h3>
+      {rows.length === 0 ? (
+        <p className="text-xs text-gray-500">No rows.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="border p-1 text-right">Row</th>
+                {columns.map(column => <th key={column} className="border p-1 text-left whitespace-nowrap">{column}</th>)}
+                {canOpenClient && <th className="border p-1" />}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.ROW_NUMBER} className="hover:bg-gray-50">
+                  <td className="border p-1 text-right text-gray-500">{row.ROW_NUMBER}</td>
+                  {columns.map(column => <td key={column} className="border p-1 whitespace-nowrap">{row[column] ?? ''}</td>)}
+                  {canOpenClient && (
+                    <td className="border p-1">
+                      {row.CAMPAIGN && row.DAY && (
+                        <button
+                          onClick={() => onOpenClient(row.CAMPAIGN, row.DAY)}
+                          className="flex items-center gap-1 text-indigo-600 hover:underline whitespace-nowrap"
+                          title={`Open the Client tab on ${row.CAMPAIGN} for this date`}
+                        >
+                          Client tab <ExternalLink className="h-3 w-3" />
+                        </button>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Side panel listing the sheet rows behind a clicked chart point, with every
+ * sheet column and the sheet row number. `drillDown` is { title, subtitle,
+ * groups: [{ sheet, rows }] }; rows with a CAMPAIGN link to the Client tab on
+ * that campaign and date through `onOpenClient(campaign, day)`.
+ */
+export default function DrillDownPanel({ drillDown, onClose, onOpenClient }) {
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="fixed inset-0 z-40 flex justify-end bg-black/20" onMouseDown={onClose}>
+      <div className="w-full max-w-3xl h-full bg-white shadow-xl flex flex-col" onMouseDown={(e) => e.stopPropagation()}>
+        <div className="flex justify-between items-start p-4 border-b">
+          <div>
+            <h2 className="text-lg font-bold">{drillDown.title}</h2>
+            {drillDown.subtitle && <p className="text-sm text-gray-500 mt-1">{drillDown.subtitle}</p>}
+          </div>
+          <button onClick={onClose} className="p-1 rounded hover:bg-gray-100" title="Close (Esc)">
+            <X className="h-5 w-5" />
+          </button>
+        </div>
+        <div className="flex-1 overflow-y-auto p-4">
+          {drillDown.groups.map(group => (
+            <SheetRows key={group.sheet} sheet={group.sheet} rows={group.rows} onOpenClient={onOpenClient} />
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,30 +1,66 @@
 /**
  * MC03 ENDORSEMENT FLOW MONITORING DASHBOARD
  * 
- * This dashboard automatically connects to Google Sheets and refreshes data every 30 seconds.
+ * This dashboard loads the Google Sheets workbook through the workbook proxy (server/index.js)
+ * and refreshes data every 30 seconds.
+ * A local .xlsx/.csv workbook can also be dropped onto the header (Data Source switcher) when
+ * the sheet is unreachable or when reviewing a month-end file.
+ * The last good Sheets dataset is kept in IndexedDB (offlineCache.js) and shown immediately on
+ * startup, flagged as stale, until a fresh load succeeds.
  * 
  * SETUP INSTRUCTIONS:
- * 1. Configure your Google Sheet ID and API Key in the section below
- * 2. Make sure your Google Sheet is shared with "Anyone with the link can view"
+ * 1. Set GOOGLE_SHEET_ID and GOOGLE_API_KEY for the workbook proxy and start it with `npm run server`
+ *    (the credentials stay on the server; the browser only calls /api/workbook)
+ * 2. Make sure the proxy's API key can read the Google Sheet
  * 3. Ensure Google Sheets API is enabled in your Google Cloud project
- * 4. Required sheets: DAILY, BOM, CAMPAIGN, CAMPAIGN_BOM
+ * 4. Required sheets: DAILY, BOM, CAMPAIGN, CAMPAIGN_BOM (the full sheet list lives in sheetConfig.js)
+ * 5. Month sheets (BOM, CAMPAIGN_BOM, FIELD_BOM, FIELD_ENDO) should carry the year, either in
+ *    MONTH ("Oct 2026", "2026-10") or in a separate YEAR column. A bare "OCTOBER" still works
+ *    but then matches October of every year.
  * 
- * CONFIGURATION: See lines 20-25 below to set your credentials
+ * CONFIGURATION: VITE_WORKBOOK_API_URL overrides the proxy endpoint (default: /api/workbook)
  * 
  * For detailed setup instructions, see: Dashboard_Configuration_Guide.md
  */
 
 import React, { useState, useMemo } from 'react';
 import * as XLSX from 'xlsx';
-import { LineChart, Line, BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer, LabelList } from 'recharts';
-import { Hash, DollarSign, RefreshCw, AlertCircle, HelpCircle } from 'lucide-react';
+import { LineChart, Line, BarChart, Bar, ComposedChart, Area, Dot, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer, LabelList } from 'recharts';
+import { Hash, DollarSign, RefreshCw, AlertCircle, HelpCircle, Upload, FileSpreadsheet, FileDown, FileText, Cloud, Database, WifiOff } from 'lucide-react';
+import { SHEET_NAMES, REQUIRED_SHEETS, buildLoadReport, describeRequiredSheetFailures } from './sheetConfig';
+import { loadCachedWorkbook, saveCachedWorkbook } from './offlineCache';
+import { buildColumnMapping, resolveSheetColumns, applyColumnMapping, describeMissingColumns, saveColumnOverrides } from './columnMapping';
+import { withIsoDateCells } from './dateCells';
+import { formatNumber, formatPercent, formatNetFlow } from './formatters';
+import { describeUncoveredMonths } from './businessDays';
+import ColumnMappingAdmin from './ColumnMappingAdmin';
+import DataQualityReport from './DataQualityReport';
+import TrendsView from './TrendsView';
+import DrillDownPanel from './DrillDownPanel';
+import DataExplorer from './DataExplorer';
+import ReportBuilder from './ReportBuilder';
+import { buildDataQualityReport, ISSUE_TYPES } from './dataQuality';
+import { parseNumber } from './sheetValues';
+import { formatPeriod, formatPeriodDays, shiftPeriod, withPeriod, matchesPeriod, findPeriodRecord } from './periods';
+import { readUrlState, buildUrlSearch, COMPARISON_ALIGNMENTS, TAB_LABELS } from './urlState';
+import { getDefaultView } from './savedViews';
+import SavedViewsMenu from './SavedViewsMenu';
+import AlertCenter from './AlertCenter';
+import { evaluateAlerts, getAlertRules } from './alerts';
+import { detectAnomalies, ANOMALY_WINDOW, ANOMALY_THRESHOLD } from './anomalies';
+import { DATE_FORMATS, getDateFormatSetting, saveDateFormatSetting, withDays, compareDays, getDayOfMonth, getDayPeriod, getLastDayOfPeriod, getTodayKey, formatDay, isDayInRange } from './dates';
+import { buildMonthEndForecast, estimateRemainingDays, FORECAST_CONFIDENCE } from './forecast';
+import { rollUpRows, buildMonthlyTrend, ROLLUP_WINDOWS } from './rollups';
+import { LOCAL_TARGETS, findTarget, buildTargetProgress } from './targets';
+import { exportWorkbook, getExportFileName, toSummaryCards, netFlowColumn, growthColumn } from './workbookExport';
+import { calculateNetFlow, summarizeRows, buildDailyMovement, buildRunningTotals, buildMonthlyComparison, summarizeFieldVisits } from './metrics';
 
 // ============================================
 // GOOGLE SHEETS CONFIGURATION
 // ============================================
-// Replace these with your actual Google Sheet ID and API Key
-const GOOGLE_SHEET_ID = import.meta.env.VITE_API_G_SHEET_ID;
-const GOOGLE_API_KEY = import.meta.env.VITE_API_G_API_KEY;
+// The Google Sheet ID and API Key are held by the workbook proxy (server/index.js);
+// the dashboard only knows the proxy endpoint.
+const WORKBOOK_API_URL = import.meta.env.VITE_WORKBOOK_API_URL || '/api/workbook';
 
 // Auto-refresh interval in milliseconds (default: 30 seconds)
 const AUTO_REFRESH_INTERVAL = 86400000;
@@ -33,30 +69,6 @@ const AUTO_REFRESH_INTERVAL = 86400000;
 // UTILITY FUNCTIONS
 // ============================================
 
-const parseNumber = (value) => {
-  if (value === null || value === undefined) return 0;
-  const cleanValue = String(value).replace(/,/g, '');
-  const parsed = parseFloat(cleanValue);
-  return isNaN(parsed) ? 0 : parsed;
-};
-
-const formatNumber = (num) => {
-  return new Intl.NumberFormat('en-US', { 
-    minimumFractionDigits: 2, 
-    maximumFractionDigits: 2 
-  }).format(num);
-};
-
-const formatPercent = (num) => `${formatNumber(Math.abs(num))}%`;
-
-const calculateNetFlow = (endorsements, pullouts) => {
-  if (pullouts === 0 && endorsements > 0) return { value: -1, isSpecial: true };
-  if (pullouts === 0 && endorsements === 0) return { value: 0, isSpecial: true };
-  return { value: endorsements / pullouts, isSpecial: false };
-};
-
-const formatNetFlow = (netFlowObj) => netFlowObj.isSpecial ? '−' : formatNumber(netFlowObj.value);
-
 const getNetFlowIndicator = (netFlowObj) => {
   if (netFlowObj.isSpecial) return { icon: '−', color: 'text-gray-400' };
   if (netFlowObj.value > 1) return { icon: '↑', color: 'text-green-600' };
@@ -69,16 +81,27 @@ const getGrowthIndicator = (value) => {
   return { icon: '−', color: 'text-gray-400' };
 };
 
-const normalizeDateForComparison = (dateStr) => {
-  const date = new Date(dateStr);
-  date.setHours(0, 0, 0, 0);
-  return date;
+// Rows without a DATE are kept; dated rows must fall within [start, end]
+const isRowInDateRange = (row, start, end) => !row.DATE || isDayInRange(row.DAY, start, end);
+
+// Calendar days of `rows` in order, mapped to the DATE text to label each one with
+const getDayLabels = (rows) => {
+  const labels = new Map();
+  [...rows].sort((a, b) => compareDays(a.DAY, b.DAY)).forEach(row => {
+    if (row.DAY && !labels.has(row.DAY)) labels.set(row.DAY, row.DATE);
+  });
+  return labels;
+};
+
+// The data entry behind a chart click (recharts passes the active index, as a number or string)
+const getClickedEntry = (state, data) => {
+  const index = Number(state?.activeIndex);
+  return Number.isInteger(index) ? data[index] ?? null : null;
 };
 
 const validateSheetStructure = (workbook) => {
   const errors = [];
-  const requiredSheets = ['DAILY', 'BOM', 'CAMPAIGN', 'CAMPAIGN_BOM'];
-  requiredSheets.forEach(sheet => {
+  REQUIRED_SHEETS.forEach(sheet => {
     if (!workbook.SheetNames.includes(sheet)) {
       errors.push(`Missing required sheet: "${sheet}"`);
     }
@@ -86,6 +109,274 @@ const validateSheetStructure = (workbook) => {
   return errors;
 };
 
+const getSheetHeaders = (workbook, sheetName) => {
+  const [headers = []] = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: false });
+  return headers.map(h => String(h ?? '').trim()).filter(Boolean);
+};
+
+// Sheet rows as objects keyed by logical field (see columnMapping.js), each
+// tagged with its calendar DAY and PERIOD. Returns [] when the workbook does not have the sheet.
+const readSheetRows = (workbook, sheetName, options, columns, dateFormat) => {
+  if (!workbook.SheetNames.includes(sheetName)) return [];
+  // ROW_NUMBER is the row in the sheet itself (header = row 1), for reporting back to encoders
+  const rows = XLSX.utils.sheet_to_json(withIsoDateCells(workbook.Sheets[sheetName], columns), options)
+    .map(row => ({ ...row, ROW_NUMBER: row.__rowNum__ + 1 }));
+  return withDays(applyColumnMapping(rows, columns), dateFormat).map(row => withPeriod(row, dateFormat));
+};
+
+// Load report for a workbook read from a local file
+const buildWorkbookLoadReport = (workbook) => {
+  const results = {};
+  workbook.SheetNames.forEach(name => {
+    if (SHEET_NAMES.includes(name)) {
+      results[name] = XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, blankrows: false });
+    }
+  });
+  return buildLoadReport(results);
+};
+
+const LOAD_STATUS_STYLES = {
+  loaded: 'bg-green-100 text-green-700',
+  empty: 'bg-yellow-100 text-yellow-700',
+  missing: 'bg-gray-100 text-gray-600',
+  error: 'bg-red-100 text-red-700',
+};
+
+const LoadReportTable = ({ report, columnReport = {} }) => (
+  <table className="w-full text-xs">
+    <tbody>
+      {report.map(entry => (
+        <tr key={entry.sheet} className="border-b last:border-b-0">
+          <td className="py-1 pr-2 font-medium text-gray-700">
+            {entry.sheet}
+            {entry.required && <span className="text-red-500" title="Required">*</span>}
+          </td>
+          <td className="py-1 pr-2">
+            <span className={`px-2 py-0.5 rounded ${LOAD_STATUS_STYLES[entry.status]}`}>
+              {entry.status === 'error' ? `HTTP ${entry.httpStatus ?? 'error'}` : entry.status}
+            </span>
+          </td>
+          <td className="py-1 text-gray-500">
+            {entry.status === 'loaded' ? `${entry.rowCount} rows` : entry.message}
+            {entry.status === 'loaded' && (columnReport[entry.sheet] || []).some(c => !c.found && !c.optional) && (
+              <div className="text-red-600">
+                Missing columns: {columnReport[entry.sheet].filter(c => !c.found && !c.optional).map(c => c.header).join(', ')}
+              </div>
+            )}
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const DataSourcesPanel = ({ report, columnReport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const panelRef = React.useRef(null);
+
+  React.useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const loadedCount = report.filter(entry => entry.status === 'loaded').length;
+  const hasProblem = report.some(entry => entry.status === 'error' || (entry.required && entry.status !== 'loaded'))
+    || describeMissingColumns(columnReport).length > 0;
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className={`text-xs flex items-center gap-1 ${hasProblem ? 'text-red-600' : 'text-gray-500 hover:text-gray-700'}`}
+      >
+        <Database className="h-3 w-3" />
+        Data sources: {loadedCount}/{report.length} loaded
+      </button>
+      {isOpen && (
+        <div className="absolute z-50 mt-2 w-96 bg-white border border-gray-300 rounded shadow-lg p-3">
+          <p className="text-xs font-semibold text-gray-600 mb-2">Data sources</p>
+          <LoadReportTable report={report} columnReport={columnReport} />
+          <p className="text-xs text-gray-400 mt-2"><span className="text-red-500">*</span> required sheet</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Resolves a view's month / product type / client selections against the loaded data.
+// Selections the view leaves out fall back to the first option (for months, the latest);
+// ones the data does not have fall back too and are listed in `unavailable`.
+const resolveSelections = (view, { months, productTypes, clients }) => {
+  const unavailable = new Set();
+  const pick = (value, options, label) => {
+    if (options.includes(value)) return value;
+    if (value) unavailable.add(label);
+    return options[0] || '';
+  };
+  const viewMonths = view.selectedMonths || [];
+  viewMonths.filter(month => !months.includes(month)).forEach(month => unavailable.add(`month ${formatPeriod(month)}`));
+  const keptMonths = viewMonths.filter(month => months.includes(month));
+  const viewComparedTypes = view.comparedProductTypes || [];
+  viewComparedTypes.filter(type => !productTypes.includes(type)).forEach(type => unavailable.add(`product type ${type}`));
+  return {
+    selections: {
+      selectedMonth: pick(view.selectedMonth, months, `month ${formatPeriod(view.selectedMonth)}`),
+      selectedMonths: keptMonths.length > 0 ? keptMonths : months.slice(0, 1),
+      selectedProductType: pick(view.selectedProductType, productTypes, `product type ${view.selectedProductType}`),
+      selectedComparisonProductType: pick(view.selectedComparisonProductType, productTypes, `product type ${view.selectedComparisonProductType}`),
+      comparedProductTypes: viewComparedTypes.filter(type => productTypes.includes(type)),
+      selectedClient: pick(view.selectedClient, clients, `client ${view.selectedClient}`),
+    },
+    unavailable: [...unavailable],
+  };
+};
+
+// Reads one or more dropped/selected files into a single workbook.
+// An .xlsx/.xls file contributes all of its sheets; a .csv file holds a single
+// sheet, which is named after the file (e.g. "DAILY.csv" -> DAILY). CSV cells
+// stay text, so dates in them are read in the configured order, not SheetJS's.
+const readWorkbookFiles = async (files) => {
+  const workbook = { SheetNames: [], Sheets: {} };
+
+  for (const file of files) {
+    const data = await file.arrayBuffer();
+    const isCsv = /\.csv$/i.test(file.name);
+    const fileWorkbook = XLSX.read(data, { type: 'array', raw: isCsv });
+
+    fileWorkbook.SheetNames.forEach(sheetName => {
+      const name = isCsv
+        ? file.name.replace(/\.csv$/i, '').trim().toUpperCase().replace(/\s+/g, '_')
+        : sheetName;
+      if (!workbook.SheetNames.includes(name)) workbook.SheetNames.push(name);
+      workbook.Sheets[name] = fileWorkbook.Sheets[sheetName];
+    });
+  }
+
+  return workbook;
+};
+
+// Projected end-of-month value under a summary card (see forecast.js)
+const ForecastNote = ({ children, className = 'text-gray-500' }) => (
+  <div className={`text-xs mt-1 ${className}`} title={`End-of-month forecast from the MTD run rate, with its ${FORECAST_CONFIDENCE * 100}% range`}>
+    EOM forecast: {children}
+  </div>
+);
+
+// "2.50%" for growth targets, "1,400" for totals
+const formatTargetValue = (item, value) => (item.unit === 'percent' ? `${value.toFixed(2)}%` : formatNumber(value));
+
+// Attainment, gap and required daily pace for each target of the summary (see targets.js)
+const TargetProgress = ({ progress, className = 'mt-6' }) => {
+  if (progress.length === 0) return null;
+  return (
+    <div className={`grid grid-cols-4 gap-4 ${className}`}>
+      {progress.map(item => {
+        const isLimit = item.direction === 'atMost';
+        const gapUnit = item.unit === 'percent' ? ' pp' : '';
+        const gapText = isLimit
+          ? (item.gap >= 0 ? `${formatNumber(item.gap)} left` : `${formatNumber(-item.gap)} over`)
+          : (item.gap > 0 ? `${item.unit === 'percent' ? item.gap.toFixed(2) : formatNumber(item.gap)}${gapUnit} to go` : 'Target met');
+        const barColor = item.met ? 'bg-green-500' : isLimit ? 'bg-red-500' : 'bg-indigo-500';
+        return (
+          <div key={item.key} className="border rounded-lg p-3 bg-gray-50">
+            <div className="flex justify-between items-baseline text-xs font-semibold text-gray-600">
+              <span>{item.label} {isLimit ? 'LIMIT' : 'TARGET'}</span>
+              <span className={item.met ? 'text-green-600' : isLimit ? 'text-red-600' : 'text-gray-900'}>
+                {item.attainment !== null ? `${item.attainment.toFixed(1)}%` : '—'} {isLimit ? 'used' : 'attained'}
+              </span>
+            </div>
+            <div className="text-sm mt-1">
+              {formatTargetValue(item, item.actual)} <span className="text-gray-500">of {formatTargetValue(item, item.target)}</span>
+            </div>
+            <div className="h-1.5 bg-gray-200 rounded mt-2 overflow-hidden">
+              <div className={`h-full ${barColor}`} style={{ width: `${Math.min(100, Math.max(0, item.attainment ?? 0))}%` }} />
+            </div>
+            <div className="text-xs text-gray-500 mt-2">
+              {gapText}
+              {item.pace !== null && !(isLimit && item.gap < 0) && (
+                <> · {isLimit ? 'up to' : 'needs'} {formatNumber(item.pace)}{item.key === 'growth' ? ' net' : ''}/day</>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const SUMMARY_COMPARISON_LABELS = {
+  lastMonth: 'vs same days last month',
+  lastYear: 'vs same days last year',
+};
+
+// Chart headings at each granularity (see rollups.js)
+const GRANULARITY_LABELS = { day: 'Daily', week: 'Weekly', month: 'Monthly', quarter: 'Quarterly' };
+
+const CLIENT_RANKING_LABELS = { all: 'All clients', top5: 'Top 5', bottom5: 'Bottom 5' };
+
+// Target progress (see targets.js) as an export sheet
+const toTargetTable = (progress) => ({
+  name: 'Targets',
+  columns: [
+    { key: 'label', header: 'Metric' },
+    { key: 'actual', header: 'Actual', format: 'number' },
+    { key: 'target', header: 'Target', format: 'number' },
+    { key: 'attainment', header: 'Attainment %', format: 'percent', formula: (refs) => `IF(${refs.target}=0,"",${refs.actual}/${refs.target}*100)` },
+    { key: 'gap', header: 'Gap', format: 'number', formula: (refs) => `${refs.target}-${refs.actual}` },
+    { key: 'pace', header: 'Daily Pace Needed', format: 'number' },
+    { key: 'met', header: 'Met' },
+  ],
+  rows: progress,
+});
+
+// A summary metric's change against the reference period (see summaryComparison):
+// "+120.00 (+2.45%) vs Sep 1–15, 2026". `metric` is bom, active, portfolioGrowth or netFlow.
+const ComparisonDelta = ({ comparison, metrics, metric }) => {
+  if (!comparison) return null;
+  if (!comparison.metrics) {
+    return <div className="text-xs mt-1 text-gray-400">No data for {comparison.label}</div>;
+  }
+  const read = (values) => {
+    if (metric !== 'netFlow') return values[metric];
+    return values.netFlowObj.isSpecial ? null : values.netFlowObj.value;
+  };
+  const current = read(metrics);
+  const reference = read(comparison.metrics);
+  if (current === null || reference === null) {
+    return <div className="text-xs mt-1 text-gray-400">− vs {comparison.label}</div>;
+  }
+  const delta = current - reference;
+  const change = reference !== 0 ? (delta / Math.abs(reference)) * 100 : null;
+  const signed = (value) => `${value < 0 ? '-' : '+'}${formatNumber(Math.abs(value))}`;
+  const color = delta > 0 ? 'text-green-600' : delta < 0 ? 'text-red-600' : 'text-gray-500';
+  const referenceText = metric === 'portfolioGrowth' ? `${formatNumber(reference)}%` : formatNumber(reference);
+  return (
+    <div className={`text-xs mt-1 ${color}`} title={`${comparison.label}: ${referenceText}`}>
+      {signed(delta)}{metric === 'portfolioGrowth' ? ' pp' : ''}{change !== null && ` (${signed(change)}%)`} vs {comparison.label}
+    </div>
+  );
+};
+
+// Line dot that stands out on days flagged in the entry's `<dataKey>Anomaly` (see anomalies.js)
+const AnomalyDot = (props) => {
+  const { payload, dataKey, stroke } = props;
+  if (payload[`${dataKey}Anomaly`] == null) return <Dot {...props} />;
+  return <Dot {...props} r={6} fill={stroke} stroke="#111827" strokeWidth={2} />;
+};
+
+// "+85% vs usual" / "-60% vs usual"
+const formatVersusUsual = ({ value, usual }) => {
+  if (usual === 0) return 'usually 0';
+  const change = ((value - usual) / usual) * 100;
+  return `${change >= 0 ? '+' : '-'}${formatNumber(Math.abs(change))}% vs usual`;
+};
+
 const InfoTooltip = ({ text }) => {
   const [show, setShow] = useState(false);
   return (
@@ -104,7 +395,30 @@ const InfoTooltip = ({ text }) => {
   );
 };
 
-const MultiSelectDropdown = ({ label, options, value, onChange }) => {
+const FileDropZone = ({ onFiles, disabled, children, className = '' }) => {
+  const [isDragging, setIsDragging] = useState(false);
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    if (disabled) return;
+    const files = Array.from(event.dataTransfer.files || []);
+    if (files.length > 0) onFiles(files);
+  };
+
+  return (
+    <div
+      onDragOver={(e) => { e.preventDefault(); if (!disabled) setIsDragging(true); }}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+      className={`${className} ${isDragging ? 'ring-2 ring-indigo-500 bg-indigo-50' : ''}`}
+    >
+      {children}
+    </div>
+  );
+};
+
+const MultiSelectDropdown = ({ label, options, value, onChange, formatOption = (option) => option, placeholder = 'Select months...' }) => {
   const [isOpen, setIsOpen] = useState(false);
   const dropdownRef = React.useRef(null);
 
@@ -135,7 +449,7 @@ const MultiSelectDropdown = ({ label, options, value, onChange }) => {
         className="w-full p-2 border border-gray-300 rounded text-sm text-left bg-white hover:border-gray-400 focus:border-indigo-500 focus:ring-1 focus:ring-indigo-500 flex items-center justify-between"
       >
         <span className={value.length === 0 ? 'text-gray-400' : 'text-gray-900'}>
-          {value.length === 0 ? 'Select months...' : value.join(', ')}
+          {value.length === 0 ? placeholder : value.map(formatOption).join(', ')}
         </span>
         <svg className={`w-5 h-5 text-gray-400 transition-transform ${isOpen ? 'rotate-180' : ''}`} fill="none" stroke="currentColor" viewBox="0 0 24 24">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 9l-7 7-7-7" />
@@ -160,7 +474,7 @@ const MultiSelectDropdown = ({ label, options, value, onChange }) => {
                   </svg>
                 )}
               </div>
-              <span className="text-sm text-gray-700">{option}</span>
+              <span className="text-sm text-gray-700">{formatOption(option)}</span>
             </div>
           ))}
         </div>
@@ -170,7 +484,13 @@ const MultiSelectDropdown = ({ label, options, value, onChange }) => {
 };
 
 export default function EndorsementMonitor() {
-  const [activeTab, setActiveTab] = useState('overall');
+  // View opened from a shared link (see urlState.js), else the default saved view (see savedViews.js).
+  // Its selections are checked against the data once it loads.
+  const [initialView] = useState(() => {
+    const linkedView = readUrlState();
+    return Object.keys(linkedView).length > 0 ? linkedView : getDefaultView() || {};
+  });
+  const [activeTab, setActiveTab] = useState(initialView.activeTab || 'overall');
   const [dailyData, setDailyData] = useState([]);
   const [bomData, setBomData] = useState([]);
   const [campaignData, setCampaignData] = useState([]);
@@ -180,17 +500,23 @@ export default function EndorsementMonitor() {
   const [fieldCampaignData, setFieldCampaignData] = useState([]);
   const [fieldEndoData, setFieldEndoData] = useState([]);
   const [perAreaData, setPerAreaData] = useState([]);
-  const [selectedMonth, setSelectedMonth] = useState('');
-  const [selectedProductType, setSelectedProductType] = useState('');
-  const [selectedClient, setSelectedClient] = useState('');
-  const [startDate, setStartDate] = useState('');
-  const [endDate, setEndDate] = useState('');
-  const [viewMode, setViewMode] = useState('count');
-  const [selectedMonths, setSelectedMonths] = useState([]);
-  const [selectedComparisonProductType, setSelectedComparisonProductType] = useState('');
-  const [clientRankingView, setClientRankingView] = useState('all');
-  const [fieldStartDate, setFieldStartDate] = useState('');
-  const [fieldEndDate, setFieldEndDate] = useState('');
+  const [targetData, setTargetData] = useState([]);
+  const [selectedMonth, setSelectedMonth] = useState(initialView.selectedMonth || '');
+  const [selectedProductType, setSelectedProductType] = useState(initialView.selectedProductType || '');
+  const [selectedClient, setSelectedClient] = useState(initialView.selectedClient || '');
+  const [startDate, setStartDate] = useState(initialView.startDate || '');
+  const [endDate, setEndDate] = useState(initialView.endDate || '');
+  const [viewMode, setViewMode] = useState(initialView.viewMode || 'count');
+  const [selectedMonths, setSelectedMonths] = useState(initialView.selectedMonths || []);
+  const [selectedComparisonProductType, setSelectedComparisonProductType] = useState(initialView.selectedComparisonProductType || '');
+  const [comparedProductTypes, setComparedProductTypes] = useState(initialView.comparedProductTypes || []);
+  const [clientRankingView, setClientRankingView] = useState(initialView.clientRankingView || 'all');
+  const [summaryComparison, setSummaryComparison] = useState(initialView.summaryComparison || '');
+  const [comparisonAlignment, setComparisonAlignment] = useState(initialView.comparisonAlignment || 'calendar');
+  const [granularity, setGranularity] = useState(initialView.granularity || 'day');
+  const [trendScope, setTrendScope] = useState(initialView.trendScope || 'productType');
+  const [fieldStartDate, setFieldStartDate] = useState(initialView.fieldStartDate || '');
+  const [fieldEndDate, setFieldEndDate] = useState(initialView.fieldEndDate || '');
   const [availableMonths, setAvailableMonths] = useState([]);
   const [availableProductTypes, setAvailableProductTypes] = useState([]);
   const [availableClients, setAvailableClients] = useState([]);
@@ -198,202 +524,314 @@ export default function EndorsementMonitor() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastRefreshed, setLastRefreshed] = useState(null);
+  const [dataSource, setDataSource] = useState('sheets');
+  const [uploadedFileName, setUploadedFileName] = useState('');
+  const [sheetLoadReport, setSheetLoadReport] = useState([]);
+  // Set while showing the offline copy (or the proxy's stale copy) instead of a fresh load
+  const [staleSince, setStaleSince] = useState(null);
+  const hasFreshDataRef = React.useRef(false);
+  const [columnMapping, setColumnMapping] = useState(() => buildColumnMapping());
+  // How slash dates in the sheets are read (a DATE_FORMATS key)
+  const [dateFormat, setDateFormat] = useState(() => getDateFormatSetting());
+  // Expected vs. actual headers of the last loaded workbook: { SHEET: resolveSheetColumns(...) }
+  const [columnReport, setColumnReport] = useState({});
+  const [sheetHeaders, setSheetHeaders] = useState({});
+  const lastWorkbookRef = React.useRef(null);
+  const [alerts, setAlerts] = useState([]);
+  const [alertsCheckedAt, setAlertsCheckedAt] = useState(null);
+  // Datasets the alerts were last checked against, to check again when the rules change
+  const alertDatasetsRef = React.useRef(null);
+  // Linked, saved or previously chosen selections that were not in the last loaded data
+  const [unavailableSelections, setUnavailableSelections] = useState([]);
+  // Sheet rows behind a clicked chart point (see DrillDownPanel)
+  const [drillDown, setDrillDown] = useState(null);
+  const [isReportOpen, setIsReportOpen] = useState(false);
+  // Latest selections, for applyDatasets (called from loaders that close over older state)
+  const selectionRef = React.useRef({});
+  selectionRef.current = { selectedMonth, selectedMonths, selectedProductType, selectedClient, selectedComparisonProductType, comparedProductTypes, availableMonths };
+  const pendingViewRef = React.useRef(initialView);
+  const historyReadyRef = React.useRef(false);
 
   // Fetch data from Google Sheets
-  const fetchGoogleSheetData = async () => {
+  const fetchGoogleSheetData = async ({ refresh = false } = {}) => {
     setLoading(true);
     setError(null);
     
     try {
-      const sheetNames = ['DAILY', 'BOM', 'CAMPAIGN', 'CAMPAIGN_BOM', 'FIELD_DAILY', 'FIELD_BOM', 'FIELD_CAMPAIGN', 'FIELD_ENDO', 'PER_AREA'];
-      const workbookData = {};
-
-      // Fetch all sheets
-      for (const sheetName of sheetNames) {
-        try {
-          const url = `https://sheets.googleapis.com/v4/spreadsheets/${GOOGLE_SHEET_ID}/values/${sheetName}?key=${GOOGLE_API_KEY}`;
-          const response = await fetch(url);
-          
-          if (response.ok) {
-            const data = await response.json();
-            workbookData[sheetName] = data.values || [];
-          }
-        } catch (err) {
-          console.log(`Sheet ${sheetName} not found or not accessible`);
-        }
+      // Fetch all sheets through the workbook proxy
+      const response = await fetch(refresh ? `${WORKBOOK_API_URL}?refresh=1` : WORKBOOK_API_URL);
+      if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        const message = body?.error || response.statusText;
+        setSheetLoadReport(buildLoadReport(Object.fromEntries(SHEET_NAMES.map(name => [name, { status: 'error', httpStatus: response.status, message }]))));
+        throw new Error(`Workbook proxy returned HTTP ${response.status}${message ? `: ${message}` : ''}`);
       }
+      const { sheets: results, fetchedAt, stale, upstreamErrors } = await response.json();
+      const report = buildLoadReport(results);
+      setSheetLoadReport(report);
 
       // Validate required sheets
-      const requiredSheets = ['DAILY', 'BOM', 'CAMPAIGN', 'CAMPAIGN_BOM'];
-      const missingSheets = requiredSheets.filter(sheet => !workbookData[sheet] || workbookData[sheet].length === 0);
-      
-      if (missingSheets.length > 0) {
-        throw new Error(`Missing required sheets: ${missingSheets.join(', ')}`);
+      const failures = describeRequiredSheetFailures(report);
+      if (failures.length > 0) {
+        throw new Error(`Missing required sheets:\n${failures.join('\n')}`);
       }
 
       // Convert Google Sheets data to workbook format
       const workbook = {
-        SheetNames: Object.keys(workbookData),
+        SheetNames: [],
         Sheets: {}
       };
 
-      Object.keys(workbookData).forEach(sheetName => {
-        const sheetData = workbookData[sheetName];
-        if (sheetData.length > 0) {
-          const ws = XLSX.utils.aoa_to_sheet(sheetData);
-          workbook.Sheets[sheetName] = ws;
-        }
+      report.filter(entry => entry.status === 'loaded').forEach(({ sheet }) => {
+        workbook.SheetNames.push(sheet);
+        workbook.Sheets[sheet] = XLSX.utils.aoa_to_sheet(results[sheet]);
       });
 
+      const { datasets, columnReport: columns } = processWorkbookData(workbook);
+      const refreshedAt = new Date(fetchedAt);
+      hasFreshDataRef.current = true;
+      setLastRefreshed(refreshedAt);
+      setStaleSince(stale ? refreshedAt : null);
+      if (stale) {
+        setError(`Google Sheets could not be reached; showing the copy cached by the server.\n${(upstreamErrors || []).join('\n')}`);
+      }
+      saveCachedWorkbook({ datasets, lastRefreshed: refreshedAt, report, columnReport: columns });
+    } catch (error) {
+      setError(error.message || 'Error fetching data');
+    }
+    setLoading(false);
+  };
+
+  // Latest fetchGoogleSheetData, for the auto-refresh interval (set up once per data source)
+  const fetchGoogleSheetDataRef = React.useRef(fetchGoogleSheetData);
+  fetchGoogleSheetDataRef.current = fetchGoogleSheetData;
+
+  // Load a local .xlsx/.csv workbook through the same pipeline as the Sheets feed
+  const handleFileUpload = async (files) => {
+    if (!files || files.length === 0) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const workbook = await readWorkbookFiles(files);
+      setSheetLoadReport(buildWorkbookLoadReport(workbook));
+
+      const validationErrors = validateSheetStructure(workbook);
+      if (validationErrors.length > 0) {
+        throw new Error(validationErrors.join('\n'));
+      }
+
       processWorkbookData(workbook);
+      hasFreshDataRef.current = true;
+      setStaleSince(null);
+      setDataSource('file');
+      setUploadedFileName(files.map(f => f.name).join(', '));
       setLastRefreshed(new Date());
     } catch (error) {
-      setError(error.message || 'Error fetching data');
+      setError(error.message || 'Error reading file');
     }
     setLoading(false);
   };
 
-  // Auto-refresh on mount and at intervals
+  const handleFileInputChange = (event) => {
+    handleFileUpload(Array.from(event.target.files || []));
+    // Allow re-selecting the same file after it has been edited
+    event.target.value = '';
+  };
+
+  // Render the last good Sheets dataset right away while the first fetch runs
+  React.useEffect(() => {
+    loadCachedWorkbook().then(cached => {
+      if (!cached || hasFreshDataRef.current) return;
+      applyDatasets(cached.datasets, { fromCache: true });
+      setLastRefreshed(cached.lastRefreshed);
+      setStaleSince(cached.lastRefreshed);
+      if (cached.report) setSheetLoadReport(cached.report);
+      if (cached.columnReport) setColumnReport(cached.columnReport);
+    });
+  }, []);
+
+  const switchToGoogleSheets = () => {
+    setUploadedFileName('');
+    setDataSource('sheets');
+  };
+
+  // Auto-refresh on mount and at intervals (only while showing the Google Sheets feed)
   React.useEffect(() => {
+    if (dataSource !== 'sheets') return;
+
     // Initial load
-    fetchGoogleSheetData();
+    fetchGoogleSheetDataRef.current();
 
     // Set up auto-refresh
     const intervalId = setInterval(() => {
-      fetchGoogleSheetData();
+      fetchGoogleSheetDataRef.current();
     }, AUTO_REFRESH_INTERVAL);
 
     // Cleanup on unmount
     return () => clearInterval(intervalId);
-  }, []);
-
-  const processWorkbookData = (workbook) => {
-    try {
-      let dailyJson = [];
-      let bomJson = [];
-      let campaignJson = [];
-      let campaignBomJson = [];
-      let fieldDailyJson = [];
-      let fieldBomJson = [];
-      let fieldCampaignJson = [];
-      let fieldEndoJson = [];
-      let perAreaJson = [];
-
-      if (workbook.SheetNames.includes('DAILY')) {
-        const dailySheet = workbook.Sheets['DAILY'];
-        dailyJson = XLSX.utils.sheet_to_json(dailySheet, { raw: false });
-        dailyJson = dailyJson.map(row => {
-          if (row.DATE) {
-            const date = new Date(row.DATE);
-            const monthName = date.toLocaleString('en-US', { month: 'long' }).toUpperCase();
-            return { ...row, MONTH: monthName };
-          }
-          return row;
-        });
-        setDailyData(dailyJson);
-      }
-
-      if (workbook.SheetNames.includes('BOM')) {
-        const bomSheet = workbook.Sheets['BOM'];
-        bomJson = XLSX.utils.sheet_to_json(bomSheet);
-        setBomData(bomJson);
-      }
-
-      if (workbook.SheetNames.includes('CAMPAIGN')) {
-        const campaignSheet = workbook.Sheets['CAMPAIGN'];
-        campaignJson = XLSX.utils.sheet_to_json(campaignSheet, { raw: false });
-        campaignJson = campaignJson.map(row => {
-          if (row.DATE) {
-            const date = new Date(row.DATE);
-            const monthName = date.toLocaleString('en-US', { month: 'long' }).toUpperCase();
-            return { ...row, MONTH: monthName };
-          }
-          return row;
-        });
-        setCampaignData(campaignJson);
-      }
+  }, [dataSource]);
+
+  // Mirror the view into the URL so it can be shared. The first sync after the data loads
+  // replaces the entry (it only fills in the default selections); later changes push one.
+  const currentView = {
+    activeTab, selectedMonth, selectedMonths, selectedProductType, selectedClient, startDate, endDate,
+    fieldStartDate, fieldEndDate, viewMode, selectedComparisonProductType, clientRankingView, summaryComparison,
+    comparisonAlignment, granularity, trendScope, comparedProductTypes,
+  };
+  const urlSearch = buildUrlSearch(currentView);
+  React.useEffect(() => {
+    if (urlSearch === window.location.search) return;
+    const url = `${window.location.pathname}${urlSearch}${window.location.hash}`;
+    if (historyReadyRef.current) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [urlSearch]);
 
-      if (workbook.SheetNames.includes('CAMPAIGN_BOM')) {
-        const campaignBomSheet = workbook.Sheets['CAMPAIGN_BOM'];
-        campaignBomJson = XLSX.utils.sheet_to_json(campaignBomSheet);
-        setCampaignBomData(campaignBomJson);
-      }
+  React.useEffect(() => {
+    if (availableMonths.length > 0) historyReadyRef.current = true;
+  }, [availableMonths]);
 
-      // Load Field Result Tracker sheets
-      if (workbook.SheetNames.includes('FIELD_DAILY')) {
-        const fieldDailySheet = workbook.Sheets['FIELD_DAILY'];
-        fieldDailyJson = XLSX.utils.sheet_to_json(fieldDailySheet, { raw: false });
-        fieldDailyJson = fieldDailyJson.map(row => {
-          if (row.DATE) {
-            const date = new Date(row.DATE);
-            const monthName = date.toLocaleString('en-US', { month: 'long' }).toUpperCase();
-            return { ...row, MONTH: monthName };
-          }
-          return row;
-        });
-        setFieldDailyData(fieldDailyJson);
-      }
+  // Back / forward: restore the view from the URL
+  React.useEffect(() => {
+    const handlePopState = () => {
+      const view = readUrlState();
+      setActiveTab(view.activeTab || 'overall');
+      if (view.selectedMonth) setSelectedMonth(view.selectedMonth);
+      if (view.selectedMonths) setSelectedMonths(view.selectedMonths);
+      if (view.selectedProductType) setSelectedProductType(view.selectedProductType);
+      if (view.selectedClient) setSelectedClient(view.selectedClient);
+      if (view.selectedComparisonProductType) setSelectedComparisonProductType(view.selectedComparisonProductType);
+      setComparedProductTypes(view.comparedProductTypes || []);
+      setStartDate(view.startDate || '');
+      setEndDate(view.endDate || '');
+      setFieldStartDate(view.fieldStartDate || '');
+      setFieldEndDate(view.fieldEndDate || '');
+      setViewMode(view.viewMode || 'count');
+      setClientRankingView(view.clientRankingView || 'all');
+      setSummaryComparison(view.summaryComparison || '');
+      setComparisonAlignment(view.comparisonAlignment || 'calendar');
+      setGranularity(view.granularity || 'day');
+      setTrendScope(view.trendScope || 'productType');
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
 
-      if (workbook.SheetNames.includes('FIELD_BOM')) {
-        const fieldBomSheet = workbook.Sheets['FIELD_BOM'];
-        fieldBomJson = XLSX.utils.sheet_to_json(fieldBomSheet);
-        setFieldBomData(fieldBomJson);
-      }
+  // Loads parsed datasets (from a workbook or the offline cache) into the dashboard
+  const applyDatasets = (datasets, { fromCache = false } = {}) => {
+    const { dailyData: dailyJson, campaignData: campaignJson, fieldDailyData: fieldDailyJson, fieldCampaignData: fieldCampaignJson, perAreaData: perAreaJson } = datasets;
+
+    setDailyData(dailyJson);
+    setBomData(datasets.bomData);
+    setCampaignData(campaignJson);
+    setCampaignBomData(datasets.campaignBomData);
+    setFieldDailyData(fieldDailyJson);
+    setFieldBomData(datasets.fieldBomData);
+    setFieldCampaignData(fieldCampaignJson);
+    setFieldEndoData(datasets.fieldEndoData);
+    setPerAreaData(perAreaJson);
+    // Entries cached before the TARGETS sheet existed have no targetData
+    setTargetData(datasets.targetData || LOCAL_TARGETS);
+
+    // Newest period first, so the default selection is the latest month
+    const months = [...new Set([...dailyJson.map(row => row.PERIOD), ...campaignJson.map(row => row.PERIOD), ...fieldDailyJson.map(row => row.PERIOD)].filter(Boolean))].sort().reverse();
+    const productTypes = [...new Set([...dailyJson.map(row => row['PRODUCT TYPE']), ...campaignJson.map(row => row['PRODUCT TYPE']), ...fieldDailyJson.map(row => row['PRODUCT TYPE'])].filter(Boolean))].sort();
+    const clients = [...new Set([...campaignJson.map(row => row.CAMPAIGN), ...fieldCampaignJson.map(row => row.CAMPAIGN)].filter(Boolean))].sort();
+    const areas = [...new Set(perAreaJson.map(row => row.AREA).filter(Boolean))].sort();
+    
+    setAvailableMonths(months);
+    setAvailableProductTypes(productTypes);
+    setAvailableClients(clients);
+    setAvailableAreas(areas);
+    
+    // Keep the current selections that still exist. Whoever was on the latest month keeps
+    // following it when a newer one arrives. The initial (linked or default) view stays
+    // pending until fresh data loads, in case the cached copy predates it.
+    const current = { ...selectionRef.current };
+    if (current.selectedMonth === current.availableMonths[0]) delete current.selectedMonth;
+    const { selections, unavailable } = resolveSelections({ ...current, ...pendingViewRef.current }, { months, productTypes, clients });
+    if (!fromCache) pendingViewRef.current = {};
+    setSelectedMonth(selections.selectedMonth);
+    setSelectedMonths(selections.selectedMonths);
+    setSelectedProductType(selections.selectedProductType);
+    setSelectedComparisonProductType(selections.selectedComparisonProductType);
+    setComparedProductTypes(selections.comparedProductTypes);
+    setSelectedClient(selections.selectedClient);
+    setUnavailableSelections(unavailable);
+  };
 
-      if (workbook.SheetNames.includes('FIELD_CAMPAIGN')) {
-        const fieldCampaignSheet = workbook.Sheets['FIELD_CAMPAIGN'];
-        fieldCampaignJson = XLSX.utils.sheet_to_json(fieldCampaignSheet, { raw: false });
-        fieldCampaignJson = fieldCampaignJson.map(row => {
-          if (row.DATE) {
-            const date = new Date(row.DATE);
-            const monthName = date.toLocaleString('en-US', { month: 'long' }).toUpperCase();
-            return { ...row, MONTH: monthName };
-          }
-          return row;
-        });
-        setFieldCampaignData(fieldCampaignJson);
-      }
+  // Applies a saved view (see savedViews.js); anything the view leaves out goes back to its default
+  const applyView = (view) => {
+    const { selections, unavailable } = resolveSelections(view, { months: availableMonths, productTypes: availableProductTypes, clients: availableClients });
+    setActiveTab(view.activeTab || 'overall');
+    setViewMode(view.viewMode || 'count');
+    setClientRankingView(view.clientRankingView || 'all');
+    setSummaryComparison(view.summaryComparison || '');
+    setComparisonAlignment(view.comparisonAlignment || 'calendar');
+    setGranularity(view.granularity || 'day');
+    setTrendScope(view.trendScope || 'productType');
+    setStartDate(view.startDate || '');
+    setEndDate(view.endDate || '');
+    setFieldStartDate(view.fieldStartDate || '');
+    setFieldEndDate(view.fieldEndDate || '');
+    setSelectedMonth(selections.selectedMonth);
+    setSelectedMonths(selections.selectedMonths);
+    setSelectedProductType(selections.selectedProductType);
+    setSelectedComparisonProductType(selections.selectedComparisonProductType);
+    setComparedProductTypes(selections.comparedProductTypes);
+    setSelectedClient(selections.selectedClient);
+    setUnavailableSelections(unavailable);
+  };
 
-      if (workbook.SheetNames.includes('FIELD_ENDO')) {
-        const fieldEndoSheet = workbook.Sheets['FIELD_ENDO'];
-        fieldEndoJson = XLSX.utils.sheet_to_json(fieldEndoSheet);
-        setFieldEndoData(fieldEndoJson);
-      }
+  // Checks the alert rules (see alerts.js) against newly loaded datasets
+  const checkAlerts = (datasets, rules = getAlertRules()) => {
+    alertDatasetsRef.current = datasets;
+    setAlerts(evaluateAlerts(datasets, rules));
+    setAlertsCheckedAt(new Date());
+  };
 
-      if (workbook.SheetNames.includes('PER_AREA')) {
-        const perAreaSheet = workbook.Sheets['PER_AREA'];
-        perAreaJson = XLSX.utils.sheet_to_json(perAreaSheet, { raw: false });
-        perAreaJson = perAreaJson.map(row => {
-          if (row.DATE) {
-            const date = new Date(row.DATE);
-            const monthName = date.toLocaleString('en-US', { month: 'long' }).toUpperCase();
-            return { ...row, MONTH: monthName };
-          }
-          return row;
-        });
-        setPerAreaData(perAreaJson);
-      }
+  const processWorkbookData = (workbook, mapping = columnMapping, format = dateFormat) => {
+    // Validate the mapped headers of every known sheet before reading rows
+    const headers = {};
+    const columns = {};
+    workbook.SheetNames.filter(name => SHEET_NAMES.includes(name)).forEach(name => {
+      headers[name] = getSheetHeaders(workbook, name);
+      columns[name] = resolveSheetColumns(name, headers[name], mapping);
+    });
+    const read = (name, options) => readSheetRows(workbook, name, options, columns[name] || [], format);
+
+    const datasets = {
+      dailyData: read('DAILY', { raw: false }),
+      bomData: read('BOM'),
+      campaignData: read('CAMPAIGN', { raw: false }),
+      campaignBomData: read('CAMPAIGN_BOM'),
+      // Field Result Tracker sheets
+      fieldDailyData: read('FIELD_DAILY', { raw: false }),
+      fieldBomData: read('FIELD_BOM'),
+      fieldCampaignData: read('FIELD_CAMPAIGN', { raw: false }),
+      fieldEndoData: read('FIELD_ENDO'),
+      perAreaData: read('PER_AREA', { raw: false }),
+      targetData: workbook.SheetNames.includes('TARGETS') ? read('TARGETS', { raw: false }) : LOCAL_TARGETS,
+    };
+    lastWorkbookRef.current = workbook;
+    setSheetHeaders(headers);
+    setColumnReport(columns);
+    applyDatasets(datasets);
+    checkAlerts(datasets);
+    return { datasets, columnReport: columns };
+  };
 
-      const months = [...new Set([...dailyJson.map(row => row.MONTH), ...campaignJson.map(row => row.MONTH), ...fieldDailyJson.map(row => row.MONTH)].filter(Boolean))];
-      const productTypes = [...new Set([...dailyJson.map(row => row['PRODUCT TYPE']), ...campaignJson.map(row => row['PRODUCT TYPE']), ...fieldDailyJson.map(row => row['PRODUCT TYPE'])].filter(Boolean))].sort();
-      const clients = [...new Set([...campaignJson.map(row => row.CAMPAIGN), ...fieldCampaignJson.map(row => row.CAMPAIGN)].filter(Boolean))].sort();
-      const areas = [...new Set(perAreaJson.map(row => row.AREA).filter(Boolean))].sort();
-      
-      setAvailableMonths(months);
-      setAvailableProductTypes(productTypes);
-      setAvailableClients(clients);
-      setAvailableAreas(areas);
-      
-      if (months.length > 0) {
-        setSelectedMonth(months[0]);
-        setSelectedMonths([months[0]]);
-        setSelectedComparisonProductType(productTypes[0] || '');
-      }
-      if (productTypes.length > 0) setSelectedProductType(productTypes[0]);
-      if (clients.length > 0) setSelectedClient(clients[0]);
-    } catch (error) {
-      throw error;
-    }
+  const saveColumnMapping = (overrides, format) => {
+    const mapping = buildColumnMapping(overrides);
+    saveColumnOverrides(overrides);
+    saveDateFormatSetting(format);
+    setColumnMapping(mapping);
+    setDateFormat(format);
+    if (lastWorkbookRef.current) processWorkbookData(lastWorkbookRef.current, mapping, format);
   };
 
   const resetFilters = () => {
@@ -405,93 +843,33 @@ export default function EndorsementMonitor() {
 
   const filteredOverallData = useMemo(() => {
     return dailyData.filter(row => {
-      if (row.MONTH !== selectedMonth || row['PRODUCT TYPE'] !== selectedProductType) return false;
+      if (row.PERIOD !== selectedMonth || row['PRODUCT TYPE'] !== selectedProductType) return false;
       
-      if (row.DATE && (startDate || endDate)) {
-        const rowDate = normalizeDateForComparison(row.DATE);
-        if (startDate && endDate) {
-          const start = normalizeDateForComparison(startDate);
-          const end = new Date(endDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate >= start && rowDate <= end;
-        } else if (startDate) {
-          return rowDate >= normalizeDateForComparison(startDate);
-        } else if (endDate) {
-          const end = new Date(endDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate <= end;
-        }
-      }
-      return true;
+      return isRowInDateRange(row, startDate, endDate);
     });
   }, [dailyData, selectedMonth, selectedProductType, startDate, endDate]);
 
   const filteredClientData = useMemo(() => {
     return campaignData.filter(row => {
-      if (row.MONTH !== selectedMonth || row.CAMPAIGN !== selectedClient) return false;
+      if (row.PERIOD !== selectedMonth || row.CAMPAIGN !== selectedClient) return false;
       
-      if (row.DATE && (startDate || endDate)) {
-        const rowDate = normalizeDateForComparison(row.DATE);
-        if (startDate && endDate) {
-          const start = normalizeDateForComparison(startDate);
-          const end = new Date(endDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate >= start && rowDate <= end;
-        } else if (startDate) {
-          return rowDate >= normalizeDateForComparison(startDate);
-        } else if (endDate) {
-          const end = new Date(endDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate <= end;
-        }
-      }
-      return true;
+      return isRowInDateRange(row, startDate, endDate);
     });
   }, [campaignData, selectedMonth, selectedClient, startDate, endDate]);
 
   const filteredFieldData = useMemo(() => {
     return fieldDailyData.filter(row => {
-      if (row.MONTH !== selectedMonth || row['PRODUCT TYPE'] !== selectedProductType) return false;
+      if (row.PERIOD !== selectedMonth || row['PRODUCT TYPE'] !== selectedProductType) return false;
       
-      if (row.DATE && (fieldStartDate || fieldEndDate)) {
-        const rowDate = normalizeDateForComparison(row.DATE);
-        if (fieldStartDate && fieldEndDate) {
-          const start = normalizeDateForComparison(fieldStartDate);
-          const end = new Date(fieldEndDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate >= start && rowDate <= end;
-        } else if (fieldStartDate) {
-          return rowDate >= normalizeDateForComparison(fieldStartDate);
-        } else if (fieldEndDate) {
-          const end = new Date(fieldEndDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate <= end;
-        }
-      }
-      return true;
+      return isRowInDateRange(row, fieldStartDate, fieldEndDate);
     });
   }, [fieldDailyData, selectedMonth, selectedProductType, fieldStartDate, fieldEndDate]);
 
   const filteredFieldCampaignData = useMemo(() => {
     return fieldCampaignData.filter(row => {
-      if (row.MONTH !== selectedMonth || row['PRODUCT TYPE'] !== selectedProductType) return false;
+      if (row.PERIOD !== selectedMonth || row['PRODUCT TYPE'] !== selectedProductType) return false;
       
-      if (row.DATE && (fieldStartDate || fieldEndDate)) {
-        const rowDate = normalizeDateForComparison(row.DATE);
-        if (fieldStartDate && fieldEndDate) {
-          const start = normalizeDateForComparison(fieldStartDate);
-          const end = new Date(fieldEndDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate >= start && rowDate <= end;
-        } else if (fieldStartDate) {
-          return rowDate >= normalizeDateForComparison(fieldStartDate);
-        } else if (fieldEndDate) {
-          const end = new Date(fieldEndDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate <= end;
-        }
-      }
-      return true;
+      return isRowInDateRange(row, fieldStartDate, fieldEndDate);
     });
   }, [fieldCampaignData, selectedMonth, selectedProductType, fieldStartDate, fieldEndDate]);
 
@@ -502,26 +880,9 @@ export default function EndorsementMonitor() {
       
       // Check if the date is in the selected month
       if (row.DATE) {
-        const date = new Date(row.DATE);
-        const rowMonth = date.toLocaleString('en-US', { month: 'long' }).toUpperCase();
-        if (rowMonth !== selectedMonth) return false;
+        if (row.PERIOD !== selectedMonth) return false;
         
-        // Apply date filters
-        if (fieldStartDate || fieldEndDate) {
-          const rowDate = normalizeDateForComparison(row.DATE);
-          if (fieldStartDate && fieldEndDate) {
-            const start = normalizeDateForComparison(fieldStartDate);
-            const end = new Date(fieldEndDate);
-            end.setHours(23, 59, 59, 999);
-            return rowDate >= start && rowDate <= end;
-          } else if (fieldStartDate) {
-            return rowDate >= normalizeDateForComparison(fieldStartDate);
-          } else if (fieldEndDate) {
-            const end = new Date(fieldEndDate);
-            end.setHours(23, 59, 59, 999);
-            return rowDate <= end;
-          }
-        }
+        return isDayInRange(row.DAY, fieldStartDate, fieldEndDate);
       }
       return true;
     });
@@ -530,24 +891,9 @@ export default function EndorsementMonitor() {
   // Filtered data for Field Result Per Campaign (by client)
   const filteredFieldCampaignByClient = useMemo(() => {
     return fieldCampaignData.filter(row => {
-      if (row.MONTH !== selectedMonth || row.CAMPAIGN !== selectedClient) return false;
+      if (row.PERIOD !== selectedMonth || row.CAMPAIGN !== selectedClient) return false;
       
-      if (row.DATE && (fieldStartDate || fieldEndDate)) {
-        const rowDate = normalizeDateForComparison(row.DATE);
-        if (fieldStartDate && fieldEndDate) {
-          const start = normalizeDateForComparison(fieldStartDate);
-          const end = new Date(fieldEndDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate >= start && rowDate <= end;
-        } else if (fieldStartDate) {
-          return rowDate >= normalizeDateForComparison(fieldStartDate);
-        } else if (fieldEndDate) {
-          const end = new Date(fieldEndDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate <= end;
-        }
-      }
-      return true;
+      return isRowInDateRange(row, fieldStartDate, fieldEndDate);
     });
   }, [fieldCampaignData, selectedMonth, selectedClient, fieldStartDate, fieldEndDate]);
 
@@ -558,26 +904,9 @@ export default function EndorsementMonitor() {
       
       // Check if the date is in the selected month
       if (row.DATE) {
-        const date = new Date(row.DATE);
-        const rowMonth = date.toLocaleString('en-US', { month: 'long' }).toUpperCase();
-        if (rowMonth !== selectedMonth) return false;
+        if (row.PERIOD !== selectedMonth) return false;
         
-        // Apply date filters
-        if (fieldStartDate || fieldEndDate) {
-          const rowDate = normalizeDateForComparison(row.DATE);
-          if (fieldStartDate && fieldEndDate) {
-            const start = normalizeDateForComparison(fieldStartDate);
-            const end = new Date(fieldEndDate);
-            end.setHours(23, 59, 59, 999);
-            return rowDate >= start && rowDate <= end;
-          } else if (fieldStartDate) {
-            return rowDate >= normalizeDateForComparison(fieldStartDate);
-          } else if (fieldEndDate) {
-            const end = new Date(fieldEndDate);
-            end.setHours(23, 59, 59, 999);
-            return rowDate <= end;
-          }
-        }
+        return isDayInRange(row.DAY, fieldStartDate, fieldEndDate);
       }
       return true;
     });
@@ -585,124 +914,32 @@ export default function EndorsementMonitor() {
 
   const fieldMetrics = useMemo(() => {
     if (filteredFieldData.length === 0) return null;
-    
-    // Get Endorse to Field from FIELD_ENDO sheet - sum all matching records
-    const matchingEndoRecords = fieldEndoData.filter(r => r.MONTH === selectedMonth && r['PRODUCT TYPE'] === selectedProductType);
-    const endorseToField = matchingEndoRecords.reduce((sum, row) => {
-      return sum + parseNumber(row[viewMode === 'ob' ? 'OB' : 'ENDORSED TO FIELD']);
-    }, 0);
-    
-    // Get BOM from BOM sheet
-    const bomRecord = bomData.find(r => r.MONTH === selectedMonth && r['PRODUCT TYPE'] === selectedProductType);
-    const bom = parseNumber(bomRecord?.[viewMode === 'ob' ? 'OB' : 'TNA']);
-    
-    // Get total new endorsements and pullouts from DAILY sheet for the selected month (MTD based on filters)
-    const monthlyDailyData = dailyData.filter(r => {
-      if (r.MONTH !== selectedMonth || r['PRODUCT TYPE'] !== selectedProductType) return false;
-      
-      // Apply same date filters as field data for MTD calculation
-      if (r.DATE && (fieldStartDate || fieldEndDate)) {
-        const rowDate = normalizeDateForComparison(r.DATE);
-        if (fieldStartDate && fieldEndDate) {
-          const start = normalizeDateForComparison(fieldStartDate);
-          const end = new Date(fieldEndDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate >= start && rowDate <= end;
-        } else if (fieldStartDate) {
-          return rowDate >= normalizeDateForComparison(fieldStartDate);
-        } else if (fieldEndDate) {
-          const end = new Date(fieldEndDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate <= end;
-        }
-      }
-      return true;
+    return summarizeFieldVisits({
+      fieldRows: filteredFieldData,
+      endoRecords: fieldEndoData.filter(r => matchesPeriod(r, selectedMonth) && r['PRODUCT TYPE'] === selectedProductType),
+      bomRecord: findPeriodRecord(bomData, selectedMonth, r => r['PRODUCT TYPE'] === selectedProductType),
+      // New endorsements and pullouts over the same days as the field data
+      movementRows: dailyData.filter(r => r.PERIOD === selectedMonth && r['PRODUCT TYPE'] === selectedProductType && isRowInDateRange(r, fieldStartDate, fieldEndDate)),
+      viewMode,
+      endorsementColumn: 'ENDORSEMENTS',
     });
-    
-    const totalNewEndo = monthlyDailyData.reduce((sum, row) => {
-      return sum + parseNumber(row[viewMode === 'ob' ? 'ENDORSEMENTS OB' : 'ENDORSEMENTS']);
-    }, 0);
-    
-    const totalPullouts = monthlyDailyData.reduce((sum, row) => {
-      return sum + parseNumber(row[viewMode === 'ob' ? 'PULLOUT OB' : 'PULLOUT']);
-    }, 0);
-    
-    // Total Portfolio = BOM + Total New Endorsements
-    const totalPortfolio = bom + totalNewEndo;
-    
-    // VISITED = Sum of all daily TNA values (total accounts visited MTD)
-    // TNA represents daily visit count, so we sum all days
-    const totalVisited = filteredFieldData.reduce((sum, row) => {
-      return sum + parseNumber(row.TNA);
-    }, 0);
-    
-    // PENDING = Total Portfolio - VISITED
-    const totalPending = endorseToField - totalVisited;
-    
-    return { totalPortfolio, endorseToField, totalVisited, totalPending, totalNewEndo, totalPullouts };
   }, [filteredFieldData, fieldEndoData, bomData, dailyData, selectedMonth, selectedProductType, viewMode, fieldStartDate, fieldEndDate]);
 
   // Field metrics for campaign-specific view
   const fieldCampaignMetrics = useMemo(() => {
     if (filteredFieldCampaignByClient.length === 0) return null;
-    
-    // Get Endorse to Field from FIELD_ENDO sheet - sum all matching records for this campaign
-    const matchingEndoRecords = fieldEndoData.filter(r => r.MONTH === selectedMonth && r.CAMPAIGN === selectedClient);
-    const endorseToField = matchingEndoRecords.reduce((sum, row) => {
-      return sum + parseNumber(row[viewMode === 'ob' ? 'OB' : 'ENDORSED TO FIELD']);
-    }, 0);
-    
-    // Get BOM from CAMPAIGN_BOM sheet
-    const bomRecord = campaignBomData.find(r => r.MONTH === selectedMonth && r.CAMPAIGN === selectedClient);
-    const bom = parseNumber(bomRecord?.[viewMode === 'ob' ? 'OB' : 'TNA']);
-    
-    // Get total new endorsements and pullouts from CAMPAIGN sheet for the selected month (MTD based on filters)
-    const monthlyCampaignData = campaignData.filter(r => {
-      if (r.MONTH !== selectedMonth || r.CAMPAIGN !== selectedClient) return false;
-      
-      // Apply same date filters as field data for MTD calculation
-      if (r.DATE && (fieldStartDate || fieldEndDate)) {
-        const rowDate = normalizeDateForComparison(r.DATE);
-        if (fieldStartDate && fieldEndDate) {
-          const start = normalizeDateForComparison(fieldStartDate);
-          const end = new Date(fieldEndDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate >= start && rowDate <= end;
-        } else if (fieldStartDate) {
-          return rowDate >= normalizeDateForComparison(fieldStartDate);
-        } else if (fieldEndDate) {
-          const end = new Date(fieldEndDate);
-          end.setHours(23, 59, 59, 999);
-          return rowDate <= end;
-        }
-      }
-      return true;
+    return summarizeFieldVisits({
+      fieldRows: filteredFieldCampaignByClient,
+      endoRecords: fieldEndoData.filter(r => matchesPeriod(r, selectedMonth) && r.CAMPAIGN === selectedClient),
+      bomRecord: findPeriodRecord(campaignBomData, selectedMonth, r => r.CAMPAIGN === selectedClient),
+      movementRows: campaignData.filter(r => r.PERIOD === selectedMonth && r.CAMPAIGN === selectedClient && isRowInDateRange(r, fieldStartDate, fieldEndDate)),
+      viewMode,
+      endorsementColumn: 'NEW ENDO',
     });
-    
-    const totalNewEndo = monthlyCampaignData.reduce((sum, row) => {
-      return sum + parseNumber(row[viewMode === 'ob' ? 'NEW ENDO OB' : 'NEW ENDO']);
-    }, 0);
-    
-    const totalPullouts = monthlyCampaignData.reduce((sum, row) => {
-      return sum + parseNumber(row[viewMode === 'ob' ? 'PULLOUT OB' : 'PULLOUT']);
-    }, 0);
-    
-    // Total Portfolio = BOM + Total New Endorsements
-    const totalPortfolio = bom + totalNewEndo;
-    
-    // VISITED = Sum of all daily TNA values from FIELD_CAMPAIGN
-    const totalVisited = filteredFieldCampaignByClient.reduce((sum, row) => {
-      return sum + parseNumber(row.TNA);
-    }, 0);
-    
-    // PENDING = Total Portfolio - VISITED
-    const totalPending = endorseToField - totalVisited;
-    
-    return { totalPortfolio, endorseToField, totalVisited, totalPending, totalNewEndo, totalPullouts };
   }, [filteredFieldCampaignByClient, fieldEndoData, campaignBomData, campaignData, selectedMonth, selectedClient, viewMode, fieldStartDate, fieldEndDate]);
 
   const fieldDailyChartData = useMemo(() => {
-    const sorted = [...filteredFieldData].sort((a, b) => new Date(a.DATE) - new Date(b.DATE));
+    const sorted = [...filteredFieldData].sort((a, b) => compareDays(a.DAY, b.DAY));
     
     return sorted.map(row => {
       // TNA is daily visit count - show it as is (not cumulative)
@@ -710,19 +947,21 @@ export default function EndorsementMonitor() {
       
       return {
         date: row.DATE || '',
+        day: row.DAY,
         visited: dailyVisits
       };
     });
   }, [filteredFieldData]);
 
   const fieldCampaignChartData = useMemo(() => {
-    const sorted = [...filteredFieldCampaignByClient].sort((a, b) => new Date(a.DATE) - new Date(b.DATE));
+    const sorted = [...filteredFieldCampaignByClient].sort((a, b) => compareDays(a.DAY, b.DAY));
     
     return sorted.map(row => {
       const dailyVisits = parseNumber(row.TNA);
       
       return {
         date: row.DATE || '',
+        day: row.DAY,
         visited: dailyVisits
       };
     });
@@ -740,19 +979,19 @@ export default function EndorsementMonitor() {
       }
       
       clientMap.get(client).push({
-        date: row.DATE,
+        day: row.DAY,
         visited: parseNumber(row.TNA)
       });
     });
     
     // Get all unique dates
-    const allDates = [...new Set(filteredFieldCampaignData.map(r => r.DATE))].sort((a, b) => new Date(a) - new Date(b));
+    const dayLabels = getDayLabels(filteredFieldCampaignData);
     
     // Build chart data with each client as a series
-    return allDates.map(date => {
-      const dataPoint = { date };
+    return [...dayLabels.keys()].map(day => {
+      const dataPoint = { date: dayLabels.get(day), day };
       clientMap.forEach((records, client) => {
-        const record = records.find(r => r.date === date);
+        const record = records.find(r => r.day === day);
         dataPoint[client] = record ? record.visited : 0;
       });
       return dataPoint;
@@ -767,14 +1006,14 @@ export default function EndorsementMonitor() {
     
     filteredPerAreaData.forEach(row => {
       const area = row.AREA;
-      const date = row.DATE;
-      if (!area || !date) return;
+      const day = row.DAY;
+      if (!area || !day) return;
       
-      const key = `${area}|${date}`;
+      const key = `${area}|${day}`;
       if (!areaDateMap.has(key)) {
         areaDateMap.set(key, {
           area,
-          date,
+          day,
           visited: 0
         });
       }
@@ -785,14 +1024,14 @@ export default function EndorsementMonitor() {
     });
     
     // Get unique dates and areas
-    const allDates = [...new Set(filteredPerAreaData.map(r => r.DATE).filter(Boolean))].sort((a, b) => new Date(a) - new Date(b));
+    const dayLabels = getDayLabels(filteredPerAreaData);
     const allAreas = [...new Set(filteredPerAreaData.map(r => r.AREA).filter(Boolean))];
     
     // Build chart data
-    return allDates.map(date => {
-      const dataPoint = { date };
+    return [...dayLabels.keys()].map(day => {
+      const dataPoint = { date: dayLabels.get(day), day };
       allAreas.forEach(area => {
-        const key = `${area}|${date}`;
+        const key = `${area}|${day}`;
         const data = areaDateMap.get(key);
         dataPoint[area] = data ? data.visited : 0;
       });
@@ -808,14 +1047,14 @@ export default function EndorsementMonitor() {
     
     filteredPerAreaByClient.forEach(row => {
       const area = row.AREA;
-      const date = row.DATE;
-      if (!area || !date) return;
+      const day = row.DAY;
+      if (!area || !day) return;
       
-      const key = `${area}|${date}`;
+      const key = `${area}|${day}`;
       if (!areaDateMap.has(key)) {
         areaDateMap.set(key, {
           area,
-          date,
+          day,
           visited: 0
         });
       }
@@ -825,14 +1064,14 @@ export default function EndorsementMonitor() {
     });
     
     // Get unique dates and areas for this client
-    const allDates = [...new Set(filteredPerAreaByClient.map(r => r.DATE).filter(Boolean))].sort((a, b) => new Date(a) - new Date(b));
+    const dayLabels = getDayLabels(filteredPerAreaByClient);
     const allAreas = [...new Set(filteredPerAreaByClient.map(r => r.AREA).filter(Boolean))];
     
     // Build chart data
-    return allDates.map(date => {
-      const dataPoint = { date };
+    return [...dayLabels.keys()].map(day => {
+      const dataPoint = { date: dayLabels.get(day), day };
       allAreas.forEach(area => {
-        const key = `${area}|${date}`;
+        const key = `${area}|${day}`;
         const data = areaDateMap.get(key);
         dataPoint[area] = data ? data.visited : 0;
       });
@@ -863,161 +1102,677 @@ export default function EndorsementMonitor() {
 
   const overallMetrics = useMemo(() => {
     if (filteredOverallData.length === 0) return null;
-    const bomRecord = bomData.find(r => r.MONTH === selectedMonth && r['PRODUCT TYPE'] === selectedProductType);
-    const bom = parseNumber(bomRecord?.[viewMode === 'ob' ? 'OB' : 'TNA']);
-    const sorted = [...filteredOverallData].sort((a, b) => new Date(a.DATE) - new Date(b.DATE));
-    const active = parseNumber(sorted[sorted.length - 1]?.[viewMode === 'ob' ? 'Total Portfolio OB' : 'Total Portfolio']);
-    const totalEndorsements = filteredOverallData.reduce((sum, row) => sum + parseNumber(row[viewMode === 'ob' ? 'ENDORSEMENTS OB' : 'ENDORSEMENTS']), 0);
-    const totalPullouts = filteredOverallData.reduce((sum, row) => sum + parseNumber(row[viewMode === 'ob' ? 'PULLOUT OB' : 'PULLOUT']), 0);
-    const portfolioGrowth = bom !== 0 ? ((active - bom) / bom) * 100 : 0;
-    const netFlowObj = calculateNetFlow(totalEndorsements, totalPullouts);
-    return { bom, active, portfolioGrowth, netFlowObj, totalEndorsements, totalPullouts };
+    const bomRecord = findPeriodRecord(bomData, selectedMonth, r => r['PRODUCT TYPE'] === selectedProductType);
+    return summarizeRows(filteredOverallData, bomRecord, viewMode, 'ENDORSEMENTS');
   }, [filteredOverallData, bomData, selectedMonth, selectedProductType, viewMode]);
 
   const clientMetrics = useMemo(() => {
     if (filteredClientData.length === 0) return null;
-    const bomRecord = campaignBomData.find(r => r.MONTH === selectedMonth && r.CAMPAIGN === selectedClient);
-    const bom = parseNumber(bomRecord?.[viewMode === 'ob' ? 'OB' : 'TNA']);
-    const sorted = [...filteredClientData].sort((a, b) => new Date(a.DATE) - new Date(b.DATE));
-    const active = parseNumber(sorted[sorted.length - 1]?.[viewMode === 'ob' ? 'Total Portfolio OB' : 'Total Portfolio']);
-    const totalEndorsements = filteredClientData.reduce((sum, row) => sum + parseNumber(row[viewMode === 'ob' ? 'NEW ENDO OB' : 'NEW ENDO']), 0);
-    const totalPullouts = filteredClientData.reduce((sum, row) => sum + parseNumber(row[viewMode === 'ob' ? 'PULLOUT OB' : 'PULLOUT']), 0);
-    const portfolioGrowth = bom !== 0 ? ((active - bom) / bom) * 100 : 0;
-    const netFlowObj = calculateNetFlow(totalEndorsements, totalPullouts);
-    return { bom, active, portfolioGrowth, netFlowObj, totalEndorsements, totalPullouts };
+    const bomRecord = findPeriodRecord(campaignBomData, selectedMonth, r => r.CAMPAIGN === selectedClient);
+    return summarizeRows(filteredClientData, bomRecord, viewMode, 'NEW ENDO');
   }, [filteredClientData, campaignBomData, selectedMonth, selectedClient, viewMode]);
 
+  // The summary's reference period (last month or the same month last year) for the
+  // same product type or client, over the same days of the month as the rows on
+  // screen, the way monthlyComparisonData aligns months by maxDay
+  const summaryComparisonData = useMemo(() => {
+    if (!summaryComparison || !selectedMonth || (activeTab !== 'overall' && activeTab !== 'client')) return null;
+    const isOverall = activeTab === 'overall';
+    const days = (isOverall ? filteredOverallData : filteredClientData).map(row => getDayOfMonth(row.DAY)).filter(Boolean);
+    if (days.length === 0) return null;
+    const fromDay = Math.min(...days);
+    const toDay = Math.max(...days);
+    const period = shiftPeriod(selectedMonth, summaryComparison === 'lastYear' ? -12 : -1);
+    const label = formatPeriodDays(period, fromDay, toDay);
+
+    const referenceRows = (isOverall
+      ? dailyData.filter(r => r['PRODUCT TYPE'] === selectedProductType)
+      : campaignData.filter(r => r.CAMPAIGN === selectedClient)
+    ).filter(r => r.PERIOD === period && getDayOfMonth(r.DAY) >= fromDay && getDayOfMonth(r.DAY) <= toDay);
+    if (referenceRows.length === 0) return { period, label, metrics: null };
+
+    const bomRecord = isOverall
+      ? findPeriodRecord(bomData, period, r => r['PRODUCT TYPE'] === selectedProductType)
+      : findPeriodRecord(campaignBomData, period, r => r.CAMPAIGN === selectedClient);
+    return { period, label, metrics: summarizeRows(referenceRows, bomRecord, viewMode, isOverall ? 'ENDORSEMENTS' : 'NEW ENDO') };
+  }, [summaryComparison, selectedMonth, activeTab, filteredOverallData, filteredClientData, dailyData, campaignData, bomData, campaignBomData, selectedProductType, selectedClient, viewMode]);
+
+  // Weeks, months or quarters of the selected product type or client (see rollups.js):
+  // those within the date range when one is set, else the latest ROLLUP_WINDOWS
+  // periods through the selected month
+  const rolledUpPeriods = useMemo(() => {
+    if (granularity === 'day' || !selectedMonth || (activeTab !== 'overall' && activeTab !== 'client')) return [];
+    const isOverall = activeTab === 'overall';
+    const hasRange = Boolean(startDate || endDate);
+    const monthEnd = getLastDayOfPeriod(selectedMonth);
+    const rows = (isOverall
+      ? dailyData.filter(r => r['PRODUCT TYPE'] === selectedProductType)
+      : campaignData.filter(r => r.CAMPAIGN === selectedClient)
+    ).filter(r => r.DAY && (hasRange ? isDayInRange(r.DAY, startDate, endDate) : r.DAY <= monthEnd));
+    const bomField = viewMode === 'ob' ? 'OB' : 'TNA';
+    const getBom = (period) => {
+      const bomRecord = isOverall
+        ? findPeriodRecord(bomData, period, r => r['PRODUCT TYPE'] === selectedProductType)
+        : findPeriodRecord(campaignBomData, period, r => r.CAMPAIGN === selectedClient);
+      return bomRecord ? parseNumber(bomRecord[bomField]) : null;
+    };
+    const suffix = viewMode === 'ob' ? ' OB' : '';
+    return rollUpRows(rows, {
+      granularity,
+      fields: {
+        endorsements: `${isOverall ? 'ENDORSEMENTS' : 'NEW ENDO'}${suffix}`,
+        pullouts: `PULLOUT${suffix}`,
+        portfolio: `Total Portfolio${suffix}`,
+      },
+      getBom,
+      limit: hasRange ? null : ROLLUP_WINDOWS[granularity],
+    });
+  }, [granularity, activeTab, selectedMonth, startDate, endDate, dailyData, campaignData, bomData, campaignBomData, selectedProductType, selectedClient, viewMode]);
+
   const getChartData = useMemo(() => {
-    const data = activeTab === 'overall' ? filteredOverallData : filteredClientData;
-    const metrics = activeTab === 'overall' ? overallMetrics : clientMetrics;
-    const sorted = [...data].sort((a, b) => new Date(a.DATE) - new Date(b.DATE));
-    
-    return sorted.map((row, index) => {
-      const endorsements = parseNumber(row[activeTab === 'overall' 
-        ? (viewMode === 'ob' ? 'ENDORSEMENTS OB' : 'ENDORSEMENTS')
-        : (viewMode === 'ob' ? 'NEW ENDO OB' : 'NEW ENDO')
-      ]);
-      const pullouts = parseNumber(row[activeTab === 'overall'
-        ? (viewMode === 'ob' ? 'PULLOUT OB' : 'PULLOUT')
-        : (viewMode === 'ob' ? 'PULLOUT OB' : 'PULLOUT')
-      ]);
-      const portfolio = parseNumber(row[viewMode === 'ob' ? 'Total Portfolio OB' : 'Total Portfolio']);
-      
-      const netFlowRatio = pullouts === 0 ? 0 : endorsements / pullouts;
-      const portfolioGrowth = metrics && metrics.bom !== 0 ? ((portfolio - metrics.bom) / metrics.bom) * 100 : 0;
-      
-      return {
-        date: row.DATE || `Day ${index + 1}`,
-        endorsements,
-        pullouts,
-        netFlowRatio,
-        portfolioGrowth,
-        portfolio
-      };
+    if (granularity !== 'day') {
+      return rolledUpPeriods.map(period => ({
+        date: period.label,
+        firstDay: period.firstDay,
+        day: period.lastDay,
+        endorsements: period.endorsements,
+        pullouts: period.pullouts,
+        netFlowRatio: period.netFlowRatio,
+        portfolioGrowth: period.growth,
+        portfolio: period.closing,
+        opening: period.opening,
+      }));
+    }
+    const isOverall = activeTab === 'overall';
+    const metrics = isOverall ? overallMetrics : clientMetrics;
+    return buildDailyMovement(isOverall ? filteredOverallData : filteredClientData, {
+      bom: metrics?.bom,
+      viewMode,
+      endorsementColumn: isOverall ? 'ENDORSEMENTS' : 'NEW ENDO',
     });
-  }, [activeTab, filteredOverallData, filteredClientData, overallMetrics, clientMetrics, viewMode]);
+  }, [granularity, rolledUpPeriods, activeTab, filteredOverallData, filteredClientData, overallMetrics, clientMetrics, viewMode]);
+
+  // Unusual endorsement and pullout days of the selected product type or client.
+  // The trailing window reaches back into earlier months, so every row is scored
+  // and only the days on the charts are kept.
+  const dailyAnomalies = useMemo(() => {
+    if (granularity !== 'day' || (activeTab !== 'overall' && activeTab !== 'client')) return [];
+    const isOverall = activeTab === 'overall';
+    const suffix = viewMode === 'ob' ? ' OB' : '';
+    const rows = (isOverall
+      ? dailyData.filter(r => r['PRODUCT TYPE'] === selectedProductType)
+      : campaignData.filter(r => r.CAMPAIGN === selectedClient)
+    ).filter(r => r.DAY).sort((a, b) => compareDays(a.DAY, b.DAY));
+    const chartDays = new Set(getChartData.map(entry => entry.day));
+
+    return [
+      { metric: 'endorsements', label: 'Endorsements', field: `${isOverall ? 'ENDORSEMENTS' : 'NEW ENDO'}${suffix}` },
+      { metric: 'pullouts', label: 'Pullouts', field: `PULLOUT${suffix}` },
+    ].flatMap(({ metric, label, field }) => detectAnomalies(rows.map(r => ({ day: r.DAY, value: parseNumber(r[field]) })))
+      .filter(anomaly => chartDays.has(anomaly.day))
+      .map(anomaly => ({ ...anomaly, metric, label })))
+      .sort((a, b) => compareDays(b.day, a.day) || Math.abs(b.zScore) - Math.abs(a.zScore));
+  }, [granularity, activeTab, viewMode, dailyData, campaignData, selectedProductType, selectedClient, getChartData]);
+
+  // getChartData with each metric's anomaly z-score (or null), for AnomalyDot
+  const dailyMovementChartData = useMemo(() => {
+    const flagged = new Map(dailyAnomalies.map(anomaly => [`${anomaly.metric}|${anomaly.day}`, anomaly.zScore]));
+    return getChartData.map(entry => ({
+      ...entry,
+      endorsementsAnomaly: flagged.get(`endorsements|${entry.day}`) ?? null,
+      pulloutsAnomaly: flagged.get(`pullouts|${entry.day}`) ?? null,
+    }));
+  }, [getChartData, dailyAnomalies]);
 
+  // Running totals: month to date, or from the first rolled-up period's opening portfolio
   const getMTDData = useMemo(() => {
-    return getChartData.map((row, index) => {
-      const cumulativeEndorsements = getChartData.slice(0, index + 1).reduce((sum, r) => sum + r.endorsements, 0);
-      const cumulativePullouts = getChartData.slice(0, index + 1).reduce((sum, r) => sum + r.pullouts, 0);
-      const mtdNetFlowRatio = cumulativePullouts === 0 ? 0 : cumulativeEndorsements / cumulativePullouts;
+    const metrics = activeTab === 'overall' ? overallMetrics : clientMetrics;
+    const base = granularity === 'day' ? metrics?.bom : getChartData[0]?.opening;
+    return buildRunningTotals(getChartData, base);
+  }, [getChartData, granularity, activeTab, overallMetrics, clientMetrics]);
+
+  // Projected end-of-month ACTIVE / NET GROWTH / NET FLOW from the MTD run rate
+  // (see forecast.js); only while the selected month is still running
+  const monthEndForecast = useMemo(() => {
+    if (granularity !== 'day' || (activeTab !== 'overall' && activeTab !== 'client')) return null;
+    if (!selectedMonth || selectedMonth < getDayPeriod(getTodayKey())) return null;
+    // The whole month to date, whatever the Start/End dates narrow the charts to
+    const isOverall = activeTab === 'overall';
+    const monthRows = isOverall
+      ? dailyData.filter(r => r.PERIOD === selectedMonth && r['PRODUCT TYPE'] === selectedProductType)
+      : campaignData.filter(r => r.PERIOD === selectedMonth && r.CAMPAIGN === selectedClient);
+    if (monthRows.length === 0) return null;
+    const endorsementColumn = isOverall ? 'ENDORSEMENTS' : 'NEW ENDO';
+    const bomRecord = isOverall
+      ? findPeriodRecord(bomData, selectedMonth, r => r['PRODUCT TYPE'] === selectedProductType)
+      : findPeriodRecord(campaignBomData, selectedMonth, r => r.CAMPAIGN === selectedClient);
+    const { bom, active } = summarizeRows(monthRows, bomRecord, viewMode, endorsementColumn);
+    const forecast = buildMonthEndForecast({ days: buildDailyMovement(monthRows, { bom, viewMode, endorsementColumn }), active });
+    if (!forecast) return null;
+    const toGrowth = (value) => (bom !== 0 ? ((value - bom) / bom) * 100 : 0);
+    return {
+      ...forecast,
+      growth: toGrowth(forecast.active),
+      growthLow: toGrowth(forecast.activeLow),
+      growthHigh: toGrowth(forecast.activeHigh),
+      netFlowObj: calculateNetFlow(forecast.endorsements, forecast.pullouts),
+      growthPath: forecast.path.map(point => ({
+        date: formatDay(point.day),
+        forecastGrowth: toGrowth(point.active),
+        forecastBand: [toGrowth(point.low), toGrowth(point.high)],
+      })),
+    };
+  }, [granularity, activeTab, selectedMonth, dailyData, campaignData, bomData, campaignBomData, selectedProductType, selectedClient, viewMode]);
+
+  // MTD Net Growth, continued by the forecast from the last actual day (only when
+  // the chart runs up to it, not when the End date stops it earlier)
+  const mtdGrowthChartData = useMemo(() => {
+    if (!monthEndForecast || getMTDData.length === 0) return getMTDData;
+    if (getChartData[getChartData.length - 1]?.day !== monthEndForecast.lastDay) return getMTDData;
+    const last = getMTDData[getMTDData.length - 1];
+    return [
+      ...getMTDData.slice(0, -1),
+      { ...last, forecastGrowth: last.mtdPortfolioGrowth, forecastBand: [last.mtdPortfolioGrowth, last.mtdPortfolioGrowth] },
+      ...monthEndForecast.growthPath,
+    ];
+  }, [getMTDData, getChartData, monthEndForecast]);
+
+  // Progress towards the selected product type's or client's targets for the month (see targets.js).
+  // The required pace spreads what is left over the reporting days left, none once the month is over.
+  const summaryTargetProgress = useMemo(() => {
+    if (!selectedMonth) return [];
+    const isMonthOpen = selectedMonth >= getDayPeriod(getTodayKey());
+    const isCampaign = activeTab === 'client' || activeTab === 'fieldCampaign';
+    const target = findTarget(targetData, selectedMonth, isCampaign ? { campaign: selectedClient } : { productType: selectedProductType });
+
+    if (activeTab === 'overall' || activeTab === 'client') {
       const metrics = activeTab === 'overall' ? overallMetrics : clientMetrics;
-      const mtdPortfolioGrowth = metrics && metrics.bom !== 0 ? ((row.portfolio - metrics.bom) / metrics.bom) * 100 : 0;
-      
-      return {
-        date: row.date,
-        cumulativeEndorsements,
-        cumulativePullouts,
-        mtdNetFlowRatio,
-        mtdPortfolioGrowth
-      };
+      if (!metrics) return [];
+      // The month's own days, whatever the charts' granularity
+      const days = (activeTab === 'overall' ? filteredOverallData : filteredClientData)
+        .map(row => ({ day: row.DAY }))
+        .sort((a, b) => compareDays(a.day, b.day));
+      return buildTargetProgress({
+        target,
+        viewMode,
+        remainingDays: isMonthOpen ? estimateRemainingDays(days) : 0,
+        bom: metrics.bom,
+        active: metrics.active,
+        endorsements: metrics.totalEndorsements,
+        pullouts: metrics.totalPullouts,
+      });
+    }
+    if (activeTab === 'field' || activeTab === 'fieldCampaign') {
+      const metrics = activeTab === 'field' ? fieldMetrics : fieldCampaignMetrics;
+      if (!metrics) return [];
+      const rows = activeTab === 'field' ? filteredFieldData : filteredFieldCampaignByClient;
+      const days = rows.map(row => ({ day: row.DAY })).sort((a, b) => compareDays(a.day, b.day));
+      return buildTargetProgress({ target, viewMode, remainingDays: isMonthOpen ? estimateRemainingDays(days) : 0, visits: metrics.totalVisited });
+    }
+    return [];
+  }, [activeTab, targetData, selectedMonth, selectedProductType, selectedClient, viewMode, overallMetrics, clientMetrics, filteredOverallData, filteredClientData, fieldMetrics, fieldCampaignMetrics, filteredFieldData, filteredFieldCampaignByClient]);
+
+  // Overall tab, side by side: the selected month for each of two or more product types.
+  // Chart rows are per day with one value per type: { day, date, netFlow: { [type]: ratio }, growth: { [type]: % } }
+  const isComparingProductTypes = activeTab === 'overall' && comparedProductTypes.length >= 2;
+  const productTypeComparison = useMemo(() => {
+    if (!isComparingProductTypes) return null;
+    const suffix = viewMode === 'ob' ? ' OB' : '';
+    const days = new Map();
+    const summaries = comparedProductTypes.map(type => {
+      const rows = dailyData.filter(r => r.PERIOD === selectedMonth && r['PRODUCT TYPE'] === type && isRowInDateRange(r, startDate, endDate));
+      const metrics = summarizeRows(rows, findPeriodRecord(bomData, selectedMonth, r => r['PRODUCT TYPE'] === type), viewMode, 'ENDORSEMENTS');
+      rows.filter(r => r.DAY).forEach(r => {
+        if (!days.has(r.DAY)) days.set(r.DAY, { day: r.DAY, date: formatDay(r.DAY), netFlow: {}, growth: {} });
+        const entry = days.get(r.DAY);
+        const endorsements = parseNumber(r[`ENDORSEMENTS${suffix}`]);
+        const pullouts = parseNumber(r[`PULLOUT${suffix}`]);
+        entry.netFlow[type] = pullouts === 0 ? 0 : endorsements / pullouts;
+        entry.growth[type] = metrics.bom !== 0 ? ((parseNumber(r[`Total Portfolio${suffix}`]) - metrics.bom) / metrics.bom) * 100 : 0;
+      });
+      return { type, rowCount: rows.length, metrics };
     });
-  }, [getChartData, activeTab, overallMetrics, clientMetrics]);
 
-  const monthlyComparisonData = useMemo(() => {
-    if (activeTab !== 'monthly') return { monthlyMetrics: [], clientComparison: [] };
+    // Each type's share of the compared types' combined BOM and ACTIVE
+    const toShares = (label, metric) => {
+      const total = summaries.reduce((sum, { metrics }) => sum + metrics[metric], 0);
+      const entry = { label, shares: {}, values: {} };
+      summaries.forEach(({ type, metrics }) => {
+        entry.values[type] = metrics[metric];
+        entry.shares[type] = total !== 0 ? (metrics[metric] / total) * 100 : 0;
+      });
+      return entry;
+    };
 
-    const maxDay = Math.min(...selectedMonths.map(month => {
-      const monthData = dailyData.filter(r => r.MONTH === month && r['PRODUCT TYPE'] === selectedComparisonProductType);
-      if (monthData.length === 0) return 31;
-      return Math.max(...monthData.map(r => r.DATE ? new Date(r.DATE).getDate() : 0));
-    }));
+    return {
+      summaries,
+      daily: [...days.values()].sort((a, b) => compareDays(a.day, b.day)),
+      portfolioShare: [toShares('BOM', 'bom'), toShares('Active', 'active')],
+    };
+  }, [isComparingProductTypes, comparedProductTypes, dailyData, bomData, selectedMonth, startDate, endDate, viewMode]);
 
-    const monthlyMetrics = selectedMonths.map(month => {
-      const monthData = dailyData.filter(r => {
-        if (r.MONTH !== month || r['PRODUCT TYPE'] !== selectedComparisonProductType) return false;
-        if (r.DATE) {
-          const day = new Date(r.DATE).getDate();
-          if (day > maxDay) return false;
-        }
-        return true;
+  const monthlyComparisonData = useMemo(() => {
+    if (activeTab !== 'monthly') return { monthlyMetrics: [], clientComparison: [], businessDayMap: [], uncoveredMonths: [], mtdTrend: [] };
+
+    const comparison = buildMonthlyComparison(
+      { dailyData, bomData, campaignData, campaignBomData, targetData },
+      { months: selectedMonths, productType: selectedComparisonProductType, viewMode, alignment: comparisonAlignment },
+    );
+    const clientComparison = clientRankingView === 'top5'
+      ? comparison.clientComparison.slice(0, 5)
+      : clientRankingView === 'bottom5'
+      ? comparison.clientComparison.slice(-5).reverse()
+      : comparison.clientComparison;
+
+    return { ...comparison, clientComparison };
+  }, [activeTab, selectedMonths, dailyData, campaignData, bomData, campaignBomData, targetData, selectedComparisonProductType, viewMode, clientRankingView, comparisonAlignment]);
+
+  // Month-by-month history of the Trends tab's product type or client
+  const trendMonths = useMemo(() => {
+    if (activeTab !== 'trends') return [];
+    const isCampaign = trendScope === 'campaign';
+    const suffix = viewMode === 'ob' ? ' OB' : '';
+    const rows = isCampaign
+      ? campaignData.filter(r => r.CAMPAIGN === selectedClient)
+      : dailyData.filter(r => r['PRODUCT TYPE'] === selectedProductType);
+    const getBom = (period) => {
+      const bomRecord = isCampaign
+        ? findPeriodRecord(campaignBomData, period, r => r.CAMPAIGN === selectedClient)
+        : findPeriodRecord(bomData, period, r => r['PRODUCT TYPE'] === selectedProductType);
+      return bomRecord ? parseNumber(bomRecord[viewMode === 'ob' ? 'OB' : 'TNA']) : null;
+    };
+    return buildMonthlyTrend(rows, {
+      fields: {
+        endorsements: `${isCampaign ? 'NEW ENDO' : 'ENDORSEMENTS'}${suffix}`,
+        pullouts: `PULLOUT${suffix}`,
+        portfolio: `Total Portfolio${suffix}`,
+      },
+      getBom,
+    });
+  }, [activeTab, trendScope, dailyData, bomData, campaignData, campaignBomData, selectedProductType, selectedClient, viewMode]);
+
+  const closeDrillDown = React.useCallback(() => setDrillDown(null), []);
+  const closeReport = React.useCallback(() => setIsReportOpen(false), []);
+
+  const sortRows = (rows) => [...rows].sort((a, b) => compareDays(a.DAY, b.DAY) || a.ROW_NUMBER - b.ROW_NUMBER);
+
+  // NET FLOW point on the Overall / Client tab: the rows of that day, or of the rolled-up period
+  const drillIntoSummaryPoint = (state) => {
+    const entry = getClickedEntry(state, getChartData);
+    if (!entry?.day) return;
+    const from = entry.firstDay || entry.day;
+    const isInPoint = (row) => isDayInRange(row.DAY, from, entry.day);
+    const when = from === entry.day ? formatDay(entry.day) : `${formatDay(from)} – ${formatDay(entry.day)}`;
+    if (activeTab === 'overall') {
+      setDrillDown({
+        title: `${selectedProductType} · ${when}`,
+        subtitle: 'The DAILY rows behind the point, and the CAMPAIGN rows of the same product type',
+        groups: [
+          { sheet: 'DAILY', rows: sortRows(dailyData.filter(r => r['PRODUCT TYPE'] === selectedProductType && isInPoint(r))) },
+          { sheet: 'CAMPAIGN', rows: sortRows(campaignData.filter(r => r['PRODUCT TYPE'] === selectedProductType && isInPoint(r))) },
+        ],
       });
+    } else {
+      setDrillDown({
+        title: `${selectedClient} · ${when}`,
+        groups: [{ sheet: 'CAMPAIGN', rows: sortRows(campaignData.filter(r => r.CAMPAIGN === selectedClient && isInPoint(r))) }],
+      });
+    }
+  };
 
-      const bomRecord = bomData.find(r => r.MONTH === month && r['PRODUCT TYPE'] === selectedComparisonProductType);
-      const bom = parseNumber(bomRecord?.[viewMode === 'ob' ? 'OB' : 'TNA']);
-      
-      const sorted = [...monthData].sort((a, b) => new Date(a.DATE) - new Date(b.DATE));
-      const active = parseNumber(sorted[sorted.length - 1]?.[viewMode === 'ob' ? 'Total Portfolio OB' : 'Total Portfolio']);
-      
-      const totalEndorsements = monthData.reduce((sum, r) => sum + parseNumber(r[viewMode === 'ob' ? 'ENDORSEMENTS OB' : 'ENDORSEMENTS']), 0);
-      const totalPullouts = monthData.reduce((sum, r) => sum + parseNumber(r[viewMode === 'ob' ? 'PULLOUT OB' : 'PULLOUT']), 0);
-      
-      const portfolioGrowth = bom !== 0 ? ((active - bom) / bom) * 100 : 0;
-      const netFlowObj = calculateNetFlow(totalEndorsements, totalPullouts);
+  // NET FLOW point of the side-by-side product types
+  const drillIntoComparisonPoint = (state) => {
+    const entry = getClickedEntry(state, productTypeComparison?.daily || []);
+    if (!entry) return;
+    const isCompared = (row) => comparedProductTypes.includes(row['PRODUCT TYPE']) && row.DAY === entry.day;
+    setDrillDown({
+      title: `${comparedProductTypes.join(', ')} · ${formatDay(entry.day)}`,
+      groups: [
+        { sheet: 'DAILY', rows: sortRows(dailyData.filter(isCompared)) },
+        { sheet: 'CAMPAIGN', rows: sortRows(campaignData.filter(isCompared)) },
+      ],
+    });
+  };
 
-      return { month, bom, active, portfolioGrowth, netFlowObj, totalEndorsements, totalPullouts };
+  // Month bar of the MTD Endorsements vs Pullouts chart: the DAILY rows it adds up
+  const drillIntoComparisonMonth = (state) => {
+    const entry = getClickedEntry(state, monthlyComparisonData.monthlyMetrics);
+    if (!entry) return;
+    setDrillDown({
+      title: `${selectedComparisonProductType} · ${entry.monthLabel}`,
+      subtitle: `Up to ${monthlyComparisonData.alignment === 'business' ? 'business day' : 'day'} ${monthlyComparisonData.maxDay} of the month`,
+      groups: [{ sheet: 'DAILY', rows: entry.rows }],
     });
+  };
 
-    const currentMonth = selectedMonths[0];
-    const clientMap = new Map();
+  // Day on a Field chart: that day's rows of `sheet` among the charted `rows`
+  const drillIntoFieldDay = (state, chartData, sheet, rows, label) => {
+    const entry = getClickedEntry(state, chartData);
+    if (!entry?.day) return;
+    setDrillDown({
+      title: `${label} · ${formatDay(entry.day)}`,
+      groups: [{ sheet, rows: sortRows(rows.filter(r => r.DAY === entry.day)) }],
+    });
+  };
 
-    selectedMonths.forEach(month => {
-      campaignData.filter(r => {
-        if (r.MONTH !== month) return false;
-        if (r.DATE) {
-          const day = new Date(r.DATE).getDate();
-          if (day > maxDay) return false;
-        }
-        return true;
-      }).forEach(r => {
-        const client = r.CAMPAIGN;
-        if (!client) return;
-        if (!clientMap.has(client)) clientMap.set(client, { totalEndorsements: 0, totalPullouts: 0 });
-        const data = clientMap.get(client);
-        data.totalEndorsements += parseNumber(r[viewMode === 'ob' ? 'NEW ENDO OB' : 'NEW ENDO']);
-        data.totalPullouts += parseNumber(r[viewMode === 'ob' ? 'PULLOUT OB' : 'PULLOUT']);
+  // The tab on screen as an Excel report (see workbookExport.js): the filters and
+  // summary cards on the cover sheet, and the series behind each chart as a sheet
+  const handleExport = () => {
+    const units = viewMode === 'ob' ? 'Outstanding Balance' : 'Count';
+    const dayColumn = { key: 'day', header: 'Date', format: 'day' };
+    const describeRange = (from, to) => (from || to ? `${from || '…'} to ${to || '…'}` : 'Whole month');
+    const filters = [
+      ['Tab', TAB_LABELS[activeTab]],
+      ['Source', dataSource === 'sheets' ? 'Google Sheets' : uploadedFileName],
+      ...(lastRefreshed ? [['Data loaded', lastRefreshed.toLocaleString()]] : []),
+      ['Link', window.location.href],
+    ];
+    let cards = [];
+    const tables = [];
+    let subject = null;
+    let month = selectedMonth ? formatPeriod(selectedMonth) : null;
+
+    if (isComparingProductTypes && productTypeComparison) {
+      subject = comparedProductTypes.join(' vs ');
+      filters.push(['Product types', comparedProductTypes.join(', ')], ['Month', month], ['Dates', describeRange(startDate, endDate)], ['Values', units]);
+      const { summaries, daily, portfolioShare } = productTypeComparison;
+      tables.push({
+        name: 'Product Types',
+        totals: true,
+        columns: [
+          { key: 'type', header: 'Product Type' },
+          { key: 'bom', header: 'BOM', format: 'number', total: 'sum' },
+          { key: 'active', header: 'ACTIVE', format: 'number', total: 'sum' },
+          { key: 'endorsements', header: 'Endorsements', format: 'number', total: 'sum' },
+          { key: 'pullouts', header: 'Pullouts', format: 'number', total: 'sum' },
+          { ...growthColumn(), total: 'formula' },
+          netFlowColumn(),
+          { key: 'rowCount', header: 'Rows', format: 'integer', total: 'sum' },
+        ],
+        rows: summaries.map(({ type, rowCount, metrics }) => ({ type, rowCount, bom: metrics.bom, active: metrics.active, endorsements: metrics.totalEndorsements, pullouts: metrics.totalPullouts })),
       });
-    });
+      tables.push({
+        name: 'Net Flow by Type',
+        columns: [dayColumn, ...comparedProductTypes.map(type => ({ key: type, header: type, format: 'ratio', value: (row) => row.netFlow[type] ?? null }))],
+        rows: daily,
+      });
+      tables.push({
+        name: 'MTD Net Growth by Type',
+        columns: [dayColumn, ...comparedProductTypes.map(type => ({ key: type, header: `${type} %`, format: 'percent', value: (row) => row.growth[type] ?? null }))],
+        rows: daily,
+      });
+      tables.push({
+        name: 'Share of Portfolio',
+        columns: [
+          { key: 'label', header: 'Metric' },
+          ...comparedProductTypes.flatMap(type => [
+            { key: `${type}|value`, header: type, format: 'number', value: (row) => row.values[type] },
+            { key: `${type}|share`, header: `${type} Share %`, format: 'percent', value: (row) => row.shares[type] },
+          ]),
+        ],
+        rows: portfolioShare,
+      });
+    } else if (activeTab === 'overall' || activeTab === 'client') {
+      const isOverall = activeTab === 'overall';
+      const metrics = isOverall ? overallMetrics : clientMetrics;
+      subject = isOverall ? selectedProductType : selectedClient;
+      filters.push(
+        [isOverall ? 'Product type' : 'Client', subject],
+        ['Month', month],
+        ['Dates', describeRange(startDate, endDate)],
+        ['Values', units],
+        ['Granularity', GRANULARITY_LABELS[granularity]],
+      );
+      if (summaryComparisonData) filters.push(['Compared with', summaryComparisonData.label]);
+      if (metrics) cards = toSummaryCards(metrics);
+      if (monthEndForecast) {
+        cards.push(
+          { key: 'forecastActive', label: 'Forecast month-end ACTIVE', value: monthEndForecast.active, format: 'number' },
+          { key: 'forecastLow', label: `Forecast ACTIVE low (${FORECAST_CONFIDENCE * 100}% range)`, value: monthEndForecast.activeLow, format: 'number' },
+          { key: 'forecastHigh', label: `Forecast ACTIVE high (${FORECAST_CONFIDENCE * 100}% range)`, value: monthEndForecast.activeHigh, format: 'number' },
+          { key: 'forecastGrowth', label: 'Forecast NET GROWTH %', value: monthEndForecast.growth, format: 'percent' },
+        );
+      }
 
-    const clientComparison = Array.from(clientMap.entries()).map(([name, data]) => {
-      const bomRecord = campaignBomData.find(r => r.CAMPAIGN === name && r.MONTH === currentMonth);
-      const bom = parseNumber(bomRecord?.[viewMode === 'ob' ? 'OB' : 'TNA']);
-      
-      const lastData = campaignData.filter(r => {
-        if (r.CAMPAIGN !== name || r.MONTH !== currentMonth) return false;
-        if (r.DATE) {
-          const day = new Date(r.DATE).getDate();
-          if (day > maxDay) return false;
-        }
-        return true;
-      }).sort((a, b) => new Date(b.DATE) - new Date(a.DATE))[0];
-      
-      const active = parseNumber(lastData?.[viewMode === 'ob' ? 'Total Portfolio OB' : 'Total Portfolio']);
-      const portfolioGrowth = bom !== 0 ? ((active - bom) / bom) * 100 : 0;
-      const netFlowObj = calculateNetFlow(data.totalEndorsements, data.totalPullouts);
+      const isDaily = granularity === 'day';
+      tables.push({
+        name: `${GRANULARITY_LABELS[granularity]} Net Flow`,
+        totals: true,
+        columns: [
+          ...(isDaily ? [dayColumn] : [
+            { key: 'date', header: 'Period' },
+            { key: 'firstDay', header: 'From', format: 'day' },
+            { key: 'day', header: 'To', format: 'day' },
+            { key: 'opening', header: 'Opening', format: 'number' },
+          ]),
+          { key: 'endorsements', header: 'Endorsements', format: 'number', total: 'sum' },
+          { key: 'pullouts', header: 'Pullouts', format: 'number', total: 'sum' },
+          netFlowColumn(),
+          { key: 'portfolio', header: isDaily ? 'Total Portfolio' : 'Closing', format: 'number' },
+          isDaily
+            ? { key: 'portfolioGrowth', header: 'Net Growth % vs BOM', format: 'percent' }
+            : growthColumn({ header: 'Growth %', from: 'opening', to: 'portfolio' }),
+        ],
+        rows: getChartData,
+      });
+      tables.push({
+        name: isDaily ? 'MTD' : 'Running Totals',
+        columns: [
+          isDaily ? dayColumn : { key: 'date', header: 'Period' },
+          { key: 'cumulativeEndorsements', header: 'Cumulative Endorsements', format: 'number' },
+          { key: 'cumulativePullouts', header: 'Cumulative Pullouts', format: 'number' },
+          netFlowColumn({ header: 'Net Flow to Date', endorsements: 'cumulativeEndorsements', pullouts: 'cumulativePullouts' }),
+          { key: 'mtdPortfolioGrowth', header: 'Net Growth %', format: 'percent' },
+        ],
+        rows: getMTDData.map((row, index) => ({ ...row, day: getChartData[index]?.day })),
+      });
+      if (monthEndForecast) {
+        tables.push({
+          name: 'Forecast',
+          columns: [
+            dayColumn,
+            { key: 'active', header: 'Forecast ACTIVE', format: 'number' },
+            { key: 'low', header: 'Low', format: 'number' },
+            { key: 'high', header: 'High', format: 'number' },
+          ],
+          rows: monthEndForecast.path,
+        });
+      }
+      if (dailyAnomalies.length > 0) {
+        tables.push({
+          name: 'Unusual Days',
+          columns: [
+            dayColumn,
+            { key: 'label', header: 'Metric' },
+            { key: 'value', header: 'Value', format: 'number' },
+            { key: 'usual', header: 'Usual', format: 'number' },
+            { key: 'zScore', header: 'Score', format: 'ratio' },
+          ],
+          rows: dailyAnomalies,
+        });
+      }
+      if (summaryComparisonData?.metrics) {
+        const reference = summaryComparisonData.metrics;
+        tables.push({
+          name: 'Comparison',
+          columns: [
+            { key: 'label', header: 'Metric' },
+            { key: 'current', header: month, format: 'number' },
+            { key: 'reference', header: summaryComparisonData.label, format: 'number' },
+            { key: 'change', header: 'Change', format: 'number', value: (row) => row.current - row.reference, formula: (refs) => `${refs.current}-${refs.reference}` },
+          ],
+          rows: metrics ? [
+            { label: 'BOM', current: metrics.bom, reference: reference.bom },
+            { label: 'ACTIVE', current: metrics.active, reference: reference.active },
+            { label: 'ENDORSEMENTS', current: metrics.totalEndorsements, reference: reference.totalEndorsements },
+            { label: 'PULLOUTS', current: metrics.totalPullouts, reference: reference.totalPullouts },
+            { label: 'NET GROWTH %', current: metrics.portfolioGrowth, reference: reference.portfolioGrowth },
+          ] : [],
+        });
+      }
+      if (summaryTargetProgress.length > 0) tables.push(toTargetTable(summaryTargetProgress));
+    } else if (activeTab === 'monthly') {
+      const { monthlyMetrics, clientComparison, mtdTrend, businessDayMap, uncoveredMonths, alignment } = monthlyComparisonData;
+      const isBusiness = alignment === 'business';
+      subject = selectedComparisonProductType;
+      month = null;
+      filters.push(
+        ['Product type', subject],
+        ['Months', selectedMonths.map(formatPeriod).join(', ')],
+        ['Aligned by', isBusiness ? 'Business days' : 'Calendar days'],
+        ['Compared up to', `${isBusiness ? 'Business day' : 'Day'} ${monthlyComparisonData.maxDay}`],
+        ['Clients', CLIENT_RANKING_LABELS[clientRankingView]],
+        ['Values', units],
+      );
+      const uncovered = describeUncoveredMonths(uncoveredMonths);
+      if (uncovered) filters.push(['Holiday calendar', uncovered]);
+      tables.push({
+        name: 'Months',
+        columns: [
+          { key: 'month', header: 'Month' },
+          { key: 'bom', header: 'BOM', format: 'number' },
+          { key: 'active', header: 'ACTIVE', format: 'number' },
+          { key: 'endorsements', header: 'Endorsements', format: 'number' },
+          { key: 'pullouts', header: 'Pullouts', format: 'number' },
+          growthColumn(),
+          netFlowColumn(),
+        ],
+        rows: monthlyMetrics.map(m => ({ month: m.monthLabel, bom: m.bom, active: m.active, endorsements: m.totalEndorsements, pullouts: m.totalPullouts })),
+      });
+      tables.push({
+        name: 'MTD Net Growth',
+        columns: [
+          { key: 'alignedDay', header: isBusiness ? 'Business Day' : 'Day', format: 'integer' },
+          ...selectedMonths.map(m => ({ key: m, header: `${formatPeriod(m)} %`, format: 'percent' })),
+        ],
+        rows: mtdTrend,
+      });
+      if (businessDayMap.length > 0) {
+        tables.push({
+          name: 'Business Days',
+          columns: [
+            { key: 'alignedDay', header: 'Business Day', format: 'integer' },
+            ...businessDayMap.map(({ month: period, days }) => ({ key: period, header: formatPeriod(period), format: 'day', value: (row) => days[row.alignedDay - 1] ?? null })),
+          ],
+          rows: mtdTrend,
+        });
+      }
+      tables.push({
+        name: 'Clients',
+        columns: [
+          { key: 'name', header: 'Client' },
+          { key: 'bom', header: 'BOM', format: 'number' },
+          { key: 'active', header: 'ACTIVE', format: 'number' },
+          { key: 'endorsements', header: 'Endorsements', format: 'number' },
+          { key: 'pullouts', header: 'Pullouts', format: 'number' },
+          growthColumn(),
+          netFlowColumn(),
+          { key: 'target', header: 'Net Growth Target %', format: 'percent', value: (row) => row.targetProgress?.target ?? null },
+          { key: 'met', header: 'Target Met', value: (row) => row.targetProgress?.met ?? null },
+        ],
+        rows: clientComparison.map(c => ({ ...c, endorsements: c.totalEndorsements, pullouts: c.totalPullouts })),
+      });
+    } else if (activeTab === 'trends') {
+      const isCampaign = trendScope === 'campaign';
+      subject = isCampaign ? selectedClient : selectedProductType;
+      month = null;
+      filters.push([isCampaign ? 'Client' : 'Product type', subject], ['Values', units]);
+      tables.push({
+        name: 'Monthly Figures',
+        totals: true,
+        columns: [
+          { key: 'label', header: 'Month' },
+          { key: 'firstDay', header: 'First Day', format: 'day' },
+          { key: 'lastDay', header: 'Last Day', format: 'day' },
+          { key: 'bom', header: 'BOM', format: 'number' },
+          { key: 'active', header: 'Month-end ACTIVE', format: 'number' },
+          { key: 'endorsements', header: 'Endorsements', format: 'number', total: 'sum' },
+          { key: 'pullouts', header: 'Pullouts', format: 'number', total: 'sum' },
+          netFlowColumn(),
+          { key: 'momGrowth', header: 'MoM Growth %', format: 'percent' },
+        ],
+        rows: trendMonths,
+      });
+    } else if (activeTab === 'field' || activeTab === 'fieldCampaign') {
+      const isField = activeTab === 'field';
+      const metrics = isField ? fieldMetrics : fieldCampaignMetrics;
+      subject = isField ? selectedProductType : selectedClient;
+      filters.push([isField ? 'Product type' : 'Client', subject], ['Month', month], ['Dates', describeRange(fieldStartDate, fieldEndDate)], ['Values', units]);
+      if (metrics) {
+        cards = [
+          { key: 'totalPortfolio', label: 'Total Portfolio', value: metrics.totalPortfolio, format: 'number' },
+          { key: 'totalNewEndo', label: 'New Endorsements', value: metrics.totalNewEndo, format: 'number' },
+          { key: 'totalPullouts', label: 'Pullouts', value: metrics.totalPullouts, format: 'number' },
+          { key: 'endorseToField', label: 'Endorse to Field', value: metrics.endorseToField, format: 'number' },
+          { key: 'totalVisited', label: 'VISITED', value: metrics.totalVisited, format: 'number' },
+          { key: 'totalPending', label: 'PENDING', value: metrics.totalPending, format: 'number', formula: (refs) => `${refs.endorseToField}-${refs.totalVisited}` },
+        ];
+      }
+      const visitColumns = (names) => names.map(name => ({ key: name, header: name, format: 'number', total: 'sum' }));
+      tables.push({
+        name: 'Daily Visits',
+        totals: true,
+        columns: [dayColumn, { key: 'visited', header: 'Visited', format: 'number', total: 'sum' }],
+        rows: isField ? fieldDailyChartData : fieldCampaignChartData,
+      });
+      if (isField) {
+        tables.push({ name: 'Visits per Client', totals: true, columns: [dayColumn, ...visitColumns(clientNames)], rows: fieldPerClientChartData });
+        tables.push({ name: 'Visits per Area', totals: true, columns: [dayColumn, ...visitColumns(areaNames)], rows: fieldPerAreaChartData });
+      } else {
+        tables.push({ name: 'Visits per Area', totals: true, columns: [dayColumn, ...visitColumns(areaNamesForClient)], rows: fieldPerAreaByClientChartData });
+      }
+      if (summaryTargetProgress.length > 0) tables.push(toTargetTable(summaryTargetProgress));
+    } else if (activeTab === 'columns') {
+      month = null;
+      tables.push({
+        name: 'Column Mapping',
+        columns: [
+          { key: 'sheet', header: 'Sheet' },
+          { key: 'field', header: 'Field' },
+          { key: 'header', header: 'Mapped Header' },
+          { key: 'resolvedHeader', header: 'Found As' },
+          { key: 'found', header: 'Found' },
+          { key: 'optional', header: 'Optional' },
+          { key: 'type', header: 'Type' },
+          { key: 'description', header: 'Description' },
+        ],
+        rows: Object.entries(columnReport).flatMap(([sheet, columns]) => columns.map(column => ({ sheet, ...column }))),
+      });
+    } else if (activeTab === 'quality') {
+      month = null;
+      tables.push({
+        name: 'Data Quality',
+        columns: [
+          { key: 'sheet', header: 'Sheet' },
+          { key: 'type', header: 'Issue', value: (issue) => ISSUE_TYPES[issue.type] || issue.type },
+          { key: 'rows', header: 'Sheet Rows', value: (issue) => issue.rows.join(', ') },
+          { key: 'column', header: 'Column' },
+          { key: 'value', header: 'Value' },
+          { key: 'message', header: 'Details' },
+        ],
+        rows: dataQualityIssues,
+      });
+    }
 
-      return { name, bom, active, portfolioGrowth, netFlowObj, ...data };
-    }).sort((a, b) => b.portfolioGrowth - a.portfolioGrowth);
+    exportWorkbook(
+      { title: `MC03 Endorsement Flow Monitoring · ${TAB_LABELS[activeTab]}`, filters, cards, tables },
+      getExportFileName(['MC03', TAB_LABELS[activeTab], subject, month]),
+    );
+  };
 
-    const filteredClients = clientRankingView === 'top5' 
-      ? clientComparison.slice(0, 5)
-      : clientRankingView === 'bottom5'
-      ? clientComparison.slice(-5).reverse()
-      : clientComparison;
+  // Client tab on one campaign and date, from a drill-down row
+  const openClientDay = (campaign, day) => {
+    setDrillDown(null);
+    applyView({ ...currentView, activeTab: 'client', selectedClient: campaign, selectedMonth: getDayPeriod(day), startDate: day, endDate: day, granularity: 'day' });
+  };
 
-    return { monthlyMetrics, clientComparison: filteredClients, maxDay };
-  }, [activeTab, selectedMonths, dailyData, campaignData, bomData, campaignBomData, selectedComparisonProductType, viewMode, clientRankingView]);
+  const missingColumns = useMemo(() => describeMissingColumns(columnReport), [columnReport]);
+
+  const dataQualityIssues = useMemo(() => buildDataQualityReport({
+    dailyData, bomData, campaignData, campaignBomData, fieldDailyData, fieldBomData, fieldCampaignData, fieldEndoData, perAreaData, targetData,
+  }, columnMapping), [dailyData, bomData, campaignData, campaignBomData, fieldDailyData, fieldBomData, fieldCampaignData, fieldEndoData, perAreaData, targetData, columnMapping]);
+
+  const ambiguousDateCount = useMemo(() => dataQualityIssues.filter(issue => issue.type === 'ambiguousDate').length, [dataQualityIssues]);
 
   const getRandomColor = (index) => {
     const colors = [
@@ -1058,20 +1813,36 @@ export default function EndorsementMonitor() {
               <div className="mt-4 text-sm text-red-700">
                 <p className="font-semibold mb-2">Please check:</p>
                 <ul className="list-disc list-inside space-y-1">
-                  <li>Google Sheet ID and API Key are correctly configured in the code</li>
-                  <li>Google Sheet is shared with "Anyone with the link can view"</li>
+                  <li>The workbook proxy is running (npm run server) and reachable at {WORKBOOK_API_URL}</li>
+                  <li>GOOGLE_SHEET_ID and GOOGLE_API_KEY are correctly configured for the proxy</li>
                   <li>Google Sheets API is enabled in your Google Cloud project</li>
-                  <li>Required sheets exist: DAILY, BOM, CAMPAIGN, CAMPAIGN_BOM</li>
+                  <li>Required sheets exist: {REQUIRED_SHEETS.join(', ')}</li>
                 </ul>
               </div>
-              <button
-                onClick={fetchGoogleSheetData}
-                className="mt-4 px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
-              >
-                Retry
-              </button>
+              {sheetLoadReport.length > 0 && (
+                <div className="mt-4 bg-white border border-red-100 rounded p-3">
+                  <p className="text-xs font-semibold text-gray-600 mb-2">Data sources</p>
+                  <LoadReportTable report={sheetLoadReport} columnReport={columnReport} />
+                </div>
+              )}
+              <div className="flex gap-2 mt-4">
+                <button
+                  onClick={dataSource === 'sheets' ? fetchGoogleSheetData : switchToGoogleSheets}
+                  className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700"
+                >
+                  {dataSource === 'sheets' ? 'Retry' : 'Use Google Sheets'}
+                </button>
+                <label className="px-4 py-2 border border-red-300 text-red-700 rounded cursor-pointer hover:bg-red-100 flex items-center gap-2">
+                  <Upload className="h-4 w-4" />
+                  Upload Excel/CSV File
+                  <input type="file" accept=".xlsx,.xls,.csv" multiple onChange={handleFileInputChange} className="hidden" />
+                </label>
+              </div>
             </div>
           </div>
+          <FileDropZone onFiles={handleFileUpload} disabled={loading} className="max-w-2xl mx-auto border-2 border-dashed border-gray-300 rounded p-6 text-center text-sm text-gray-500">
+            Or drop a workbook (.xlsx) or sheet CSVs ({REQUIRED_SHEETS.map(sheet => `${sheet}.csv`).join(', ')}, ...) here
+          </FileDropZone>
         </div>
       </div>
     );
@@ -1094,55 +1865,189 @@ export default function EndorsementMonitor() {
   }
 
   return (
-    <div className="min-h-screen bg-white p-6">
-      <div className="max-w-7xl mx-auto">
-        <div className="flex justify-between items-center mb-4 border-b-2 border-gray-300 pb-4">
+    <div className="min-h-screen bg-white p-6 print:p-0">
+      <div className={`max-w-7xl mx-auto ${isReportOpen ? 'print:hidden' : ''}`}>
+        <FileDropZone onFiles={handleFileUpload} disabled={loading} className="flex justify-between items-center mb-4 border-b-2 border-gray-300 pb-4">
           <div>
             <p className="text-md sm:text-xl font-bold">MC03 Endorsement Flow Monitoring</p>
             <div className="flex items-center gap-4 mt-1">
-              <p className="text-sm text-green-600">✓ Connected to database</p>
+              {dataSource === 'sheets' ? (
+                <p className="text-sm text-green-600 flex items-center gap-1">
+                  <Cloud className="h-4 w-4" /> Source: Google Sheets (live)
+                </p>
+              ) : (
+                <p className="text-sm text-amber-600 flex items-center gap-1" title={uploadedFileName}>
+                  <FileSpreadsheet className="h-4 w-4" /> Source: Local file — {uploadedFileName}
+                </p>
+              )}
               {lastRefreshed && (
                 <p className="text-xs text-gray-500">
-                  Last updated: {lastRefreshed.toLocaleTimeString()}
+                  {dataSource === 'sheets' ? 'Last updated' : 'Loaded'}: {lastRefreshed.toLocaleTimeString()}
                 </p>
               )}
-              <p className="text-xs text-gray-500">
-                Auto-refresh: {AUTO_REFRESH_INTERVAL / 1000}s
-              </p>
+              {dataSource === 'sheets' && (
+                <p className="text-xs text-gray-500">
+                  Auto-refresh: {AUTO_REFRESH_INTERVAL / 1000}s
+                </p>
+              )}
+              {sheetLoadReport.length > 0 && <DataSourcesPanel report={sheetLoadReport} columnReport={columnReport} />}
             </div>
           </div>
-          <div className="flex gap-2">
+          <div className="flex gap-2 items-center">
+            <div className="flex rounded border border-gray-300 overflow-hidden text-sm" title="Data Source">
+              <button
+                onClick={switchToGoogleSheets}
+                disabled={loading}
+                className={`px-3 py-2 flex items-center gap-1 ${dataSource === 'sheets' ? 'bg-indigo-600 text-white' : 'bg-white hover:bg-gray-50'}`}
+              >
+                <Cloud className="h-4 w-4" />
+                Google Sheets
+              </button>
+              <label className={`px-3 py-2 flex items-center gap-1 cursor-pointer ${dataSource === 'file' ? 'bg-indigo-600 text-white' : 'bg-white hover:bg-gray-50'}`}>
+                <Upload className="h-4 w-4" />
+                {dataSource === 'file' ? 'Upload New' : 'Local File'}
+                <input type="file" accept=".xlsx,.xls,.csv" multiple onChange={handleFileInputChange} disabled={loading} className="hidden" />
+              </label>
+            </div>
+            <AlertCenter
+              alerts={alerts}
+              evaluatedAt={alertsCheckedAt}
+              onRulesChange={(rules) => { if (alertDatasetsRef.current) checkAlerts(alertDatasetsRef.current, rules); }}
+              onOpen={applyView}
+            />
+            <SavedViewsMenu currentView={currentView} onApply={applyView} />
+            {activeTab !== 'explorer' && (
+              <button onClick={handleExport} className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2" title="Export this tab's figures to Excel">
+                <FileDown className="h-4 w-4" />
+                Export
+              </button>
+            )}
+            <button onClick={() => setIsReportOpen(true)} className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2" title="Build a printable month-end report">
+              <FileText className="h-4 w-4" />
+              Report
+            </button>
             <button onClick={resetFilters} className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2">
               <RefreshCw className="h-4 w-4" />
               Reset Filters
             </button>
-            <button 
-              onClick={fetchGoogleSheetData} 
-              disabled={loading}
-              className="px-4 py-2 bg-indigo-600 rounded hover:bg-indigo-700 flex items-center gap-2 disabled:bg-gray-400"
-            >
-              <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
-              {loading ? 'Refreshing...' : 'Refresh Now'}
-            </button>
+            {dataSource === 'sheets' && (
+              <button 
+                onClick={() => fetchGoogleSheetData({ refresh: true })} 
+                disabled={loading}
+                className="px-4 py-2 bg-indigo-600 rounded hover:bg-indigo-700 flex items-center gap-2 disabled:bg-gray-400"
+              >
+                <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+                {loading ? 'Refreshing...' : 'Refresh Now'}
+              </button>
+            )}
           </div>
-        </div>
+        </FileDropZone>
+
+        {staleSince && (
+          <div className="bg-amber-50 border border-amber-200 rounded p-3 mb-4 flex items-center gap-3 text-sm text-amber-800">
+            <WifiOff className="h-4 w-4 flex-shrink-0" />
+            <span>
+              Showing stale data from {staleSince.toLocaleString()}
+              {loading ? ' — refreshing in the background...' : error ? ' — the latest refresh failed.' : ''}
+            </span>
+          </div>
+        )}
+
+        {missingColumns.length > 0 && activeTab !== 'columns' && (
+          <div className="bg-amber-50 border border-amber-200 rounded p-4 mb-4 flex gap-3">
+            <AlertCircle className="h-5 w-5 text-amber-600 flex-shrink-0" />
+            <div className="text-sm text-amber-800">
+              <h3 className="font-semibold">Expected columns not found</h3>
+              <p className="mt-1">Values read from these columns show as 0 until the sheet header or the column mapping is fixed:</p>
+              <ul className="list-disc list-inside mt-1">
+                {missingColumns.map(line => <li key={line}>{line}</li>)}
+              </ul>
+              <button onClick={() => setActiveTab('columns')} className="mt-2 text-indigo-600 hover:underline">Open Column Mapping</button>
+            </div>
+          </div>
+        )}
+
+        {unavailableSelections.length > 0 && (
+          <div className="bg-blue-50 border border-blue-200 rounded p-3 mb-4 flex items-center gap-3 text-sm text-blue-800">
+            <AlertCircle className="h-4 w-4 flex-shrink-0" />
+            <span className="flex-1">
+              Not in the current data: {unavailableSelections.join(', ')}. Showing the first available {unavailableSelections.length === 1 ? 'option' : 'options'} instead.
+            </span>
+            <button onClick={() => setUnavailableSelections([])} className="text-blue-600 hover:underline">Dismiss</button>
+          </div>
+        )}
+
+        {ambiguousDateCount > 0 && activeTab !== 'quality' && activeTab !== 'columns' && (
+          <div className="bg-amber-50 border border-amber-200 rounded p-3 mb-4 flex items-center gap-3 text-sm text-amber-800">
+            <AlertCircle className="h-4 w-4 flex-shrink-0" />
+            <span>
+              {ambiguousDateCount} {ambiguousDateCount === 1 ? 'row has a date' : 'rows have dates'} that could be read as either {DATE_FORMATS.mdy} or {DATE_FORMATS.dmy} and {ambiguousDateCount === 1 ? 'was' : 'were'} read as {DATE_FORMATS.mdy}.
+            </span>
+            <button onClick={() => setActiveTab('quality')} className="text-indigo-600 hover:underline">Review</button>
+            <button onClick={() => setActiveTab('columns')} className="text-indigo-600 hover:underline">Set date format</button>
+          </div>
+        )}
+
+        {error && (
+          <div className="bg-red-50 border border-red-200 rounded p-4 mb-4 flex gap-3">
+            <AlertCircle className="h-5 w-5 text-red-600 flex-shrink-0" />
+            <div>
+              <h3 className="font-semibold text-red-800">{dataSource === 'sheets' ? 'Error Loading Data' : 'Error Loading File'}</h3>
+              <p className="text-sm text-red-700 whitespace-pre-line">{error}</p>
+            </div>
+          </div>
+        )}
 
         <div className="flex gap-4 mb-6 border-b border-gray-200">
           <button onClick={() => setActiveTab('overall')} className={`px-4 py-2 font-medium transition-colors ${activeTab === 'overall' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}>Overall</button>
           <button onClick={() => setActiveTab('client')} className={`px-4 py-2 font-medium transition-colors ${activeTab === 'client' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}>Client</button>
           <button onClick={() => setActiveTab('monthly')} className={`px-4 py-2 font-medium transition-colors ${activeTab === 'monthly' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}>Monthly Comparison</button>
+          <button onClick={() => setActiveTab('trends')} className={`px-4 py-2 font-medium transition-colors ${activeTab === 'trends' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}>Trends</button>
           <button onClick={() => setActiveTab('field')} className={`px-4 py-2 font-medium transition-colors ${activeTab === 'field' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}>Field Result Tracker</button>
           <button onClick={() => setActiveTab('fieldCampaign')} className={`px-4 py-2 font-medium transition-colors ${activeTab === 'fieldCampaign' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}>Field Result Per Campaign</button>
+          <button onClick={() => setActiveTab('explorer')} className={`px-4 py-2 font-medium transition-colors ${activeTab === 'explorer' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}>Data Explorer</button>
+          <button onClick={() => setActiveTab('columns')} className={`px-4 py-2 font-medium transition-colors ${activeTab === 'columns' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}>Column Mapping</button>
+          <button onClick={() => setActiveTab('quality')} className={`px-4 py-2 font-medium transition-colors flex items-center gap-2 ${activeTab === 'quality' ? 'border-b-2 border-indigo-600 text-indigo-600' : 'text-gray-500 hover:text-gray-700'}`}>
+            Data Quality
+            {dataQualityIssues.length > 0 && (
+              <span className="text-xs bg-orange-100 text-orange-700 rounded-full px-2">{dataQualityIssues.length}</span>
+            )}
+          </button>
         </div>
 
-        {activeTab === 'field' ? (
+        {activeTab === 'quality' ? (
+          <DataQualityReport issues={dataQualityIssues} />
+        ) : activeTab === 'trends' ? (
+          <TrendsView
+            months={trendMonths}
+            productTypes={availableProductTypes}
+            clients={availableClients}
+            scope={trendScope}
+            onScopeChange={setTrendScope}
+            productType={selectedProductType}
+            onProductTypeChange={setSelectedProductType}
+            client={selectedClient}
+            onClientChange={setSelectedClient}
+            viewMode={viewMode}
+            onViewModeChange={setViewMode}
+          />
+        ) : activeTab === 'explorer' ? (
+          <DataExplorer
+            datasets={{ dailyData, campaignData, fieldEndoData, perAreaData }}
+            month={selectedMonth}
+            productType={selectedProductType}
+            client={selectedClient}
+          />
+        ) : activeTab === 'columns' ? (
+          <ColumnMappingAdmin mapping={columnMapping} dateFormat={dateFormat} sheetHeaders={sheetHeaders} onSave={saveColumnMapping} />
+        ) : activeTab === 'field' ? (
           <>
             <div className="bg-white rounded-lg p-6 shadow-sm border mb-6">
               <div className="grid grid-cols-4 gap-4">
                 <div>
                   <label className="block text-xs font-medium text-gray-600 mb-2">Month</label>
                   <select value={selectedMonth} onChange={(e) => setSelectedMonth(e.target.value)} className="w-full p-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500">
-                    {availableMonths.map(m => <option key={m} value={m}>{m}</option>)}
+                    {availableMonths.map(m => <option key={m} value={m}>{formatPeriod(m)}</option>)}
                   </select>
                 </div>
                 <div>
@@ -1195,6 +2100,8 @@ export default function EndorsementMonitor() {
               </div>
             )}
 
+            <TargetProgress progress={summaryTargetProgress} className="mb-6" />
+
             <div className="bg-white rounded-lg p-6 shadow-sm border mb-6">
               <h3 className="text-sm font-semibold text-gray-700 mb-4 uppercase">{selectedProductType} - DAILY VISITATION SUMMARY</h3>
               <div className="border rounded-lg p-4 bg-gray-50" style={{ minHeight: '350px' }}>
@@ -1217,7 +2124,7 @@ export default function EndorsementMonitor() {
               <h3 className="text-sm font-semibold text-gray-700 mb-4 uppercase">PER CLIENT</h3>
               <div className="border rounded-lg p-4 bg-gray-50" style={{ minHeight: '350px' }}>
                 <ResponsiveContainer width="100%" height={300}>
-                  <LineChart data={fieldPerClientChartData}>
+                  <LineChart data={fieldPerClientChartData} onClick={(state) => drillIntoFieldDay(state, fieldPerClientChartData, 'FIELD_CAMPAIGN', filteredFieldCampaignData, `${selectedProductType} per client`)} className="cursor-pointer">
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis dataKey="date" tick={{ fontSize: 10 }} angle={-45} textAnchor="end" height={60} />
                     <YAxis tick={{ fontSize: 10 }} />
@@ -1246,7 +2153,7 @@ export default function EndorsementMonitor() {
                   </div>
                 ) : (
                   <ResponsiveContainer width="100%" height={300}>
-                    <LineChart data={fieldPerAreaChartData}>
+                    <LineChart data={fieldPerAreaChartData} onClick={(state) => drillIntoFieldDay(state, fieldPerAreaChartData, 'PER_AREA', filteredPerAreaData, `${selectedProductType} per area`)} className="cursor-pointer">
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="date" tick={{ fontSize: 10 }} angle={-45} textAnchor="end" height={60} />
                       <YAxis tick={{ fontSize: 10 }} />
@@ -1274,7 +2181,7 @@ export default function EndorsementMonitor() {
                 <div>
                   <label className="block text-xs font-medium text-gray-600 mb-2">Month</label>
                   <select value={selectedMonth} onChange={(e) => setSelectedMonth(e.target.value)} className="w-full p-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500">
-                    {availableMonths.map(m => <option key={m} value={m}>{m}</option>)}
+                    {availableMonths.map(m => <option key={m} value={m}>{formatPeriod(m)}</option>)}
                   </select>
                 </div>
                 <div>
@@ -1327,6 +2234,8 @@ export default function EndorsementMonitor() {
               </div>
             )}
 
+            <TargetProgress progress={summaryTargetProgress} className="mb-6" />
+
             <div className="bg-white rounded-lg p-6 shadow-sm border mb-6">
               <h3 className="text-sm font-semibold text-gray-700 mb-4 uppercase">{selectedClient} - DAILY VISITATION</h3>
               <div className="border rounded-lg p-4 bg-gray-50" style={{ minHeight: '350px' }}>
@@ -1360,7 +2269,7 @@ export default function EndorsementMonitor() {
                   </div>
                 ) : (
                   <ResponsiveContainer width="100%" height={300}>
-                    <LineChart data={fieldPerAreaByClientChartData}>
+                    <LineChart data={fieldPerAreaByClientChartData} onClick={(state) => drillIntoFieldDay(state, fieldPerAreaByClientChartData, 'PER_AREA', filteredPerAreaByClient, `${selectedClient} per area`)} className="cursor-pointer">
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="date" tick={{ fontSize: 10 }} angle={-45} textAnchor="end" height={60} />
                       <YAxis tick={{ fontSize: 10 }} />
@@ -1388,10 +2297,10 @@ export default function EndorsementMonitor() {
                 <div className="flex-1">
                   <label className="block text-xs font-medium text-gray-600 mb-1">Month</label>
                   <select value={selectedMonth} onChange={(e) => setSelectedMonth(e.target.value)} className="w-full p-2 border rounded text-sm">
-                    {availableMonths.map(m => <option key={m} value={m}>{m}</option>)}
+                    {availableMonths.map(m => <option key={m} value={m}>{formatPeriod(m)}</option>)}
                   </select>
                 </div>
-                {activeTab === 'overall' && (
+                {activeTab === 'overall' && !isComparingProductTypes && (
                   <div className="flex-1">
                     <label className="block text-xs font-medium text-gray-600 mb-1">Product Type</label>
                     <select value={selectedProductType} onChange={(e) => setSelectedProductType(e.target.value)} className="w-full p-2 border rounded text-sm">
@@ -1399,6 +2308,17 @@ export default function EndorsementMonitor() {
                     </select>
                   </div>
                 )}
+                {activeTab === 'overall' && (
+                  <div className="flex-1">
+                    <MultiSelectDropdown
+                      label="Side by Side"
+                      options={availableProductTypes}
+                      value={comparedProductTypes}
+                      onChange={setComparedProductTypes}
+                      placeholder="Pick 2+ product types..."
+                    />
+                  </div>
+                )}
                 {activeTab === 'client' && (
                   <div className="flex-1">
                     <label className="block text-xs font-medium text-gray-600 mb-1">Client</label>
@@ -1415,6 +2335,20 @@ export default function EndorsementMonitor() {
                   <label className="block text-xs font-medium text-gray-600 mb-1">End Date</label>
                   <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} className="w-full p-2 border rounded text-sm" />
                 </div>
+                {((activeTab === 'overall' && !isComparingProductTypes) || activeTab === 'client') && (
+                  <div className="flex-1">
+                    <label className="flex items-center gap-1 text-xs font-medium text-gray-600 mb-1">
+                      Granularity
+                      <InfoTooltip text={`Week, month and quarter redraw the charts over the Start/End Date range, or without one the last ${ROLLUP_WINDOWS.week} weeks, ${ROLLUP_WINDOWS.month} months or ${ROLLUP_WINDOWS.quarter} quarters through the selected month. The summary stays on the selected month.`} />
+                    </label>
+                    <select value={granularity} onChange={(e) => setGranularity(e.target.value)} className="w-full p-2 border rounded text-sm">
+                      <option value="day">Day</option>
+                      <option value="week">Week</option>
+                      <option value="month">Month</option>
+                      <option value="quarter">Quarter</option>
+                    </select>
+                  </div>
+                )}
               </div>
             )}
 
@@ -1422,14 +2356,17 @@ export default function EndorsementMonitor() {
               <div className="bg-white rounded-lg p-6 shadow-md mb-6">
                 <div className="flex justify-between items-center mb-4">
                   <h2 className="text-xl font-bold">📅 MTD Comparison Filters</h2>
-                  <div className="text-sm bg-blue-50 px-3 py-1 rounded">Day {monthlyComparisonData.maxDay} MTD</div>
+                  <div className="text-sm bg-blue-50 px-3 py-1 rounded">
+                    {monthlyComparisonData.alignment === 'business' ? 'Business day' : 'Day'} {monthlyComparisonData.maxDay} MTD
+                  </div>
                 </div>
-                <div className="grid grid-cols-3 gap-4">
+                <div className="grid grid-cols-4 gap-4">
                   <MultiSelectDropdown
                     label="Select Months"
                     options={availableMonths}
                     value={selectedMonths}
                     onChange={setSelectedMonths}
+                    formatOption={formatPeriod}
                   />
                   <div>
                     <label className="block text-xs font-medium text-gray-600 mb-2">Product Type</label>
@@ -1448,15 +2385,171 @@ export default function EndorsementMonitor() {
                       </button>
                     </div>
                   </div>
+                  <div>
+                    <label className="flex items-center gap-1 text-xs font-medium text-gray-600 mb-2">
+                      Align Months By
+                      <InfoTooltip text="Calendar day compares every month up to the same date. Business day compares up to the same working day, skipping weekends and the holidays in src/holidays.json, so a month with more weekends or holidays is not cut short." />
+                    </label>
+                    <select value={comparisonAlignment} onChange={(e) => setComparisonAlignment(e.target.value)} className="w-full p-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500">
+                      <option value="calendar">Calendar day</option>
+                      <option value="business">Business day</option>
+                    </select>
+                  </div>
                 </div>
+                {monthlyComparisonData.uncoveredMonths.length > 0 && (
+                  <div className="mt-4 bg-amber-50 border border-amber-200 rounded p-3 flex items-center gap-3 text-sm text-amber-800">
+                    <AlertCircle className="h-4 w-4 flex-shrink-0" />
+                    <span>{describeUncoveredMonths(monthlyComparisonData.uncoveredMonths)}. Add their holidays to src/holidays.json.</span>
+                  </div>
+                )}
+                {monthlyComparisonData.businessDayMap.length > 0 && monthlyComparisonData.maxDay > 0 && (
+                  <div className="mt-4">
+                    <h3 className="text-sm font-semibold text-gray-700 mb-2">Business Days → Calendar Days</h3>
+                    <div className="overflow-x-auto">
+                      <table className="border-collapse text-xs">
+                        <thead>
+                          <tr className="bg-gray-100">
+                            <th className="border px-2 py-1 text-left">Month</th>
+                            {monthlyComparisonData.businessDayMap[0].days.map((_, index) => (
+                              <th key={index} className="border px-2 py-1 text-center">BD {index + 1}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {monthlyComparisonData.businessDayMap.map(({ month, days }) => (
+                            <tr key={month}>
+                              <td className="border px-2 py-1 font-medium whitespace-nowrap">{formatPeriod(month)}</td>
+                              {Array.from({ length: monthlyComparisonData.maxDay }, (_, index) => (
+                                <td key={index} className="border px-2 py-1 text-center">{days[index] ? getDayOfMonth(days[index]) : '—'}</td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    {monthlyComparisonData.businessDayMap.some(({ holidays }) => holidays.length > 0) && (
+                      <p className="text-xs text-gray-500 mt-2">
+                        Holidays skipped: {monthlyComparisonData.businessDayMap
+                          .flatMap(({ holidays }) => holidays)
+                          .map(holiday => `${formatDay(holiday.day)} (${holiday.name})`)
+                          .join(', ')}
+                      </p>
+                    )}
+                  </div>
+                )}
               </div>
             )}
 
-            {(activeTab === 'overall' && overallMetrics) && (
+            {productTypeComparison && (
+              <>
+                <div className="bg-white border rounded-lg p-6 mb-6">
+                  <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-lg font-bold">PRODUCT TYPES - SIDE BY SIDE</h2>
+                    <div className="flex gap-2">
+                      <button onClick={() => setViewMode('count')} className={`p-2 rounded ${viewMode === 'count' ? 'bg-red-500 text-white' : 'bg-gray-100'}`}><Hash className="h-5 w-5" /></button>
+                      <button onClick={() => setViewMode('ob')} className={`p-2 rounded ${viewMode === 'ob' ? 'bg-red-500 text-white' : 'bg-gray-100'}`}><DollarSign className="h-5 w-5" /></button>
+                    </div>
+                  </div>
+                  <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${productTypeComparison.summaries.length}, minmax(0, 1fr))` }}>
+                    {productTypeComparison.summaries.map(({ type, rowCount, metrics }, index) => (
+                      <div key={type} className="border rounded-lg p-4" style={{ borderTopColor: getRandomColor(index), borderTopWidth: 4 }}>
+                        <h3 className="font-bold mb-3">{type}</h3>
+                        {rowCount === 0 ? (
+                          <p className="text-sm text-gray-400">No rows for {formatPeriod(selectedMonth)}.</p>
+                        ) : (
+                          <div className="space-y-2 text-sm">
+                            <div className="flex justify-between"><span>BOM</span><span className="font-semibold">{formatNumber(metrics.bom)}</span></div>
+                            <div className="flex justify-between"><span>ACTIVE</span><span className="font-semibold">{formatNumber(metrics.active)}</span></div>
+                            <div className="flex justify-between items-center">
+                              <span>NET GROWTH</span>
+                              <span className="font-semibold">
+                                {formatPercent(metrics.portfolioGrowth)} <span className={getGrowthIndicator(metrics.portfolioGrowth).color}>{getGrowthIndicator(metrics.portfolioGrowth).icon}</span>
+                              </span>
+                            </div>
+                            <div className="flex justify-between items-center">
+                              <span>NET FLOW</span>
+                              <span className="font-semibold">
+                                {formatNetFlow(metrics.netFlowObj)} <span className={getNetFlowIndicator(metrics.netFlowObj).color}>{getNetFlowIndicator(metrics.netFlowObj).icon}</span>
+                              </span>
+                            </div>
+                            <div className="flex justify-between"><span>Endorsements</span><span>{formatNumber(metrics.totalEndorsements)}</span></div>
+                            <div className="flex justify-between"><span>Pullouts</span><span>{formatNumber(metrics.totalPullouts)}</span></div>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+                  <div className="space-y-6">
+                    <div>
+                      <h3 className="text-sm font-semibold mb-3">NET FLOW DAILY</h3>
+                      <ResponsiveContainer width="100%" height={250}>
+                        <LineChart data={productTypeComparison.daily} onClick={drillIntoComparisonPoint} className="cursor-pointer">
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="date" tick={{ fontSize: 10 }} angle={-45} textAnchor="end" height={60} />
+                          <YAxis tick={{ fontSize: 10 }} />
+                          <RechartsTooltip formatter={(value) => formatNumber(value)} />
+                          <Legend />
+                          {productTypeComparison.summaries.map(({ type }, index) => (
+                            <Line key={type} type="monotone" dataKey={entry => entry.netFlow[type]} name={type} stroke={getRandomColor(index)} strokeWidth={2} connectNulls />
+                          ))}
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <div>
+                      <h3 className="text-sm font-semibold mb-3">MTD Net Growth</h3>
+                      <ResponsiveContainer width="100%" height={250}>
+                        <LineChart data={productTypeComparison.daily}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="date" tick={{ fontSize: 10 }} />
+                          <YAxis tickFormatter={(value) => `${value}%`} />
+                          <RechartsTooltip formatter={(value) => `${formatNumber(value)}%`} />
+                          <Legend />
+                          {productTypeComparison.summaries.map(({ type }, index) => (
+                            <Line key={type} type="monotone" dataKey={entry => entry.growth[type]} name={type} stroke={getRandomColor(index)} strokeWidth={2} connectNulls />
+                          ))}
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                    <div>
+                      <h3 className="flex items-center gap-1 text-sm font-semibold mb-3">
+                        Share of Portfolio
+                        <InfoTooltip text="Each product type's share of the compared types' combined BOM and current ACTIVE (Total Portfolio on the last day)." />
+                      </h3>
+                      <ResponsiveContainer width="100%" height={200}>
+                        <BarChart data={productTypeComparison.portfolioShare} layout="vertical">
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis type="number" domain={[0, 100]} tickFormatter={(value) => `${value}%`} />
+                          <YAxis type="category" dataKey="label" width={60} />
+                          <RechartsTooltip formatter={(value, name, item) => `${formatNumber(value)}% (${formatNumber(item.payload.values[name])})`} />
+                          <Legend />
+                          {productTypeComparison.summaries.map(({ type }, index) => (
+                            <Bar key={type} dataKey={entry => entry.shares[type]} name={type} stackId="share" fill={getRandomColor(index)} />
+                          ))}
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                </div>
+              </>
+            )}
+
+            {(activeTab === 'overall' && overallMetrics && !isComparingProductTypes) && (
               <div className="bg-white border rounded-lg p-6 mb-6">
                 <div className="flex justify-between items-center mb-4">
                   <h2 className="text-lg font-bold">{selectedProductType} - SUMMARY</h2>
                   <div className="flex gap-2">
+                    <select
+                      value={summaryComparison}
+                      onChange={(e) => setSummaryComparison(e.target.value)}
+                      title="Compare the summary with the same days of an earlier period"
+                      className="p-2 border border-gray-300 rounded text-sm"
+                    >
+                      <option value="">No comparison</option>
+                      {Object.entries(SUMMARY_COMPARISON_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
                     <button onClick={() => setViewMode('count')} className={`p-2 rounded ${viewMode === 'count' ? 'bg-red-500 text-white' : 'bg-gray-100'}`}><Hash className="h-5 w-5" /></button>
                     <button onClick={() => setViewMode('ob')} className={`p-2 rounded ${viewMode === 'ob' ? 'bg-red-500 text-white' : 'bg-gray-100'}`}><DollarSign className="h-5 w-5" /></button>
                   </div>
@@ -1467,12 +2560,19 @@ export default function EndorsementMonitor() {
                       BOM <InfoTooltip text="Beginning of Month - Starting portfolio value" />
                     </div>
                     <div className="text-2xl font-bold">{formatNumber(overallMetrics.bom)}</div>
+                    <ComparisonDelta comparison={summaryComparisonData} metrics={overallMetrics} metric="bom" />
                   </div>
                   <div>
                     <div className="flex items-center gap-1 text-sm font-semibold mb-1">
                       ACTIVE <InfoTooltip text="Current active portfolio value" />
                     </div>
                     <div className="text-2xl font-bold">{formatNumber(overallMetrics.active)}</div>
+                    <ComparisonDelta comparison={summaryComparisonData} metrics={overallMetrics} metric="active" />
+                    {monthEndForecast && (
+                      <ForecastNote>
+                        {formatNumber(monthEndForecast.active)} ({formatNumber(monthEndForecast.activeLow)} – {formatNumber(monthEndForecast.activeHigh)})
+                      </ForecastNote>
+                    )}
                   </div>
                   <div>
                     <div className="flex items-center gap-1 text-sm font-semibold mb-1">
@@ -1484,6 +2584,12 @@ export default function EndorsementMonitor() {
                         {getGrowthIndicator(overallMetrics.portfolioGrowth).icon}
                       </span>
                     </div>
+                    <ComparisonDelta comparison={summaryComparisonData} metrics={overallMetrics} metric="portfolioGrowth" />
+                    {monthEndForecast && (
+                      <ForecastNote className={getGrowthIndicator(monthEndForecast.growth).color}>
+                        {formatPercent(monthEndForecast.growth)} {getGrowthIndicator(monthEndForecast.growth).icon} ({formatNumber(monthEndForecast.growthLow)}% – {formatNumber(monthEndForecast.growthHigh)}%)
+                      </ForecastNote>
+                    )}
                   </div>
                   <div>
                     <div className="flex items-center gap-1 text-sm font-semibold mb-1">
@@ -1495,13 +2601,21 @@ export default function EndorsementMonitor() {
                         {getNetFlowIndicator(overallMetrics.netFlowObj).icon}
                       </span>
                     </div>
+                    <ComparisonDelta comparison={summaryComparisonData} metrics={overallMetrics} metric="netFlow" />
+                    {monthEndForecast && (
+                      <ForecastNote className={getNetFlowIndicator(monthEndForecast.netFlowObj).color}>
+                        {formatNetFlow(monthEndForecast.netFlowObj)} {getNetFlowIndicator(monthEndForecast.netFlowObj).icon}
+                      </ForecastNote>
+                    )}
                   </div>
                 </div>
                 
+                <TargetProgress progress={summaryTargetProgress} />
+
                 <div className="mt-6">
-                  <h3 className="text-sm font-semibold mb-3">NET FLOW DAILY</h3>
+                  <h3 className="text-sm font-semibold mb-3">NET FLOW {GRANULARITY_LABELS[granularity].toUpperCase()}</h3>
                   <ResponsiveContainer width="100%" height={250}>
-                    <LineChart data={getChartData}>
+                    <LineChart data={getChartData} onClick={drillIntoSummaryPoint} className="cursor-pointer">
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="date" tick={{ fontSize: 10 }} angle={-45} textAnchor="end" height={60} />
                       <YAxis tick={{ fontSize: 10 }} />
@@ -1518,6 +2632,15 @@ export default function EndorsementMonitor() {
                 <div className="flex justify-between items-center mb-4">
                   <h2 className="text-lg font-bold">{selectedClient} - SUMMARY</h2>
                   <div className="flex gap-2">
+                    <select
+                      value={summaryComparison}
+                      onChange={(e) => setSummaryComparison(e.target.value)}
+                      title="Compare the summary with the same days of an earlier period"
+                      className="p-2 border border-gray-300 rounded text-sm"
+                    >
+                      <option value="">No comparison</option>
+                      {Object.entries(SUMMARY_COMPARISON_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
                     <button onClick={() => setViewMode('count')} className={`p-2 rounded ${viewMode === 'count' ? 'bg-red-500' : 'bg-gray-100'}`}><Hash className="h-5 w-5" /></button>
                     <button onClick={() => setViewMode('ob')} className={`p-2 rounded ${viewMode === 'ob' ? 'bg-red-500 text-white' : 'bg-gray-100'}`}><DollarSign className="h-5 w-5" /></button>
                   </div>
@@ -1526,10 +2649,17 @@ export default function EndorsementMonitor() {
                   <div>
                     <div className="text-sm font-semibold mb-1">BOM</div>
                     <div className="text-2xl font-bold">{formatNumber(clientMetrics.bom)}</div>
+                    <ComparisonDelta comparison={summaryComparisonData} metrics={clientMetrics} metric="bom" />
                   </div>
                   <div>
                     <div className="text-sm font-semibold mb-1">ACTIVE</div>
                     <div className="text-2xl font-bold">{formatNumber(clientMetrics.active)}</div>
+                    <ComparisonDelta comparison={summaryComparisonData} metrics={clientMetrics} metric="active" />
+                    {monthEndForecast && (
+                      <ForecastNote>
+                        {formatNumber(monthEndForecast.active)} ({formatNumber(monthEndForecast.activeLow)} – {formatNumber(monthEndForecast.activeHigh)})
+                      </ForecastNote>
+                    )}
                   </div>
                   <div>
                     <div className="text-sm font-semibold mb-1">NET GROWTH</div>
@@ -1539,6 +2669,12 @@ export default function EndorsementMonitor() {
                         {getGrowthIndicator(clientMetrics.portfolioGrowth).icon}
                       </span>
                     </div>
+                    <ComparisonDelta comparison={summaryComparisonData} metrics={clientMetrics} metric="portfolioGrowth" />
+                    {monthEndForecast && (
+                      <ForecastNote className={getGrowthIndicator(monthEndForecast.growth).color}>
+                        {formatPercent(monthEndForecast.growth)} {getGrowthIndicator(monthEndForecast.growth).icon} ({formatNumber(monthEndForecast.growthLow)}% – {formatNumber(monthEndForecast.growthHigh)}%)
+                      </ForecastNote>
+                    )}
                   </div>
                   <div>
                     <div className="text-sm font-semibold mb-1">NET FLOW</div>
@@ -1548,13 +2684,21 @@ export default function EndorsementMonitor() {
                         {getNetFlowIndicator(clientMetrics.netFlowObj).icon}
                       </span>
                     </div>
+                    <ComparisonDelta comparison={summaryComparisonData} metrics={clientMetrics} metric="netFlow" />
+                    {monthEndForecast && (
+                      <ForecastNote className={getNetFlowIndicator(monthEndForecast.netFlowObj).color}>
+                        {formatNetFlow(monthEndForecast.netFlowObj)} {getNetFlowIndicator(monthEndForecast.netFlowObj).icon}
+                      </ForecastNote>
+                    )}
                   </div>
                 </div>
                 
+                <TargetProgress progress={summaryTargetProgress} />
+
                 <div className="mt-6">
-                  <h3 className="text-sm font-semibold mb-3">NET FLOW DAILY</h3>
+                  <h3 className="text-sm font-semibold mb-3">NET FLOW {GRANULARITY_LABELS[granularity].toUpperCase()}</h3>
                   <ResponsiveContainer width="100%" height={250}>
-                    <LineChart data={getChartData}>
+                    <LineChart data={getChartData} onClick={drillIntoSummaryPoint} className="cursor-pointer">
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="date" tick={{ fontSize: 10 }} angle={-45} textAnchor="end" height={60} />
                       <YAxis tick={{ fontSize: 10 }} />
@@ -1566,27 +2710,96 @@ export default function EndorsementMonitor() {
               </div>
             )}
 
-            {activeTab !== 'monthly' && (
+            {activeTab !== 'monthly' && !isComparingProductTypes && (
               <>
                 <div className="bg-white rounded-lg p-6 shadow-md mb-6">
-                  <h2 className="text-xl font-bold mb-4">Daily Movement</h2>
+                  <h2 className="text-xl font-bold mb-4">{GRANULARITY_LABELS[granularity]} Movement</h2>
                   <div className="space-y-6">
                     <div>
-                      <h3 className="text-sm font-semibold mb-3">Daily Endorsements vs Pullouts</h3>
+                      <h3 className="text-sm font-semibold mb-3">{GRANULARITY_LABELS[granularity]} Endorsements vs Pullouts</h3>
                       <ResponsiveContainer width="100%" height={250}>
-                        <LineChart data={getChartData}>
+                        <LineChart data={dailyMovementChartData}>
                           <CartesianGrid strokeDasharray="3 3" />
                           <XAxis dataKey="date" tick={{ fontSize: 10 }} />
                           <YAxis />
                           <RechartsTooltip />
                           <Legend />
-                          <Line type="monotone" dataKey="endorsements" stroke="#10b981" strokeWidth={2} />
-                          <Line type="monotone" dataKey="pullouts" stroke="#ef4444" strokeWidth={2} />
+                          <Line type="monotone" dataKey="endorsements" stroke="#10b981" strokeWidth={2} dot={<AnomalyDot />} />
+                          <Line type="monotone" dataKey="pullouts" stroke="#ef4444" strokeWidth={2} dot={<AnomalyDot />} />
                         </LineChart>
                       </ResponsiveContainer>
+                      {granularity !== 'day' ? (
+                        <div className="mt-3 overflow-x-auto">
+                          <table className="w-full border-collapse text-xs">
+                            <thead>
+                              <tr className="bg-gray-100">
+                                <th className="border p-1 text-left">Period</th>
+                                <th className="border p-1 text-right">Days</th>
+                                <th className="border p-1 text-right">Opening</th>
+                                <th className="border p-1 text-right">Endorsements</th>
+                                <th className="border p-1 text-right">Pullouts</th>
+                                <th className="border p-1 text-right">Closing</th>
+                                <th className="border p-1 text-right">Net Growth %</th>
+                                <th className="border p-1 text-right">Net Flow</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {rolledUpPeriods.map(period => (
+                                <tr key={period.key}>
+                                  <td className="border p-1" title={`${formatDay(period.firstDay)} – ${formatDay(period.lastDay)}`}>{period.label}</td>
+                                  <td className="border p-1 text-right">{period.days}</td>
+                                  <td className="border p-1 text-right">{formatNumber(period.opening)}</td>
+                                  <td className="border p-1 text-right">{formatNumber(period.endorsements)}</td>
+                                  <td className="border p-1 text-right">{formatNumber(period.pullouts)}</td>
+                                  <td className="border p-1 text-right">{formatNumber(period.closing)}</td>
+                                  <td className={`border p-1 text-right ${getGrowthIndicator(period.growth).color}`}>{`${formatNumber(period.growth)}%`}</td>
+                                  <td className="border p-1 text-right">{formatNetFlow(calculateNetFlow(period.endorsements, period.pullouts))}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      ) : (
+                        <div className="mt-3 border rounded-lg p-3 bg-gray-50">
+                          <div className="flex items-center gap-2 mb-2">
+                            <h4 className="text-xs font-semibold text-gray-700 uppercase">Unusual days ({dailyAnomalies.length})</h4>
+                            <InfoTooltip text={`Days whose endorsements or pullouts sit more than ${ANOMALY_THRESHOLD} robust z-scores from the median of the ${ANOMALY_WINDOW} reporting days before them. They are the large dots on the chart.`} />
+                          </div>
+                          {dailyAnomalies.length === 0 ? (
+                            <p className="text-xs text-gray-500">No unusual days in this period.</p>
+                          ) : (
+                            <table className="w-full border-collapse text-xs">
+                              <thead>
+                                <tr className="bg-gray-100">
+                                  <th className="border p-1 text-left">Date</th>
+                                  <th className="border p-1 text-left">Metric</th>
+                                  <th className="border p-1 text-right">Value</th>
+                                  <th className="border p-1 text-right">Usual (median)</th>
+                                  <th className="border p-1 text-right">Change</th>
+                                  <th className="border p-1 text-right">Robust z</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {dailyAnomalies.map(anomaly => (
+                                  <tr key={`${anomaly.metric}-${anomaly.day}`}>
+                                    <td className="border p-1">{formatDay(anomaly.day)}</td>
+                                    <td className="border p-1">{anomaly.label}</td>
+                                    <td className="border p-1 text-right">{formatNumber(anomaly.value)}</td>
+                                    <td className="border p-1 text-right">{formatNumber(anomaly.usual)}</td>
+                                    <td className={`border p-1 text-right ${anomaly.direction === 'spike' ? 'text-red-600' : 'text-blue-600'}`}>
+                                      {anomaly.direction === 'spike' ? '↑' : '↓'} {formatVersusUsual(anomaly)}
+                                    </td>
+                                    <td className="border p-1 text-right">{anomaly.zScore.toFixed(1)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          )}
+                        </div>
+                      )}
                     </div>
                     <div>
-                      <h3 className="text-sm font-semibold mb-3">Daily Net Growth</h3>
+                      <h3 className="text-sm font-semibold mb-3">{GRANULARITY_LABELS[granularity]} Net Growth</h3>
                       <ResponsiveContainer width="100%" height={250}>
                         <LineChart data={getChartData}>
                           <CartesianGrid strokeDasharray="3 3" />
@@ -1602,7 +2815,7 @@ export default function EndorsementMonitor() {
                 </div>
 
                 <div className="bg-white rounded-lg p-6 shadow-md">
-                  <h2 className="text-xl font-bold mb-4">MTD Trends</h2>
+                  <h2 className="text-xl font-bold mb-4">{granularity === 'day' ? 'MTD' : 'Cumulative'} Trends</h2>
                   <div className="space-y-6">
                     <div>
                       <h3 className="text-sm font-semibold mb-3">Cumulative Endorsements vs Pullouts</h3>
@@ -1619,7 +2832,7 @@ export default function EndorsementMonitor() {
                       </ResponsiveContainer>
                     </div>
                     <div>
-                      <h3 className="text-sm font-semibold mb-3">MTD Net Flow Ratio</h3>
+                      <h3 className="text-sm font-semibold mb-3">{granularity === 'day' ? 'MTD' : 'Cumulative'} Net Flow Ratio</h3>
                       <ResponsiveContainer width="100%" height={250}>
                         <LineChart data={getMTDData}>
                           <CartesianGrid strokeDasharray="3 3" />
@@ -1632,16 +2845,22 @@ export default function EndorsementMonitor() {
                       </ResponsiveContainer>
                     </div>
                     <div>
-                      <h3 className="text-sm font-semibold mb-3">MTD Net Growth</h3>
+                      <h3 className="text-sm font-semibold mb-3">{granularity === 'day' ? 'MTD' : 'Cumulative'} Net Growth</h3>
                       <ResponsiveContainer width="100%" height={250}>
-                        <LineChart data={getMTDData}>
+                        <ComposedChart data={mtdGrowthChartData}>
                           <CartesianGrid strokeDasharray="3 3" />
                           <XAxis dataKey="date" tick={{ fontSize: 10 }} />
                           <YAxis />
-                          <RechartsTooltip />
+                          <RechartsTooltip formatter={(value) => (Array.isArray(value) ? value.map(v => formatNumber(v)).join(' – ') : formatNumber(value))} />
                           <Legend />
+                          {monthEndForecast && (
+                            <Area type="monotone" dataKey="forecastBand" name={`Forecast range (${FORECAST_CONFIDENCE * 100}%)`} stroke="none" fill="#8b5cf6" fillOpacity={0.15} />
+                          )}
                           <Line type="monotone" dataKey="mtdPortfolioGrowth" stroke="#8b5cf6" strokeWidth={2} />
-                        </LineChart>
+                          {monthEndForecast && (
+                            <Line type="monotone" dataKey="forecastGrowth" name="Forecast" stroke="#8b5cf6" strokeWidth={2} strokeDasharray="6 4" dot={false} />
+                          )}
+                        </ComposedChart>
                       </ResponsiveContainer>
                     </div>
                   </div>
@@ -1656,7 +2875,7 @@ export default function EndorsementMonitor() {
                   <div className="grid grid-cols-3 gap-4">
                     {monthlyComparisonData.monthlyMetrics.map(m => (
                       <div key={m.month} className="border rounded-lg p-4">
-                        <h3 className="text-lg font-bold text-indigo-600 mb-3">{m.month}</h3>
+                        <h3 className="text-lg font-bold text-indigo-600 mb-3">{m.monthLabel}</h3>
                         <div className="space-y-2">
                           <div className="flex justify-between"><span className="text-sm">BOM:</span><span className="font-semibold">{formatNumber(m.bom)}</span></div>
                           <div className="flex justify-between"><span className="text-sm">Active:</span><span className="font-semibold">{formatNumber(m.active)}</span></div>
@@ -1683,9 +2902,9 @@ export default function EndorsementMonitor() {
                 <div className="bg-white rounded-lg p-6 shadow-md mb-6">
                   <h2 className="text-xl font-bold mb-4">📈 MTD Endorsements vs Pullouts</h2>
                   <ResponsiveContainer width="100%" height={300}>
-                    <BarChart data={monthlyComparisonData.monthlyMetrics}>
+                    <BarChart data={monthlyComparisonData.monthlyMetrics} onClick={drillIntoComparisonMonth} className="cursor-pointer">
                       <CartesianGrid strokeDasharray="3 3" />
-                      <XAxis dataKey="month" />
+                      <XAxis dataKey="monthLabel" />
                       <YAxis />
                       <RechartsTooltip />
                       <Legend />
@@ -1695,6 +2914,25 @@ export default function EndorsementMonitor() {
                   </ResponsiveContainer>
                 </div>
 
+                <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+                  <h2 className="text-xl font-bold mb-4">📈 MTD Net Growth by {monthlyComparisonData.alignment === 'business' ? 'Business Day' : 'Day'}</h2>
+                  <ResponsiveContainer width="100%" height={300}>
+                    <LineChart data={monthlyComparisonData.mtdTrend}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="alignedDay" tickFormatter={(value) => (monthlyComparisonData.alignment === 'business' ? `BD ${value}` : value)} />
+                      <YAxis tickFormatter={(value) => `${value}%`} />
+                      <RechartsTooltip
+                        labelFormatter={(value) => (monthlyComparisonData.alignment === 'business' ? `Business day ${value}` : `Day ${value}`)}
+                        formatter={(value, name, item) => [`${formatNumber(value)}%${item.payload.days[item.dataKey] ? ` (${formatDay(item.payload.days[item.dataKey])})` : ''}`, name]}
+                      />
+                      <Legend />
+                      {selectedMonths.map((month, index) => (
+                        <Line key={month} type="monotone" dataKey={month} name={formatPeriod(month)} stroke={getRandomColor(index)} strokeWidth={2} connectNulls />
+                      ))}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+
                 <div className="bg-white rounded-lg p-6 shadow-md">
                   <div className="flex justify-between items-center mb-4">
                     <h2 className="text-xl font-bold">🏢 Client-Level MTD Comparison</h2>
@@ -1713,6 +2951,10 @@ export default function EndorsementMonitor() {
                           <th className="border p-2 text-right text-sm">Active</th>
                           <th className="border p-2 text-right text-sm">Net Growth %</th>
                           <th className="border p-2 text-right text-sm">Net Flow</th>
+                          <th className="border p-2 text-right text-sm">Growth Target</th>
+                          <th className="border p-2 text-right text-sm">Attainment</th>
+                          <th className="border p-2 text-right text-sm">Gap</th>
+                          <th className="border p-2 text-right text-sm">Req. Pace / Day</th>
                         </tr>
                       </thead>
                       <tbody>
@@ -1733,6 +2975,18 @@ export default function EndorsementMonitor() {
                                 <span className={`${getNetFlowIndicator(c.netFlowObj).color}`}>{getNetFlowIndicator(c.netFlowObj).icon}</span>
                               </div>
                             </td>
+                            {c.targetProgress ? (
+                              <>
+                                <td className="border p-2 text-right text-sm">{`${c.targetProgress.target.toFixed(2)}%`}</td>
+                                <td className={`border p-2 text-right text-sm ${c.targetProgress.met ? 'text-green-600' : 'text-red-600'}`}>
+                                  {c.targetProgress.attainment !== null ? `${c.targetProgress.attainment.toFixed(1)}%` : '—'}
+                                </td>
+                                <td className="border p-2 text-right text-sm">{c.targetProgress.gap > 0 ? `${c.targetProgress.gap.toFixed(2)} pp` : 'Met'}</td>
+                                <td className="border p-2 text-right text-sm">{c.targetProgress.pace !== null ? formatNumber(c.targetProgress.pace) : '—'}</td>
+                              </>
+                            ) : (
+                              <td colSpan={4} className="border p-2 text-center text-sm text-gray-400">No target</td>
+                            )}
                           </tr>
                         ))}
                       </tbody>
@@ -1744,6 +2998,20 @@ export default function EndorsementMonitor() {
           </>
         )}
       </div>
+      {drillDown && <DrillDownPanel drillDown={drillDown} onClose={closeDrillDown} onOpenClient={openClientDay} />}
+      {isReportOpen && (
+        <ReportBuilder
+          datasets={{ dailyData, bomData, campaignData, campaignBomData, fieldDailyData, fieldEndoData }}
+          months={availableMonths}
+          productTypes={availableProductTypes}
+          initialMonth={selectedMonth}
+          initialProductTypes={comparedProductTypes.length >= 2 ? comparedProductTypes : [selectedProductType]}
+          viewMode={viewMode}
+          lastRefreshed={lastRefreshed}
+          sourceLabel={dataSource === 'sheets' ? 'Google Sheets' : uploadedFileName}
+          onClose={closeReport}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
@@ -0,0 +1,370 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Legend } from 'recharts';
+import { Printer, X } from 'lucide-react';
+import { formatPeriod, findPeriodRecord, matchesPeriod } from './periods';
+import { summarizeRows, buildDailyMovement, buildRunningTotals, buildClientRanking, summarizeFieldVisits } from './metrics';
+import { formatNumber, formatNetFlow } from './formatters';
+
+// Report sections, in page order after the cover
+const SECTIONS = [
+  { key: 'summary', label: 'Summary cards' },
+  { key: 'movement', label: 'Daily Movement' },
+  { key: 'mtd', label: 'MTD Trends' },
+  { key: 'clients', label: 'Client ranking' },
+  { key: 'field', label: 'Field visitation' },
+];
+
+// Charts are drawn at a fixed size that fits an A4 page between the print margins
+const CHART_WIDTH = 680;
+const CHART_HEIGHT = 200;
+
+// Client ranking rows per printed page
+const CLIENTS_PER_PAGE = 28;
+
+const growthColor = (value) => (value > 0 ? 'text-green-700' : value < 0 ? 'text-red-700' : 'text-gray-600');
+
+const ReportChart = ({ title, data, lines }) => (
+  <div className="mb-4 break-inside-avoid">
+    <h4 className="text-sm font-semibold mb-1">{title}</h4>
+    <LineChart width={CHART_WIDTH} height={CHART_HEIGHT} data={data}>
+      <CartesianGrid strokeDasharray="3 3" />
+      <XAxis dataKey="date" tick={{ fontSize: 9 }} />
+      <YAxis tick={{ fontSize: 9 }} />
+      <Legend wrapperStyle={{ fontSize: 10 }} />
+      {lines.map(line => (
+        <Line key={line.dataKey} type="monotone" dataKey={line.dataKey} name={line.name} stroke={line.color} strokeWidth={2} dot={false} isAnimationActive={false} />
+      ))}
+    </LineChart>
+  </div>
+);
+
+const SummaryCards = ({ metrics }) => (
+  <div className="grid grid-cols-3 gap-3 mb-4">
+    {[
+      { label: 'BOM', value: formatNumber(metrics.bom) },
+      { label: 'ACTIVE', value: formatNumber(metrics.active) },
+      { label: 'NET GROWTH', value: `${formatNumber(metrics.portfolioGrowth)}%`, className: growthColor(metrics.portfolioGrowth) },
+      { label: 'ENDORSEMENTS', value: formatNumber(metrics.totalEndorsements) },
+      { label: 'PULLOUTS', value: formatNumber(metrics.totalPullouts) },
+      { label: 'NET FLOW', value: formatNetFlow(metrics.netFlowObj) },
+    ].map(card => (
+      <div key={card.label} className="border rounded p-3">
+        <div className="text-xs font-semibold text-gray-600">{card.label}</div>
+        <div className={`text-xl font-bold ${card.className || ''}`}>{card.value}</div>
+      </div>
+    ))}
+  </div>
+);
+
+const ReportPage = ({ header, number, count, children }) => (
+  <section className="bg-white shadow mx-auto mb-6 p-10 w-[210mm] min-h-[297mm] flex flex-col break-after-page last:break-after-auto print:shadow-none print:m-0 print:p-0 print:w-auto print:min-h-0">
+    <div className="flex justify-between items-end border-b-2 border-gray-800 pb-2 mb-4 text-xs text-gray-600">
+      <div>
+        <div className="text-sm font-bold text-gray-900">MC03 Endorsement Flow Monitoring</div>
+        <div>{header}</div>
+      </div>
+      <div className="text-right">Page {number} of {count}</div>
+    </div>
+    <div className="flex-1">{children}</div>
+  </section>
+);
+
+/**
+ * Month-end management report: a cover with every selected product type's
+ * totals, then per product type its summary cards, Daily Movement and MTD
+ * Trends charts, the month's client ranking and the field visitation summary.
+ * Shown over the dashboard, which is left out when printing, so the browser's
+ * Print / Save as PDF gives one report page per sheet.
+ */
+export default function ReportBuilder({ datasets, months, productTypes, initialMonth, initialProductTypes, viewMode, lastRefreshed, sourceLabel, onClose }) {
+  const [month, setMonth] = useState(initialMonth || months[0] || '');
+  const [selectedTypes, setSelectedTypes] = useState(initialProductTypes.filter(type => productTypes.includes(type)));
+  const [sections, setSections] = useState(() => Object.fromEntries(SECTIONS.map(section => [section.key, true])));
+  const [createdAt] = useState(() => new Date());
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const { dailyData, bomData, campaignData, campaignBomData, fieldDailyData, fieldEndoData } = datasets;
+  const types = useMemo(() => productTypes.filter(type => selectedTypes.includes(type)), [productTypes, selectedTypes]);
+
+  const report = useMemo(() => {
+    const byType = types.map(type => {
+      const rows = dailyData.filter(r => r.PERIOD === month && r['PRODUCT TYPE'] === type);
+      const bomRecord = findPeriodRecord(bomData, month, r => r['PRODUCT TYPE'] === type);
+      const metrics = rows.length > 0 ? summarizeRows(rows, bomRecord, viewMode, 'ENDORSEMENTS') : null;
+      const movement = metrics ? buildDailyMovement(rows, { bom: metrics.bom, viewMode, endorsementColumn: 'ENDORSEMENTS' }) : [];
+      const fieldRows = fieldDailyData.filter(r => r.PERIOD === month && r['PRODUCT TYPE'] === type);
+      const field = fieldRows.length > 0 ? summarizeFieldVisits({
+        fieldRows,
+        endoRecords: fieldEndoData.filter(r => matchesPeriod(r, month) && r['PRODUCT TYPE'] === type),
+        bomRecord,
+        movementRows: rows,
+        viewMode,
+        endorsementColumn: 'ENDORSEMENTS',
+      }) : null;
+      return { type, metrics, movement, mtd: metrics ? buildRunningTotals(movement, metrics.bom) : [], field };
+    });
+    return { byType, clients: buildClientRanking(campaignData, campaignBomData, { period: month, viewMode, productTypes: types }) };
+  }, [month, types, viewMode, dailyData, bomData, campaignData, campaignBomData, fieldDailyData, fieldEndoData]);
+
+  const toggleType = (type) => setSelectedTypes(prev => (prev.includes(type) ? prev.filter(t => t !== type) : [...prev, type]));
+
+  const header = `${formatPeriod(month)} · ${viewMode === 'ob' ? 'Outstanding Balance' : 'Count'} · Data as of ${lastRefreshed ? lastRefreshed.toLocaleString() : 'unknown'}`;
+  const withData = report.byType.filter(entry => entry.metrics);
+
+  // Every page's content, numbered once they are all known
+  const pages = [{
+    key: 'cover',
+    content: (
+      <>
+        <h1 className="text-3xl font-bold mt-8 mb-2">Endorsement Flow Report</h1>
+        <p className="text-lg text-gray-700 mb-6">{formatPeriod(month)} · {types.join(', ') || 'No product types selected'}</p>
+        <table className="text-sm mb-8">
+          <tbody>
+            <tr><td className="pr-6 py-1 text-gray-600">Data as of</td><td>{lastRefreshed ? lastRefreshed.toLocaleString() : 'unknown'}</td></tr>
+            <tr><td className="pr-6 py-1 text-gray-600">Source</td><td>{sourceLabel}</td></tr>
+            <tr><td className="pr-6 py-1 text-gray-600">Values</td><td>{viewMode === 'ob' ? 'Outstanding Balance' : 'Count'}</td></tr>
+            <tr><td className="pr-6 py-1 text-gray-600">Prepared</td><td>{createdAt.toLocaleString()}</td></tr>
+          </tbody>
+        </table>
+        {sections.summary && (
+          <>
+            <h3 className="text-base font-semibold mb-2">Month to Date by Product Type</h3>
+            <table className="w-full border-collapse text-xs">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="border p-1 text-left">Product Type</th>
+                  <th className="border p-1 text-right">BOM</th>
+                  <th className="border p-1 text-right">ACTIVE</th>
+                  <th className="border p-1 text-right">Endorsements</th>
+                  <th className="border p-1 text-right">Pullouts</th>
+                  <th className="border p-1 text-right">Net Growth</th>
+                  <th className="border p-1 text-right">Net Flow</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.byType.map(({ type, metrics }) => (
+                  <tr key={type}>
+                    <td className="border p-1">{type}</td>
+                    {metrics ? (
+                      <>
+                        <td className="border p-1 text-right">{formatNumber(metrics.bom)}</td>
+                        <td className="border p-1 text-right">{formatNumber(metrics.active)}</td>
+                        <td className="border p-1 text-right">{formatNumber(metrics.totalEndorsements)}</td>
+                        <td className="border p-1 text-right">{formatNumber(metrics.totalPullouts)}</td>
+                        <td className={`border p-1 text-right ${growthColor(metrics.portfolioGrowth)}`}>{formatNumber(metrics.portfolioGrowth)}%</td>
+                        <td className="border p-1 text-right">{formatNetFlow(metrics.netFlowObj)}</td>
+                      </>
+                    ) : (
+                      <td colSpan={6} className="border p-1 text-gray-500">No DAILY rows for {formatPeriod(month)}</td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </>
+    ),
+  }];
+
+  withData.forEach(({ type, metrics, movement, mtd }) => {
+    if (sections.summary || sections.movement) {
+      pages.push({
+        key: `${type}-movement`,
+        content: (
+          <>
+            <h2 className="text-xl font-bold mb-3">{type}</h2>
+            {sections.summary && <SummaryCards metrics={metrics} />}
+            {sections.movement && (
+              <>
+                <h3 className="text-base font-semibold mb-2">Daily Movement</h3>
+                <ReportChart title="Daily Endorsements vs Pullouts" data={movement} lines={[
+                  { dataKey: 'endorsements', name: 'Endorsements', color: '#10b981' },
+                  { dataKey: 'pullouts', name: 'Pullouts', color: '#ef4444' },
+                ]} />
+                <ReportChart title="Daily Net Growth %" data={movement} lines={[{ dataKey: 'portfolioGrowth', name: 'Net Growth %', color: '#8b5cf6' }]} />
+              </>
+            )}
+          </>
+        ),
+      });
+    }
+    if (sections.mtd) {
+      pages.push({
+        key: `${type}-mtd`,
+        content: (
+          <>
+            <h2 className="text-xl font-bold mb-3">{type} · MTD Trends</h2>
+            <ReportChart title="Cumulative Endorsements vs Pullouts" data={mtd} lines={[
+              { dataKey: 'cumulativeEndorsements', name: 'Endorsements', color: '#10b981' },
+              { dataKey: 'cumulativePullouts', name: 'Pullouts', color: '#ef4444' },
+            ]} />
+            <ReportChart title="MTD Net Flow Ratio" data={mtd} lines={[{ dataKey: 'mtdNetFlowRatio', name: 'Net Flow', color: '#3b82f6' }]} />
+            <ReportChart title="MTD Net Growth %" data={mtd} lines={[{ dataKey: 'mtdPortfolioGrowth', name: 'Net Growth %', color: '#8b5cf6' }]} />
+          </>
+        ),
+      });
+    }
+  });
+
+  if (sections.clients) {
+    const clientPages = Math.max(1, Math.ceil(report.clients.length / CLIENTS_PER_PAGE));
+    Array.from({ length: clientPages }, (_, index) => report.clients.slice(index * CLIENTS_PER_PAGE, (index + 1) * CLIENTS_PER_PAGE)).forEach((clients, index) => {
+      pages.push({
+        key: `clients-${index}`,
+        content: (
+          <>
+            <h2 className="text-xl font-bold mb-3">Client Ranking by Net Growth{clientPages > 1 ? ` (${index + 1}/${clientPages})` : ''}</h2>
+            {report.clients.length === 0 ? (
+              <p className="text-sm text-gray-500">No CAMPAIGN rows for these product types in {formatPeriod(month)}.</p>
+            ) : (
+              <table className="w-full border-collapse text-xs">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="border p-1 text-right">#</th>
+                    <th className="border p-1 text-left">Client</th>
+                    <th className="border p-1 text-left">Product Type</th>
+                    <th className="border p-1 text-right">BOM</th>
+                    <th className="border p-1 text-right">ACTIVE</th>
+                    <th className="border p-1 text-right">Endorsements</th>
+                    <th className="border p-1 text-right">Pullouts</th>
+                    <th className="border p-1 text-right">Net Growth</th>
+                    <th className="border p-1 text-right">Net Flow</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {clients.map((client, rank) => (
+                    <tr key={client.name}>
+                      <td className="border p-1 text-right">{index * CLIENTS_PER_PAGE + rank + 1}</td>
+                      <td className="border p-1">{client.name}</td>
+                      <td className="border p-1">{client.productType}</td>
+                      <td className="border p-1 text-right">{formatNumber(client.bom)}</td>
+                      <td className="border p-1 text-right">{formatNumber(client.active)}</td>
+                      <td className="border p-1 text-right">{formatNumber(client.totalEndorsements)}</td>
+                      <td className="border p-1 text-right">{formatNumber(client.totalPullouts)}</td>
+                      <td className={`border p-1 text-right ${growthColor(client.portfolioGrowth)}`}>{formatNumber(client.portfolioGrowth)}%</td>
+                      <td className="border p-1 text-right">{formatNetFlow(client.netFlowObj)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        ),
+      });
+    });
+  }
+
+  if (sections.field) {
+    pages.push({
+      key: 'field',
+      content: (
+        <>
+          <h2 className="text-xl font-bold mb-3">Field Visitation Summary</h2>
+          <table className="w-full border-collapse text-xs">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="border p-1 text-left">Product Type</th>
+                <th className="border p-1 text-right">Total Portfolio</th>
+                <th className="border p-1 text-right">Endorse to Field</th>
+                <th className="border p-1 text-right">Visited</th>
+                <th className="border p-1 text-right">Pending</th>
+                <th className="border p-1 text-right">Visited %</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.byType.map(({ type, field }) => (
+                <tr key={type}>
+                  <td className="border p-1">{type}</td>
+                  {field ? (
+                    <>
+                      <td className="border p-1 text-right">{formatNumber(field.totalPortfolio)}</td>
+                      <td className="border p-1 text-right">{formatNumber(field.endorseToField)}</td>
+                      <td className="border p-1 text-right">{formatNumber(field.totalVisited)}</td>
+                      <td className="border p-1 text-right">{formatNumber(field.totalPending)}</td>
+                      <td className="border p-1 text-right">{field.endorseToField !== 0 ? `${formatNumber((field.totalVisited / field.endorseToField) * 100)}%` : '−'}</td>
+                    </>
+                  ) : (
+                    <td colSpan={5} className="border p-1 text-gray-500">No FIELD_DAILY rows for {formatPeriod(month)}</td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      ),
+    });
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-200 overflow-y-auto text-left print:static print:bg-white print:overflow-visible">
+      <div className="sticky top-0 z-10 bg-white border-b shadow-sm p-4 print:hidden">
+        <div className="max-w-5xl mx-auto flex flex-wrap items-start gap-6">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Month</label>
+            <select value={month} onChange={(e) => setMonth(e.target.value)} className="p-2 border border-gray-300 rounded text-sm">
+              {months.map(m => <option key={m} value={m}>{formatPeriod(m)}</option>)}
+            </select>
+          </div>
+          <div className="flex-1 min-w-64">
+            <label className="block text-xs font-medium text-gray-600 mb-1">Product Types</label>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm">
+              {productTypes.map(type => (
+                <label key={type} className="flex items-center gap-1 cursor-pointer">
+                  <input type="checkbox" checked={selectedTypes.includes(type)} onChange={() => toggleType(type)} className="h-4 w-4 text-indigo-600 rounded" />
+                  {type}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Sections</label>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm">
+              {SECTIONS.map(section => (
+                <label key={section.key} className="flex items-center gap-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={sections[section.key]}
+                    onChange={(e) => setSections(prev => ({ ...prev, [section.key]: e.target.checked }))}
+                    className="h-4 w-4 text-indigo-600 rounded"
+                  />
+                  {section.label}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="flex gap-2 ml-auto">
+            <button onClick={() => window.print()} disabled={types.length === 0} className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 flex items-center gap-2 text-sm disabled:bg-gray-400" title="Print, or choose Save as PDF as the printer">
+              <Printer className="h-4 w-4" />
+              Print / Save as PDF
+            </button>
+            <button onClick={onClose} className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm" title="Close (Esc)">
+              <X className="h-4 w-4" />
+              Close
+            </button>
+          </div>
+        </div>
+        {withData.length < types.length && (
+          <p className="max-w-5xl mx-auto mt-2 text-xs text-amber-700">
+            No DAILY rows in {formatPeriod(month)} for {report.byType.filter(entry => !entry.metrics).map(entry => entry.type).join(', ')}; their pages are left out.
+          </p>
+        )}
+      </div>
+
+      <div className="py-6 print:py-0">
+        {pages.map((page, index) => (
+          <ReportPage key={page.key} header={header} number={index + 1} count={pages.length}>
+            {page.content}
+          </ReportPage>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Bookmark, Star, Trash2, Download, Upload } from 'lucide-react';
+import { MONTH_SPECIFIC_KEYS, sanitizeView, getSavedViews, storeSavedViews, validateSavedViews, mergeSavedViews } from './savedViews';
+import { formatPeriod } from './periods';
+import { TAB_LABELS } from './urlState';
+import { downloadJson } from './download';
+
+// "Client · BPI · OB · Oct 2026 · 2026-10-01 to 2026-10-15"
+const describeView = (view) => {
+  const { activeTab, selectedProductType, selectedClient, viewMode, selectedMonth } = view;
+  const from = view.startDate || view.fieldStartDate;
+  const to = view.endDate || view.fieldEndDate;
+  return [
+    TAB_LABELS[activeTab] || 'Overall',
+    activeTab === 'overall' && view.comparedProductTypes?.length >= 2 ? view.comparedProductTypes.join(' vs ')
+      : activeTab === 'client' || activeTab === 'fieldCampaign' || (activeTab === 'trends' && view.trendScope === 'campaign') ? selectedClient
+        : selectedProductType,
+    viewMode === 'ob' ? 'OB' : null,
+    activeTab === 'trends' ? null : selectedMonth ? formatPeriod(selectedMonth) : 'latest month',
+    from || to ? `${from || '…'} to ${to || '…'}` : null,
+    view.summaryComparison === 'lastMonth' ? 'vs last month' : view.summaryComparison === 'lastYear' ? 'vs last year' : null,
+    activeTab === 'monthly' && view.comparisonAlignment === 'business' ? 'business days' : null,
+    view.granularity && view.granularity !== 'day' && activeTab !== 'monthly' ? `by ${view.granularity}` : null,
+  ].filter(Boolean).join(' · ');
+};
+
+/**
+ * Header menu for named saved views: save the current tab and filters, apply,
+ * delete, pick the view applied on load, and export/import them as JSON.
+ */
+export default function SavedViewsMenu({ currentView, onApply }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [savedViews, setSavedViews] = useState(() => getSavedViews());
+  const [name, setName] = useState('');
+  const [followLatestMonth, setFollowLatestMonth] = useState(true);
+  const [message, setMessage] = useState(null);
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (panelRef.current && !panelRef.current.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const update = (next) => {
+    storeSavedViews(next);
+    setSavedViews(next);
+  };
+
+  const handleSave = () => {
+    const viewName = name.trim();
+    if (!viewName) return;
+    const view = sanitizeView(currentView);
+    if (followLatestMonth) MONTH_SPECIFIC_KEYS.forEach(key => delete view[key]);
+    const exists = savedViews.views.some(entry => entry.name === viewName);
+    update({
+      ...savedViews,
+      views: exists
+        ? savedViews.views.map(entry => (entry.name === viewName ? { name: viewName, view } : entry))
+        : [...savedViews.views, { name: viewName, view }],
+    });
+    setName('');
+    setMessage({ type: 'info', text: exists ? `Updated "${viewName}".` : `Saved "${viewName}".` });
+  };
+
+  const handleDelete = (viewName) => {
+    update({
+      views: savedViews.views.filter(entry => entry.name !== viewName),
+      defaultView: savedViews.defaultView === viewName ? null : savedViews.defaultView,
+    });
+    setMessage(null);
+  };
+
+  const toggleDefault = (viewName) => {
+    update({ ...savedViews, defaultView: savedViews.defaultView === viewName ? null : viewName });
+    setMessage(null);
+  };
+
+  const handleApply = (entry) => {
+    onApply(entry.view);
+    setIsOpen(false);
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const imported = validateSavedViews(JSON.parse(await file.text()));
+      update(mergeSavedViews(savedViews, imported));
+      setMessage({ type: 'info', text: `Imported ${imported.views.length} view${imported.views.length === 1 ? '' : 's'} from ${file.name}.` });
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message || 'Invalid saved views file' });
+    }
+  };
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        className="px-3 py-2 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2"
+      >
+        <Bookmark className="h-4 w-4" />
+        Views
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 z-50 mt-2 w-96 bg-white border border-gray-300 rounded shadow-lg p-3 text-gray-900">
+          <p className="text-xs font-semibold text-gray-600 mb-2">Saved views</p>
+
+          {savedViews.views.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-3">No saved views yet.</p>
+          ) : (
+            <ul className="mb-3 divide-y border rounded">
+              {savedViews.views.map(entry => (
+                <li key={entry.name} className="flex items-center gap-2 p-2">
+                  <button onClick={() => handleApply(entry)} className="flex-1 text-left min-w-0">
+                    <span className="block text-sm font-medium truncate">{entry.name}</span>
+                    <span className="block text-xs text-gray-500 truncate">{describeView(entry.view)}</span>
+                  </button>
+                  <button
+                    onClick={() => toggleDefault(entry.name)}
+                    title={savedViews.defaultView === entry.name ? 'Default view (click to unset)' : 'Open this view on load'}
+                    className={savedViews.defaultView === entry.name ? 'text-amber-500' : 'text-gray-300 hover:text-gray-500'}
+                  >
+                    <Star className="h-4 w-4" fill={savedViews.defaultView === entry.name ? 'currentColor' : 'none'} />
+                  </button>
+                  <button onClick={() => handleDelete(entry.name)} title="Delete view" className="text-gray-300 hover:text-red-600">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="flex gap-2 mb-2">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+              placeholder="Name this view"
+              className="flex-1 p-1 border border-gray-300 rounded text-sm"
+            />
+            <button onClick={handleSave} disabled={!name.trim()} className="px-3 py-1 bg-indigo-600 text-white rounded hover:bg-indigo-700 text-sm disabled:bg-gray-400">
+              Save current
+            </button>
+          </div>
+          <label className="flex items-center gap-2 text-xs text-gray-600 mb-3">
+            <input type="checkbox" checked={followLatestMonth} onChange={(e) => setFollowLatestMonth(e.target.checked)} />
+            Follow the latest month (don't save the month or dates)
+          </label>
+
+          {message && (
+            <div className={`rounded p-2 mb-3 text-xs ${message.type === 'error' ? 'bg-red-50 border border-red-200 text-red-700' : 'bg-blue-50 border border-blue-200 text-blue-700'}`}>
+              {message.text}
+            </div>
+          )}
+
+          <div className="flex gap-2 border-t pt-3">
+            <label className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm cursor-pointer">
+              <Upload className="h-4 w-4" />
+              Import JSON
+              <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+            </label>
+            <button onClick={() => downloadJson(savedViews, 'saved-views.json')} disabled={savedViews.views.length === 0} className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 flex items-center gap-2 text-sm disabled:text-gray-400">
+              <Download className="h-4 w-4" />
+              Export JSON
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
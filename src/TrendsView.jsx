@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { ComposedChart, BarChart, Bar, Line, Cell, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer, ReferenceLine } from 'recharts';
+import { Hash, DollarSign } from 'lucide-react';
+import { formatNumber } from './formatters';
+
+// Months shown: the latest 6 or 12, or every month in the data
+const RANGES = [
+  { value: '6', label: 'Last 6 months' },
+  { value: '12', label: 'Last 12 months' },
+  { value: 'all', label: 'All months' },
+];
+
+const formatTooltipValue = (value) => (value === null || value === undefined ? '—' : formatNumber(value));
+
+/**
+ * Trends tab: BOM, month-end ACTIVE, endorsements, pullouts and net flow per
+ * month for a product type (DAILY) or client (CAMPAIGN), across every month
+ * in the data, with month-over-month growth of ACTIVE. `months` is the
+ * dashboard's buildMonthlyTrend (see rollups.js) for the selection.
+ */
+export default function TrendsView({
+  months, productTypes, clients, scope, onScopeChange,
+  productType, onProductTypeChange, client, onClientChange,
+  viewMode, onViewModeChange,
+}) {
+  const [range, setRange] = useState('all');
+  const isCampaign = scope === 'campaign';
+
+  const shown = range === 'all' ? months : months.slice(-parseInt(range, 10));
+  const subject = isCampaign ? client : productType;
+
+  return (
+    <>
+      <div className="bg-white rounded-lg p-6 shadow-sm border mb-6">
+        <div className="grid grid-cols-4 gap-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-2">Trend Of</label>
+            <select value={scope} onChange={(e) => onScopeChange(e.target.value)} className="w-full p-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500">
+              <option value="productType">Product Type</option>
+              <option value="campaign">Client</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-2">{isCampaign ? 'Client' : 'Product Type'}</label>
+            {isCampaign ? (
+              <select value={client} onChange={(e) => onClientChange(e.target.value)} className="w-full p-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500">
+                {clients.map(c => <option key={c} value={c}>{c}</option>)}
+              </select>
+            ) : (
+              <select value={productType} onChange={(e) => onProductTypeChange(e.target.value)} className="w-full p-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500">
+                {productTypes.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+            )}
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-2">Months</label>
+            <select value={range} onChange={(e) => setRange(e.target.value)} className="w-full p-2 border border-gray-300 rounded text-sm focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500">
+              {RANGES.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-2">View Mode</label>
+            <div className="flex gap-2">
+              <button onClick={() => onViewModeChange('count')} className={`flex-1 p-2 rounded transition-colors ${viewMode === 'count' ? 'bg-red-500' : 'bg-gray-100 hover:bg-gray-200'}`} title="Count">
+                <Hash className="h-5 w-5 mx-auto" />
+              </button>
+              <button onClick={() => onViewModeChange('ob')} className={`flex-1 p-2 rounded transition-colors ${viewMode === 'ob' ? 'bg-red-500 text-white' : 'bg-gray-100 hover:bg-gray-200'}`} title="Outstanding Balance">
+                <DollarSign className="h-5 w-5 mx-auto" />
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {shown.length === 0 ? (
+        <div className="bg-white rounded-lg p-6 shadow-sm border text-sm text-gray-500">No rows for {subject || 'this selection'}.</div>
+      ) : (
+        <>
+          <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+            <h2 className="text-xl font-bold mb-4">{subject} - Portfolio by Month</h2>
+            <ResponsiveContainer width="100%" height={300}>
+              <ComposedChart data={shown}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" tick={{ fontSize: 10 }} />
+                <YAxis />
+                <RechartsTooltip formatter={formatTooltipValue} />
+                <Legend />
+                <Bar dataKey="bom" name="BOM" fill="#cbd5e1" />
+                <Line type="monotone" dataKey="active" name="Month-end Active" stroke="#6366f1" strokeWidth={2} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+            <h2 className="text-xl font-bold mb-4">Endorsements, Pullouts and Net Flow by Month</h2>
+            <ResponsiveContainer width="100%" height={300}>
+              <ComposedChart data={shown}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" tick={{ fontSize: 10 }} />
+                <YAxis yAxisId="total" />
+                <YAxis yAxisId="ratio" orientation="right" />
+                <RechartsTooltip formatter={formatTooltipValue} />
+                <Legend />
+                <Bar yAxisId="total" dataKey="endorsements" name="Endorsements" fill="#10b981" />
+                <Bar yAxisId="total" dataKey="pullouts" name="Pullouts" fill="#ef4444" />
+                <Line yAxisId="ratio" type="monotone" dataKey="netFlowRatio" name="Net Flow" stroke="#f97316" strokeWidth={2} />
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="bg-white rounded-lg p-6 shadow-md mb-6">
+            <h2 className="text-xl font-bold mb-4">Month-over-Month Growth of Active</h2>
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={shown}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="label" tick={{ fontSize: 10 }} />
+                <YAxis tickFormatter={(value) => `${value}%`} />
+                <RechartsTooltip formatter={(value) => (value === null ? '—' : `${formatNumber(value)}%`)} />
+                <ReferenceLine y={0} stroke="#9ca3af" />
+                <Bar dataKey="momGrowth" name="MoM Growth">
+                  {shown.map(month => <Cell key={month.key} fill={month.momGrowth < 0 ? '#ef4444' : '#10b981'} />)}
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="bg-white rounded-lg p-6 shadow-md">
+            <h2 className="text-xl font-bold mb-4">Monthly Figures</h2>
+            <div className="overflow-x-auto">
+              <table className="w-full border-collapse">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="border p-2 text-left text-sm">Month</th>
+                    <th className="border p-2 text-right text-sm">BOM</th>
+                    <th className="border p-2 text-right text-sm">Month-end Active</th>
+                    <th className="border p-2 text-right text-sm">Endorsements</th>
+                    <th className="border p-2 text-right text-sm">Pullouts</th>
+                    <th className="border p-2 text-right text-sm">Net Flow</th>
+                    <th className="border p-2 text-right text-sm">MoM Growth</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...shown].reverse().map(month => (
+                    <tr key={month.key} className="hover:bg-gray-50">
+                      <td className="border p-2 text-sm" title={`Reported ${month.firstDay} to ${month.lastDay}`}>{month.label}</td>
+                      <td className="border p-2 text-right text-sm">{month.bom === null ? '—' : formatNumber(month.bom)}</td>
+                      <td className="border p-2 text-right text-sm">{formatNumber(month.active)}</td>
+                      <td className="border p-2 text-right text-sm">{formatNumber(month.endorsements)}</td>
+                      <td className="border p-2 text-right text-sm">{formatNumber(month.pullouts)}</td>
+                      <td className="border p-2 text-right text-sm">{month.pullouts === 0 ? '−' : formatNumber(month.netFlowRatio)}</td>
+                      <td className={`border p-2 text-right text-sm ${month.momGrowth === null ? 'text-gray-400' : month.momGrowth < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {month.momGrowth === null ? '—' : `${formatNumber(month.momGrowth)}%`}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </>
+  );
+}
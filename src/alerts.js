@@ -0,0 +1,288 @@
+/**
+ * Threshold alerts.
+ *
+ * Alert rules (alertRules.json, or the copy edited in the alert center and kept
+ * in localStorage) are checked against the parsed datasets on every refresh.
+ * Only the latest month of each sheet is checked, so last month's breaches do
+ * not fire again. An alert keeps the same id for as long as the same breach
+ * lasts (a NET FLOW run keeps the day it started), which is what
+ * acknowledgements are stored against.
+ */
+
+import DEFAULT_ALERT_RULES from './alertRules.json' with { type: 'json' };
+import { formatDay } from './dates.js';
+import { matchesPeriod } from './periods.js';
+import { parseNumber } from './sheetValues.js';
+
+export const RULE_TYPES = {
+  netFlowBelow: 'NET FLOW below threshold for consecutive days',
+  pulloutsAbove: 'Daily pullouts above threshold',
+  pendingAbove: 'PENDING above % of Endorse to Field',
+};
+
+export const RULE_SCOPES = {
+  productType: 'Product type',
+  campaign: 'Client',
+};
+
+const RULES_STORAGE_KEY = 'endorsement-monitor:alert-rules';
+const ACKNOWLEDGEMENTS_STORAGE_KEY = 'endorsement-monitor:alert-acknowledgements';
+
+// Where each scope's numbers come from, and the tabs an alert opens
+const SOURCES = {
+  productType: {
+    field: 'PRODUCT TYPE',
+    dailyDataset: 'dailyData',
+    dailySheet: 'DAILY',
+    endorsements: 'ENDORSEMENTS',
+    visitsDataset: 'fieldDailyData',
+    visitsSheet: 'FIELD_DAILY',
+    tab: 'overall',
+    fieldTab: 'field',
+    viewKey: 'selectedProductType',
+  },
+  campaign: {
+    field: 'CAMPAIGN',
+    dailyDataset: 'campaignData',
+    dailySheet: 'CAMPAIGN',
+    endorsements: 'NEW ENDO',
+    visitsDataset: 'fieldCampaignData',
+    visitsSheet: 'FIELD_CAMPAIGN',
+    tab: 'client',
+    fieldTab: 'fieldCampaign',
+    viewKey: 'selectedClient',
+  },
+};
+
+const formatValue = (value) => value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+const getLatestPeriod = (rows) => rows.reduce((latest, row) => (row.PERIOD && row.PERIOD > latest ? row.PERIOD : latest), '');
+
+// Rows of the period grouped by `field`, each group oldest day first
+const groupRows = (rows, field, period) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (row.PERIOD !== period || !row[field]) return;
+    if (!groups.has(row[field])) groups.set(row[field], []);
+    groups.get(row[field]).push(row);
+  });
+  groups.forEach(group => group.sort((a, b) => (a.DAY || '').localeCompare(b.DAY || '')));
+  return groups;
+};
+
+const toAlertRow = (sheet, row, fields) => ({
+  sheet,
+  rowNumber: row.ROW_NUMBER,
+  day: row.DAY || null,
+  values: Object.fromEntries(fields.map(field => [field, row[field] ?? ''])),
+});
+
+const createAlert = (rule, subject, period, { key, day, message, metrics, rows, tab }) => {
+  const source = SOURCES[rule.scope];
+  return {
+    id: [rule.id, subject, key].join('|'),
+    ruleId: rule.id,
+    ruleName: rule.name,
+    type: rule.type,
+    scope: rule.scope,
+    subject,
+    period,
+    day,
+    threshold: rule.threshold,
+    message,
+    metrics,
+    rows,
+    view: { activeTab: tab || source.tab, [source.viewKey]: subject, selectedMonth: period, viewMode: rule.viewMode || 'count' },
+  };
+};
+
+// One alert per run of at least `days` consecutive reporting days with
+// endorsements / pullouts under the threshold. Days without pullouts end a run.
+const evaluateNetFlowBelow = (rule, datasets) => {
+  const source = SOURCES[rule.scope];
+  const suffix = rule.viewMode === 'ob' ? ' OB' : '';
+  const endorsementField = source.endorsements + suffix;
+  const pulloutField = `PULLOUT${suffix}`;
+  const rows = datasets[source.dailyDataset] || [];
+  const period = getLatestPeriod(rows);
+  const alerts = [];
+
+  groupRows(rows, source.field, period).forEach((group, subject) => {
+    const runs = [];
+    let run = [];
+    group.forEach(row => {
+      const pullouts = parseNumber(row[pulloutField]);
+      const netFlow = pullouts > 0 ? parseNumber(row[endorsementField]) / pullouts : null;
+      if (netFlow !== null && netFlow < rule.threshold) {
+        run.push({ row, netFlow });
+        return;
+      }
+      runs.push(run);
+      run = [];
+    });
+    runs.push(run);
+
+    runs.filter(entries => entries.length >= rule.days).forEach(entries => {
+      const first = entries[0];
+      const last = entries[entries.length - 1];
+      alerts.push(createAlert(rule, subject, period, {
+        key: first.row.DAY,
+        day: last.row.DAY,
+        message: `NET FLOW below ${rule.threshold.toFixed(2)} for ${entries.length} days (${formatDay(first.row.DAY)} to ${formatDay(last.row.DAY)})`,
+        metrics: {
+          'NET FLOW': Number(last.netFlow.toFixed(2)),
+          'LOWEST NET FLOW': Number(Math.min(...entries.map(entry => entry.netFlow)).toFixed(2)),
+          DAYS: entries.length,
+        },
+        rows: entries.map(entry => toAlertRow(source.dailySheet, entry.row, ['DATE', endorsementField, pulloutField])),
+      }));
+    });
+  });
+  return alerts;
+};
+
+// One alert per day with pullouts above the threshold
+const evaluatePulloutsAbove = (rule, datasets) => {
+  const source = SOURCES[rule.scope];
+  const pulloutField = rule.viewMode === 'ob' ? 'PULLOUT OB' : 'PULLOUT';
+  const rows = datasets[source.dailyDataset] || [];
+  const period = getLatestPeriod(rows);
+  const alerts = [];
+
+  groupRows(rows, source.field, period).forEach((group, subject) => {
+    group.forEach(row => {
+      const pullouts = parseNumber(row[pulloutField]);
+      if (!row.DAY || pullouts <= rule.threshold) return;
+      alerts.push(createAlert(rule, subject, period, {
+        key: row.DAY,
+        day: row.DAY,
+        message: `${formatValue(pullouts)} ${pulloutField} on ${formatDay(row.DAY)}, above ${formatValue(rule.threshold)}`,
+        metrics: { [pulloutField]: pullouts },
+        rows: [toAlertRow(source.dailySheet, row, ['DATE', pulloutField])],
+      }));
+    });
+  });
+  return alerts;
+};
+
+// One alert per month while PENDING (Endorse to Field - VISITED) is above the
+// threshold % of Endorse to Field, as on the field tabs
+const evaluatePendingAbove = (rule, datasets) => {
+  const source = SOURCES[rule.scope];
+  const visitRows = datasets[source.visitsDataset] || [];
+  const endoRows = datasets.fieldEndoData || [];
+  const period = getLatestPeriod(visitRows);
+  const alerts = [];
+
+  groupRows(visitRows, source.field, period).forEach((group, subject) => {
+    const matchingEndo = endoRows.filter(row => matchesPeriod(row, period) && row[source.field] === subject);
+    const endorseToField = matchingEndo.reduce((sum, row) => sum + parseNumber(row['ENDORSED TO FIELD']), 0);
+    if (endorseToField <= 0) return;
+    const visited = group.reduce((sum, row) => sum + parseNumber(row.TNA), 0);
+    const pending = endorseToField - visited;
+    const pendingPercent = (pending / endorseToField) * 100;
+    if (pendingPercent <= rule.threshold) return;
+    const lastDay = group[group.length - 1].DAY || null;
+    alerts.push(createAlert(rule, subject, period, {
+      key: period,
+      day: lastDay,
+      message: `PENDING is ${formatValue(pendingPercent)}% of Endorse to Field (${formatValue(pending)} of ${formatValue(endorseToField)}), above ${formatValue(rule.threshold)}%`,
+      metrics: {
+        PENDING: pending,
+        'ENDORSE TO FIELD': endorseToField,
+        VISITED: visited,
+        'PENDING %': Number(pendingPercent.toFixed(2)),
+      },
+      rows: [
+        ...matchingEndo.map(row => toAlertRow('FIELD_ENDO', row, ['MONTH', 'ENDORSED TO FIELD'])),
+        ...group.map(row => toAlertRow(source.visitsSheet, row, ['DATE', 'TNA'])),
+      ],
+      tab: source.fieldTab,
+    }));
+  });
+  return alerts;
+};
+
+const EVALUATORS = {
+  netFlowBelow: evaluateNetFlowBelow,
+  pulloutsAbove: evaluatePulloutsAbove,
+  pendingAbove: evaluatePendingAbove,
+};
+
+/**
+ * Checks the enabled rules against the datasets (keyed as in SHEET_DEFINITIONS)
+ * and returns the fired alerts, latest day first:
+ * [{ id, ruleId, ruleName, type, scope, subject, period, day, threshold,
+ *    message, metrics, rows: [{ sheet, rowNumber, day, values }], view }].
+ * `view` is the dashboard view (see urlState.js) that shows the breach.
+ */
+export const evaluateAlerts = (datasets, rules) => rules
+  .filter(rule => rule.enabled !== false)
+  .flatMap(rule => EVALUATORS[rule.type](rule, datasets))
+  .sort((a, b) => (b.day || '').localeCompare(a.day || '') || a.ruleName.localeCompare(b.ruleName) || a.subject.localeCompare(b.subject));
+
+// Checks a rules list (imported or edited); throws on the first invalid rule.
+// Returns the rules with defaults filled in.
+export const validateAlertRules = (data) => {
+  if (!Array.isArray(data)) throw new Error('Alert rules must be a JSON list of rules');
+  const ids = new Set();
+  return data.map((rule, index) => {
+    const label = rule && typeof rule.name === 'string' && rule.name.trim() ? `"${rule.name.trim()}"` : `#${index + 1}`;
+    if (!rule || typeof rule !== 'object') throw new Error(`Alert rule #${index + 1} must be an object`);
+    if (typeof rule.id !== 'string' || rule.id.trim() === '') throw new Error(`Alert rule ${label} must have an id`);
+    const id = rule.id.trim();
+    if (ids.has(id)) throw new Error(`Alert rule id "${id}" appears more than once`);
+    ids.add(id);
+    if (!RULE_TYPES[rule.type]) throw new Error(`Alert rule ${label} has an unknown type "${rule.type}"; use one of ${Object.keys(RULE_TYPES).join(', ')}`);
+    if (!RULE_SCOPES[rule.scope]) throw new Error(`Alert rule ${label} has an unknown scope "${rule.scope}"; use one of ${Object.keys(RULE_SCOPES).join(', ')}`);
+    if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold)) throw new Error(`Alert rule ${label} must have a numeric threshold`);
+    if (rule.type === 'netFlowBelow' && (!Number.isInteger(rule.days) || rule.days < 1)) {
+      throw new Error(`Alert rule ${label} must have a whole number of days of at least 1`);
+    }
+    if (rule.viewMode !== undefined && rule.viewMode !== 'count' && rule.viewMode !== 'ob') {
+      throw new Error(`Alert rule ${label} has an unknown viewMode "${rule.viewMode}"; use count or ob`);
+    }
+    return {
+      ...rule,
+      id,
+      name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : id,
+      enabled: rule.enabled !== false,
+    };
+  });
+};
+
+export const getDefaultAlertRules = () => validateAlertRules(DEFAULT_ALERT_RULES);
+
+// Rules edited in the alert center, else the defaults
+export const getAlertRules = () => {
+  if (typeof localStorage === 'undefined') return getDefaultAlertRules();
+  try {
+    const stored = localStorage.getItem(RULES_STORAGE_KEY);
+    return stored ? validateAlertRules(JSON.parse(stored)) : getDefaultAlertRules();
+  } catch {
+    return getDefaultAlertRules();
+  }
+};
+
+export const saveAlertRules = (rules) => {
+  localStorage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+};
+
+export const resetAlertRules = () => {
+  localStorage.removeItem(RULES_STORAGE_KEY);
+};
+
+// { [alert id]: ISO time it was acknowledged }
+export const getAlertAcknowledgements = () => {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    const stored = JSON.parse(localStorage.getItem(ACKNOWLEDGEMENTS_STORAGE_KEY));
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch {
+    return {};
+  }
+};
+
+export const saveAlertAcknowledgements = (acknowledgements) => {
+  localStorage.setItem(ACKNOWLEDGEMENTS_STORAGE_KEY, JSON.stringify(acknowledgements));
+};
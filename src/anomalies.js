@@ -0,0 +1,59 @@
+/**
+ * Unusual days in a daily series (endorsements, pullouts).
+ *
+ * Each day is compared with the ANOMALY_WINDOW reporting days before it, across
+ * month boundaries, by a robust z-score: (value - median) / (1.4826 * MAD).
+ * Unlike the mean and standard deviation, the median and the median absolute
+ * deviation (MAD) are not dragged along by the spikes they are meant to find.
+ * Days scoring beyond ANOMALY_THRESHOLD either way are flagged.
+ *
+ * A window that barely varies, or not at all, would make any change score
+ * without bound (or not at all), so the spread is never taken below
+ * MIN_SPREAD_SHARE of the usual value, nor below 1.
+ */
+
+export const ANOMALY_WINDOW = 20;
+export const ANOMALY_THRESHOLD = 3.5;
+
+// Days needed before the window says anything about what is usual
+export const MIN_ANOMALY_HISTORY = 7;
+
+// MAD * 1.4826 estimates the standard deviation of normally distributed values;
+// the mean absolute deviation * 1.2533 does the same when over half the window is identical
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+// Least spread, as a share of the window's median: a 5% move on a flat series is not yet unusual
+const MIN_SPREAD_SHARE = 0.05;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+const getSpread = (values, center) => {
+  const deviations = values.map(value => Math.abs(value - center));
+  const mad = median(deviations) * MAD_SCALE;
+  if (mad > 0) return mad;
+  return (deviations.reduce((sum, value) => sum + value, 0) / deviations.length) * MEAN_AD_SCALE;
+};
+
+/**
+ * `series` is [{ day, value }], oldest first. Returns the flagged days as
+ * [{ day, value, usual, zScore, direction }], where `usual` is the median of
+ * the trailing window and `direction` is 'spike' or 'drop'.
+ */
+export const detectAnomalies = (series, { window = ANOMALY_WINDOW, threshold = ANOMALY_THRESHOLD, minHistory = MIN_ANOMALY_HISTORY } = {}) => {
+  const anomalies = [];
+  series.forEach((entry, index) => {
+    if (index < minHistory) return;
+    const history = series.slice(Math.max(0, index - window), index).map(point => point.value);
+    const usual = median(history);
+    const spread = Math.max(getSpread(history, usual), MIN_SPREAD_SHARE * Math.abs(usual), 1);
+    const zScore = (entry.value - usual) / spread;
+    if (Math.abs(zScore) < threshold) return;
+    anomalies.push({ day: entry.day, value: entry.value, usual, zScore, direction: zScore > 0 ? 'spike' : 'drop' });
+  });
+  return anomalies;
+};
@@ -0,0 +1,70 @@
+/**
+ * Business days, for lining months up on "business day N" instead of calendar
+ * day N.
+ *
+ * Saturdays, Sundays and the days in holidays.json ([{ date, name }], the
+ * Philippine national holidays; edit it for other calendars or as holidays
+ * are proclaimed) are not business days. The list covers whole years, from the
+ * first holiday's year to the last one's; outside them only weekends are
+ * skipped, so business days there are not to be trusted.
+ */
+
+import HOLIDAY_LIST from './holidays.json' with { type: 'json' };
+import { addDays, getDayPeriod, getLastDayOfPeriod, formatDay } from './dates.js';
+import { formatPeriod } from './periods.js';
+
+// "2026-11-01" -> "All Saints' Day"
+export const HOLIDAYS = new Map(HOLIDAY_LIST.map(holiday => [holiday.date, holiday.name]));
+
+const holidayYears = HOLIDAY_LIST.map(holiday => holiday.date.slice(0, 4)).sort();
+
+// First and last day holidays.json covers, e.g. "2025-01-01" and "2026-12-31"
+export const HOLIDAY_CALENDAR_START = `${holidayYears[0]}-01-01`;
+export const HOLIDAY_CALENDAR_END = `${holidayYears[holidayYears.length - 1]}-12-31`;
+
+export const isPeriodInHolidayCalendar = (period) => `${period}-01` >= HOLIDAY_CALENDAR_START && `${period}-01` <= HOLIDAY_CALENDAR_END;
+
+// Warning for business-day comparisons of months outside holidays.json; null when there are none
+export const describeUncoveredMonths = (months) => {
+  if (months.length === 0) return null;
+  return `${months.map(formatPeriod).join(', ')} ${months.length === 1 ? 'is' : 'are'} outside the holiday calendar `
+    + `(${formatDay(HOLIDAY_CALENDAR_START)} to ${formatDay(HOLIDAY_CALENDAR_END)} in holidays.json), so only weekends are skipped there`;
+};
+
+export const isWeekend = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const weekday = new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+  return weekday === 0 || weekday === 6;
+};
+
+export const isBusinessDay = (day, holidays = HOLIDAYS) => !isWeekend(day) && !holidays.has(day);
+
+/**
+ * Business days from the 1st of the month up to and including `day`: the Nth
+ * business day is N, and a weekend or holiday gets the number of the business
+ * day before it (0 before the month's first business day).
+ */
+export const getBusinessDayNumber = (day, holidays = HOLIDAYS) => {
+  if (!day) return 0;
+  let count = 0;
+  for (let current = `${getDayPeriod(day)}-01`; current <= day; current = addDays(current, 1)) {
+    if (isBusinessDay(current, holidays)) count++;
+  }
+  return count;
+};
+
+// Calendar day of every business day in the period, in order: element N - 1 is business day N
+export const getBusinessDaysOfPeriod = (period, holidays = HOLIDAYS) => {
+  const days = [];
+  const lastDay = getLastDayOfPeriod(period);
+  for (let current = `${period}-01`; current <= lastDay; current = addDays(current, 1)) {
+    if (isBusinessDay(current, holidays)) days.push(current);
+  }
+  return days;
+};
+
+// Holidays falling on weekdays of the period: [{ day, name }]
+export const getPeriodHolidays = (period, holidays = HOLIDAYS) => [...holidays.entries()]
+  .filter(([day]) => getDayPeriod(day) === period && !isWeekend(day))
+  .map(([day, name]) => ({ day, name }))
+  .sort((a, b) => a.day.localeCompare(b.day));
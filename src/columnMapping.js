@@ -0,0 +1,110 @@
+/**
+ * Column mapping between the logical fields the dashboard reads (e.g.
+ * 'ENDORSEMENTS OB') and the actual headers in each sheet.
+ *
+ * Defaults live in columnMapping.json; header overrides made on the Column
+ * Mapping screen are stored in localStorage as { SHEET: { FIELD: header } }.
+ * Rows are remapped at load time, so the rest of the dashboard always reads
+ * the logical field names.
+ */
+
+import DEFAULT_COLUMN_MAPPING from './columnMapping.json' with { type: 'json' };
+
+export { DEFAULT_COLUMN_MAPPING };
+
+const OVERRIDES_STORAGE_KEY = 'endorsement-monitor:column-mapping';
+
+const normalizeHeader = (header) => String(header ?? '').trim().replace(/\s+/g, ' ').toUpperCase();
+
+export const getColumnOverrides = () => {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    return JSON.parse(localStorage.getItem(OVERRIDES_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+export const saveColumnOverrides = (overrides) => {
+  localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(overrides));
+};
+
+export const clearColumnOverrides = () => {
+  localStorage.removeItem(OVERRIDES_STORAGE_KEY);
+};
+
+// Checks an imported overrides object; throws on anything that is not
+// { SHEET: { FIELD: 'header' } } for known sheets and fields.
+export const validateColumnOverrides = (overrides) => {
+  if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('Column mapping must be a JSON object of sheets');
+  }
+  Object.entries(overrides).forEach(([sheet, fields]) => {
+    if (!DEFAULT_COLUMN_MAPPING[sheet]) throw new Error(`Unknown sheet in column mapping: "${sheet}"`);
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw new Error(`Column mapping for "${sheet}" must be an object of fields`);
+    }
+    Object.entries(fields).forEach(([field, header]) => {
+      if (!DEFAULT_COLUMN_MAPPING[sheet][field]) throw new Error(`Unknown field in column mapping: "${sheet}.${field}"`);
+      if (typeof header !== 'string' || header.trim() === '') {
+        throw new Error(`Header for "${sheet}.${field}" must be a non-empty string`);
+      }
+    });
+  });
+  return overrides;
+};
+
+// Defaults with the overrides applied: { SHEET: { FIELD: { header, type, description, optional } } }
+// `type` is one of 'date', 'month', 'number' or 'text'.
+export const buildColumnMapping = (overrides = getColumnOverrides()) => {
+  const mapping = {};
+  Object.entries(DEFAULT_COLUMN_MAPPING).forEach(([sheet, fields]) => {
+    mapping[sheet] = {};
+    Object.entries(fields).forEach(([field, definition]) => {
+      const header = overrides[sheet]?.[field];
+      mapping[sheet][field] = { ...definition, header: header || definition.header };
+    });
+  });
+  return mapping;
+};
+
+/**
+ * Matches a sheet's mapped fields against its actual headers. Headers match
+ * exactly first, then ignoring case and extra whitespace.
+ * Returns [{ field, header, resolvedHeader, found, type, optional, description }].
+ */
+export const resolveSheetColumns = (sheetName, headers, mapping) => {
+  const fields = mapping[sheetName] || {};
+  return Object.entries(fields).map(([field, { header, type, description, optional = false }]) => {
+    const resolvedHeader = headers.includes(header)
+      ? header
+      : headers.find(h => normalizeHeader(h) === normalizeHeader(header)) ?? null;
+    return { field, header, resolvedHeader, found: resolvedHeader !== null, type, optional, description };
+  });
+};
+
+// Copies each mapped column onto its logical field name; other columns are kept as-is.
+export const applyColumnMapping = (rows, columns) => {
+  const renames = columns.filter(column => column.resolvedHeader !== column.field);
+  if (renames.length === 0) return rows;
+  return rows.map(row => {
+    const mapped = { ...row };
+    renames.forEach(({ field, resolvedHeader }) => {
+      if (resolvedHeader === null) {
+        delete mapped[field];
+      } else {
+        mapped[field] = row[resolvedHeader];
+      }
+    });
+    return mapped;
+  });
+};
+
+// One line per sheet with expected (non-optional) columns that were not found
+export const describeMissingColumns = (columnReport) => Object.entries(columnReport)
+  .map(([sheet, columns]) => {
+    const missing = columns.filter(column => !column.found && !column.optional);
+    if (missing.length === 0) return null;
+    return `${sheet}: ${missing.map(column => column.header === column.field ? `"${column.header}"` : `"${column.header}" (${column.field})`).join(', ')}`;
+  })
+  .filter(Boolean);
@@ -0,0 +1,179 @@
+/**
+ * Data quality checks for the loaded sheets.
+ *
+ * The dashboard reads unparseable numbers as 0 and drops rows whose date it
+ * cannot read, so bad rows silently distort BOM, ACTIVE and NET FLOW. These
+ * checks list them with their sheet row numbers (ROW_NUMBER) so the sheet can
+ * be fixed.
+ */
+
+import { SHEET_DEFINITIONS } from './sheetConfig.js';
+import { formatPeriod, findPeriodRecord } from './periods.js';
+import { DATE_FORMATS, getTodayKey } from './dates.js';
+
+export const ISSUE_TYPES = {
+  number: 'Unparseable number',
+  date: 'Invalid date',
+  ambiguousDate: 'Ambiguous date',
+  futureDate: 'Future date',
+  month: 'Invalid month',
+  duplicate: 'Duplicate row',
+  missingCampaignBom: 'Campaign missing from CAMPAIGN_BOM',
+  missingBom: 'Month with no BOM record',
+};
+
+// Fields that identify a row; two rows with the same values are duplicates
+const DUPLICATE_KEYS = {
+  DAILY: ['DATE', 'PRODUCT TYPE'],
+  BOM: ['MONTH', 'PRODUCT TYPE'],
+  CAMPAIGN: ['DATE', 'CAMPAIGN'],
+  CAMPAIGN_BOM: ['MONTH', 'CAMPAIGN'],
+  FIELD_DAILY: ['DATE', 'PRODUCT TYPE'],
+  FIELD_BOM: ['MONTH', 'PRODUCT TYPE'],
+  FIELD_CAMPAIGN: ['DATE', 'CAMPAIGN'],
+  FIELD_ENDO: ['MONTH', 'CAMPAIGN', 'PRODUCT TYPE'],
+  PER_AREA: ['DATE', 'AREA', 'CAMPAIGN'],
+};
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Stricter than parseNumber: "12abc", "-" or "(1,000)" are not numbers
+const isParseableNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value);
+  const clean = String(value).trim().replace(/,/g, '');
+  return clean !== '' && Number.isFinite(Number(clean));
+};
+
+// Key a row is compared on for duplicates: the calendar day for dates and the
+// period for months, so "10/1/2026" and "2026-10-01" are the same day.
+const getKeyValue = (row, field) => {
+  if (field === 'DATE') return row.DAY ?? String(row.DATE ?? '');
+  if (field === 'MONTH') return row.PERIOD ?? String(row.MONTH ?? '');
+  return String(row[field] ?? '').trim();
+};
+
+const checkValues = (sheet, rows, columns, today, issues) => {
+  rows.forEach(row => {
+    columns.forEach(({ field, type }) => {
+      const value = row[field];
+      if (type === 'number' && !isBlank(value) && !isParseableNumber(value)) {
+        issues.push({ sheet, type: 'number', rows: [row.ROW_NUMBER], column: field, value, message: `"${value}" is not a number and is read as 0` });
+      }
+      if (type === 'date') {
+        if (isBlank(value)) {
+          issues.push({ sheet, type: 'date', rows: [row.ROW_NUMBER], column: field, value: '', message: 'Date is missing' });
+          return;
+        }
+        // DAY / DATE_AMBIGUOUS come from dates.withDays at load time
+        if (!row.DAY) {
+          issues.push({ sheet, type: 'date', rows: [row.ROW_NUMBER], column: field, value, message: `"${value}" is not a valid date` });
+          return;
+        }
+        if (row.DATE_AMBIGUOUS) {
+          issues.push({ sheet, type: 'ambiguousDate', rows: [row.ROW_NUMBER], column: field, value, message: `"${value}" could be ${DATE_FORMATS.mdy} or ${DATE_FORMATS.dmy}; read as ${row.DAY}` });
+        }
+        if (row.DAY > today) {
+          issues.push({ sheet, type: 'futureDate', rows: [row.ROW_NUMBER], column: field, value, message: `${value} is in the future` });
+        }
+      }
+      if (type === 'month' && !row.PERIOD && !row.MONTH_NUMBER) {
+        issues.push({ sheet, type: 'month', rows: [row.ROW_NUMBER], column: field, value: value ?? '', message: isBlank(value) ? 'Month is missing' : `"${value}" is not a recognizable month` });
+      }
+    });
+  });
+};
+
+const checkDuplicates = (sheet, rows, issues) => {
+  const keyFields = DUPLICATE_KEYS[sheet];
+  if (!keyFields) return;
+  const groups = new Map();
+  rows.forEach(row => {
+    if (keyFields.some(field => isBlank(row[field]))) return;
+    const key = keyFields.map(field => getKeyValue(row, field)).join('|');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  groups.forEach(group => {
+    if (group.length < 2) return;
+    const description = keyFields.map(field => `${field} ${group[0][field]}`).join(' + ');
+    issues.push({
+      sheet,
+      type: 'duplicate',
+      rows: group.map(row => row.ROW_NUMBER),
+      column: keyFields.join(' + '),
+      value: keyFields.map(field => group[0][field]).join(' / '),
+      message: `${description} appears ${group.length} times`,
+    });
+  });
+};
+
+// Rows of `rows` grouped by period + `field`, keeping the row numbers of each group
+const groupByPeriod = (rows, field) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    if (!row.PERIOD || isBlank(row[field])) return;
+    const key = `${row.PERIOD}|${row[field]}`;
+    if (!groups.has(key)) groups.set(key, { period: row.PERIOD, name: row[field], rows: [] });
+    groups.get(key).rows.push(row.ROW_NUMBER);
+  });
+  return [...groups.values()];
+};
+
+/**
+ * Runs every check over the parsed datasets (keyed as in SHEET_DEFINITIONS)
+ * and returns [{ sheet, type, rows, column, value, message }]. `columnMapping`
+ * supplies each field's type; sheets that did not load are skipped. `today` is
+ * a "YYYY-MM-DD" day key.
+ */
+export const buildDataQualityReport = (datasets, columnMapping, today = getTodayKey()) => {
+  const issues = [];
+
+  SHEET_DEFINITIONS.forEach(({ name, dataset }) => {
+    const rows = datasets[dataset] || [];
+    if (rows.length === 0) return;
+    const columns = Object.entries(columnMapping[name] || {}).map(([field, { type }]) => ({ field, type }));
+    checkValues(name, rows, columns, today, issues);
+    checkDuplicates(name, rows, issues);
+  });
+
+  groupByPeriod(datasets.campaignData || [], 'CAMPAIGN').forEach(({ period, name, rows }) => {
+    if (findPeriodRecord(datasets.campaignBomData || [], period, r => r.CAMPAIGN === name)) return;
+    issues.push({
+      sheet: 'CAMPAIGN',
+      type: 'missingCampaignBom',
+      rows,
+      column: 'CAMPAIGN',
+      value: name,
+      message: `No CAMPAIGN_BOM record for ${name} in ${formatPeriod(period)}`,
+    });
+  });
+
+  groupByPeriod(datasets.dailyData || [], 'PRODUCT TYPE').forEach(({ period, name, rows }) => {
+    if (findPeriodRecord(datasets.bomData || [], period, r => r['PRODUCT TYPE'] === name)) return;
+    issues.push({
+      sheet: 'DAILY',
+      type: 'missingBom',
+      rows,
+      column: 'PRODUCT TYPE',
+      value: name,
+      message: `No BOM record for ${name} in ${formatPeriod(period)}`,
+    });
+  });
+
+  return issues;
+};
+
+// [2, 3, 4, 9] -> "2–4, 9"
+export const formatRowNumbers = (rows) => {
+  const sorted = [...new Set(rows.filter(n => Number.isFinite(n)))].sort((a, b) => a - b);
+  const ranges = [];
+  sorted.forEach(n => {
+    const last = ranges[ranges.length - 1];
+    if (last && n === last[1] + 1) {
+      last[1] = n;
+    } else {
+      ranges.push([n, n]);
+    }
+  });
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}–${end}`)).join(', ');
+};
@@ -0,0 +1,45 @@
+/**
+ * Date cells of .xlsx sheets read with SheetJS.
+ *
+ * SheetJS gives a real date cell the text of its default m/d/yy format
+ * ("10/3/26"), whatever the workbook shows, so reading that text with the
+ * configured date order (see dates.js) swaps or drops days under dd/mm/yyyy.
+ * Date cells of date and month columns are therefore read as the day key of
+ * their Excel serial ("2026-10-03") instead; only cells that hold text depend
+ * on the configured order.
+ */
+
+import * as XLSX from 'xlsx';
+import { excelSerialToDay } from './dates.js';
+
+const DATE_COLUMN_TYPES = ['date', 'month'];
+
+// Text of a number cell shown as a plain number ("46298", "1,234.5", "10")
+const PLAIN_NUMBER_TEXT = /^-?[\d,]*\.?\d*$/;
+
+// A number cell shown as something else than a number is a date (or date-time) cell
+const isDateCell = (cell) => cell?.t === 'n' && cell.w !== undefined && !PLAIN_NUMBER_TEXT.test(cell.w.trim());
+
+/**
+ * A copy of `sheet` whose date cells in the mapped date and month columns
+ * (`columns` from columnMapping.resolveSheetColumns) read as their day key in
+ * sheet_to_json's text output. Other cells, plain numbers included, are unchanged.
+ */
+export const withIsoDateCells = (sheet, columns) => {
+  const headers = columns.filter(column => column.found && DATE_COLUMN_TYPES.includes(column.type)).map(column => column.resolvedHeader);
+  if (!sheet?.['!ref'] || headers.length === 0) return sheet;
+
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const copy = { ...sheet };
+  for (let c = range.s.c; c <= range.e.c; c++) {
+    const headerCell = sheet[XLSX.utils.encode_cell({ r: range.s.r, c })];
+    if (!headerCell || !headers.includes(String(headerCell.w ?? headerCell.v ?? '').trim())) continue;
+    for (let r = range.s.r + 1; r <= range.e.r; r++) {
+      const address = XLSX.utils.encode_cell({ r, c });
+      const cell = sheet[address];
+      const day = isDateCell(cell) ? excelSerialToDay(cell.v) : null;
+      if (day) copy[address] = { ...cell, w: day };
+    }
+  }
+  return copy;
+};
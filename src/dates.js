@@ -0,0 +1,209 @@
+/**
+ * Sheet date parsing.
+ *
+ * Every DATE cell is normalized to a calendar day key such as "2026-10-01".
+ * Day keys carry no time or timezone, sort as plain strings and compare
+ * directly with <input type="date"> values.
+ *
+ * ISO dates ("2026-10-01"), month-name dates ("Oct 1, 2026", "1-Oct-2026")
+ * and Excel serials are always unambiguous. Slash dates ("03/10/2026") are
+ * read in the configured DATE_FORMATS order; 'auto' infers the order from the
+ * sheet itself and flags rows it cannot decide.
+ */
+
+export const DATE_FORMATS = {
+  auto: 'Auto-detect',
+  mdy: 'mm/dd/yyyy',
+  dmy: 'dd/mm/yyyy',
+};
+
+export const DEFAULT_DATE_FORMAT = 'auto';
+
+const DATE_FORMAT_STORAGE_KEY = 'endorsement-monitor:date-format';
+
+// Sheets assume US order when nothing in the sheet says otherwise
+const FALLBACK_ORDER = 'mdy';
+
+export const getDateFormatSetting = () => {
+  if (typeof localStorage === 'undefined') return DEFAULT_DATE_FORMAT;
+  const stored = localStorage.getItem(DATE_FORMAT_STORAGE_KEY);
+  return DATE_FORMATS[stored] ? stored : DEFAULT_DATE_FORMAT;
+};
+
+export const saveDateFormatSetting = (format) => {
+  localStorage.setItem(DATE_FORMAT_STORAGE_KEY, format);
+};
+
+const expandYear = (year) => (String(year).length === 2 ? 2000 + parseInt(year, 10) : parseInt(year, 10));
+
+const MONTH_PREFIXES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// "Oct" / "October" -> 10; 0 when not a month name
+const findMonthNumber = (name) => MONTH_PREFIXES.indexOf(name.toUpperCase().slice(0, 3)) + 1;
+
+// (2026, 10, 1) -> "2026-10-01"; null for days that do not exist (2026-02-30)
+export const toDayKey = (year, month, day) => {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (![y, m, d].every(Number.isInteger) || m < 1 || m > 12 || d < 1) return null;
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  if (d > lastDay) return null;
+  return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+};
+
+// Excel / Sheets serial (days since 1899-12-30); any time fraction is dropped
+export const excelSerialToDay = (serial) => {
+  if (!Number.isFinite(serial) || serial < 1) return null;
+  const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000);
+  return toDayKey(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+};
+
+const SLASH_DATE = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/;
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/;
+const MONTH_FIRST_DATE = /^([A-Za-z]{3,})\.?\s+(\d{1,2}),?\s+(\d{4}|\d{2})$/;
+const DAY_FIRST_DATE = /^(\d{1,2})[\s-]([A-Za-z]{3,})\.?[\s-,]+(\d{4}|\d{2})$/;
+
+// Which orders a slash date can be read in: 'mdy', 'dmy', or both
+const getSlashOrders = (first, second) => {
+  const orders = [];
+  if (first <= 12 && second <= 31) orders.push('mdy');
+  if (second <= 12 && first <= 31) orders.push('dmy');
+  return orders;
+};
+
+/**
+ * Looks at a sheet's DATE values and returns the slash order they are written
+ * in ('mdy' or 'dmy'), or null when the sheet does not say. Values that can
+ * only be read one way decide it, unless they contradict each other. Otherwise,
+ * since a sheet covers runs of consecutive days, the position that changes
+ * less often is taken to be the month.
+ */
+export const detectDayMonthOrder = (values) => {
+  const seen = new Set();
+  const firsts = new Set();
+  const seconds = new Set();
+  values.forEach(value => {
+    const match = typeof value === 'string' && value.trim().match(SLASH_DATE);
+    if (!match) return;
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[2], 10);
+    const orders = getSlashOrders(first, second);
+    if (orders.length === 1) seen.add(orders[0]);
+    firsts.add(first);
+    seconds.add(second);
+  });
+  if (seen.size > 0) return seen.size === 1 ? [...seen][0] : null;
+  if (firsts.size < seconds.size) return 'mdy';
+  if (seconds.size < firsts.size) return 'dmy';
+  return null;
+};
+
+/**
+ * Parses a sheet date cell into { day, ambiguous }. `day` is a "YYYY-MM-DD" key
+ * or null when the value is not a date. `format` is a DATE_FORMATS key; with
+ * 'auto', `sheetOrder` (from detectDayMonthOrder) decides slash dates that read
+ * either way, and without it they fall back to mm/dd/yyyy and are flagged as
+ * ambiguous.
+ */
+export const parseSheetDate = (value, format = DEFAULT_DATE_FORMAT, sheetOrder = null) => {
+  if (value === null || value === undefined) return { day: null, ambiguous: false };
+  if (typeof value === 'number') return { day: excelSerialToDay(value), ambiguous: false };
+  if (value instanceof Date) {
+    return { day: isNaN(value) ? null : toDayKey(value.getFullYear(), value.getMonth() + 1, value.getDate()), ambiguous: false };
+  }
+
+  const str = String(value).trim();
+  if (str === '') return { day: null, ambiguous: false };
+
+  if (/^\d{5}(\.\d+)?$/.test(str)) return { day: excelSerialToDay(Number(str)), ambiguous: false };
+
+  const iso = str.match(ISO_DATE);
+  if (iso) return { day: toDayKey(iso[1], iso[2], iso[3]), ambiguous: false };
+
+  const slash = str.match(SLASH_DATE);
+  if (slash) {
+    const first = parseInt(slash[1], 10);
+    const second = parseInt(slash[2], 10);
+    const year = expandYear(slash[3]);
+    let order = format;
+    let ambiguous = false;
+    if (format === 'auto') {
+      const orders = getSlashOrders(first, second);
+      if (orders.length === 1) {
+        order = orders[0];
+      } else {
+        order = sheetOrder || FALLBACK_ORDER;
+        ambiguous = !sheetOrder && first !== second;
+      }
+    }
+    const day = order === 'dmy' ? toDayKey(year, second, first) : toDayKey(year, first, second);
+    return { day, ambiguous: ambiguous && day !== null };
+  }
+
+  const monthFirst = str.match(MONTH_FIRST_DATE);
+  if (monthFirst) {
+    const month = findMonthNumber(monthFirst[1]);
+    return { day: month ? toDayKey(expandYear(monthFirst[3]), month, monthFirst[2]) : null, ambiguous: false };
+  }
+
+  const dayFirst = str.match(DAY_FIRST_DATE);
+  if (dayFirst) {
+    const month = findMonthNumber(dayFirst[2]);
+    return { day: month ? toDayKey(expandYear(dayFirst[3]), month, dayFirst[1]) : null, ambiguous: false };
+  }
+
+  return { day: null, ambiguous: false };
+};
+
+// Today's calendar day in the browser's timezone
+export const getTodayKey = (date = new Date()) => toDayKey(date.getFullYear(), date.getMonth() + 1, date.getDate());
+
+// "2026-10-30" + 2 -> "2026-11-01"
+export const addDays = (day, count) => {
+  const [year, month, date] = day.split('-').map(Number);
+  const next = new Date(Date.UTC(year, month - 1, date + count));
+  return toDayKey(next.getUTCFullYear(), next.getUTCMonth() + 1, next.getUTCDate());
+};
+
+// "2026-10" -> "2026-10-31"
+export const getLastDayOfPeriod = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return toDayKey(year, month, new Date(Date.UTC(year, month, 0)).getUTCDate());
+};
+
+// "2026-10-01" -> 1
+export const getDayOfMonth = (day) => (day ? parseInt(day.slice(8), 10) : 0);
+
+// "2026-10-01" -> "2026-10"
+export const getDayPeriod = (day) => (day ? day.slice(0, 7) : null);
+
+// Sort comparator for day keys; rows without a day sort first
+export const compareDays = (a, b) => (a || '').localeCompare(b || '');
+
+// True when `day` falls within [start, end]; either bound may be empty
+export const isDayInRange = (day, start, end) => {
+  if (!start && !end) return true;
+  if (!day) return false;
+  if (start && day < start) return false;
+  if (end && day > end) return false;
+  return true;
+};
+
+// "2026-10-31" -> "10/31/2026", for labelling days that have no sheet row
+export const formatDay = (day) => {
+  if (!day) return '';
+  const [year, month, date] = day.split('-');
+  return `${parseInt(month, 10)}/${parseInt(date, 10)}/${year}`;
+};
+
+// Adds DAY to every row with a DATE cell, plus DATE_AMBIGUOUS when the date
+// could be read either way and the sheet gave no hint which
+export const withDays = (rows, format = DEFAULT_DATE_FORMAT) => {
+  const sheetOrder = format === 'auto' ? detectDayMonthOrder(rows.map(row => row.DATE)) : null;
+  return rows.map(row => {
+    if (row.DATE === undefined) return row;
+    const { day, ambiguous } = parseSheetDate(row.DATE, format, sheetOrder);
+    return ambiguous ? { ...row, DAY: day, DATE_AMBIGUOUS: true } : { ...row, DAY: day };
+  });
+};
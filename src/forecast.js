@@ -0,0 +1,95 @@
+/**
+ * End-of-month forecast from the month-to-date run rate.
+ *
+ * Every day left in the month is assumed to add the average daily net
+ * (endorsements - pullouts) seen so far. The band around it is a prediction
+ * interval from the day-to-day variance of that net, so it widens with the
+ * number of days left and with how uneven the month has been.
+ */
+
+import { addDays, getDayOfMonth, getDayPeriod, getLastDayOfPeriod } from './dates.js';
+
+// Two-sided 80% band
+export const FORECAST_CONFIDENCE = 0.8;
+const Z_SCORE = 1.2816;
+
+// With fewer observed days the variance means little
+export const MIN_FORECAST_DAYS = 3;
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => sum(values) / values.length;
+
+const sampleStdDev = (values) => {
+  const average = mean(values);
+  return Math.sqrt(sum(values.map(value => (value - average) ** 2)) / (values.length - 1));
+};
+
+// The sheets skip days nobody reports (weekends), so calendar days left are
+// scaled by how often the month has reported so far
+const getReportingRate = (observed) => Math.min(1, observed.length / getDayOfMonth(observed[observed.length - 1].day));
+
+const getCalendarDaysLeft = (lastDay) => getDayOfMonth(getLastDayOfPeriod(getDayPeriod(lastDay))) - getDayOfMonth(lastDay);
+
+/**
+ * Reporting days left in the month after the last of `days` ([{ day }], oldest
+ * first), assuming the month keeps reporting as often as it has so far.
+ */
+export const estimateRemainingDays = (days) => {
+  const observed = days.filter(entry => entry.day);
+  if (observed.length === 0) return 0;
+  return Math.max(0, getCalendarDaysLeft(observed[observed.length - 1].day)) * getReportingRate(observed);
+};
+
+/**
+ * `days` are the month's daily rows so far, oldest first: [{ day, endorsements, pullouts }]
+ * (day is a "YYYY-MM-DD" key), and `active` the portfolio on the last of them.
+ *
+ * Returns null when there is nothing to forecast (too few days, or the month is
+ * already complete). Otherwise returns { lastDay, endDay, remainingDays,
+ * endorsements, pullouts, active, activeLow, activeHigh, path }: projected month
+ * totals and end-of-month ACTIVE with its band, and `path`, the projected
+ * ACTIVE { day, active, low, high } for every calendar day left.
+ */
+export const buildMonthEndForecast = ({ days, active }) => {
+  const observed = days.filter(entry => entry.day);
+  if (observed.length < MIN_FORECAST_DAYS) return null;
+
+  const lastDay = observed[observed.length - 1].day;
+  const endDay = getLastDayOfPeriod(getDayPeriod(lastDay));
+  const calendarDaysLeft = getCalendarDaysLeft(lastDay);
+  if (calendarDaysLeft <= 0) return null;
+
+  const reportingRate = getReportingRate(observed);
+  const nets = observed.map(entry => entry.endorsements - entry.pullouts);
+  const meanNet = mean(nets);
+  const netStdDev = sampleStdDev(nets);
+
+  const projectAt = (calendarDays) => {
+    const reportingDays = calendarDays * reportingRate;
+    // Prediction interval for the sum of `reportingDays` future days around an estimated mean
+    const spread = Z_SCORE * netStdDev * Math.sqrt(reportingDays + (reportingDays ** 2) / observed.length);
+    const projected = active + meanNet * reportingDays;
+    return { active: projected, low: projected - spread, high: projected + spread };
+  };
+
+  const path = Array.from({ length: calendarDaysLeft }, (_, index) => ({
+    day: addDays(lastDay, index + 1),
+    ...projectAt(index + 1),
+  }));
+  const end = path[path.length - 1];
+  const remainingDays = calendarDaysLeft * reportingRate;
+  const endorsements = observed.map(entry => entry.endorsements);
+  const pullouts = observed.map(entry => entry.pullouts);
+
+  return {
+    lastDay,
+    endDay,
+    remainingDays,
+    endorsements: sum(endorsements) + mean(endorsements) * remainingDays,
+    pullouts: sum(pullouts) + mean(pullouts) * remainingDays,
+    active: end.active,
+    activeLow: end.low,
+    activeHigh: end.high,
+    path,
+  };
+};
@@ -0,0 +1,14 @@
+/**
+ * Number formats shared by the dashboard's tabs and the printable report.
+ */
+
+const numberFormat = new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// 1234.5 -> "1,234.50"
+export const formatNumber = (num) => numberFormat.format(num);
+
+// Growth shown next to its ↑/↓ indicator, so without the sign
+export const formatPercent = (num) => `${formatNumber(Math.abs(num))}%`;
+
+// calculateNetFlow's result (see metrics.js); '−' when there is no ratio to show
+export const formatNetFlow = (netFlowObj) => (netFlowObj.isSpecial ? '−' : formatNumber(netFlowObj.value));
@@ -0,0 +1,68 @@
+/**
+ * Google Sheets values:batchGet client.
+ *
+ * All workbook sheets are fetched in a single request. The API rejects the
+ * whole batch when one range names a sheet that does not exist, so such a
+ * sheet is reported as missing and the batch is retried without it.
+ */
+
+export const SHEETS_API_URL = 'https://sheets.googleapis.com/v4/spreadsheets';
+
+// "Unable to parse range: 'FIELD_DAILY'!A1" -> FIELD_DAILY
+const getUnparseableRange = (message) => {
+  const match = /Unable to parse range: (.+)$/.exec(message || '');
+  if (!match) return null;
+  return match[1].split('!')[0].trim().replace(/^'|'$/g, '');
+};
+
+/**
+ * Fetches the given sheets and returns a map of sheet name to its rows, or to
+ * { status, httpStatus, message } for sheets that failed. The result can be
+ * passed straight to `buildLoadReport`.
+ */
+export const fetchSheetValues = async ({ spreadsheetId, apiKey, sheetNames, baseUrl = SHEETS_API_URL, fetchImpl = fetch }) => {
+  const results = {};
+  let pending = [...sheetNames];
+
+  while (pending.length > 0) {
+    const params = new URLSearchParams();
+    pending.forEach(name => params.append('ranges', name));
+    if (apiKey) params.append('key', apiKey);
+
+    let response;
+    try {
+      response = await fetchImpl(`${baseUrl}/${encodeURIComponent(spreadsheetId)}/values:batchGet?${params}`);
+    } catch (err) {
+      pending.forEach(name => {
+        results[name] = { status: 'error', httpStatus: null, message: err.message || 'Network error' };
+      });
+      break;
+    }
+
+    if (response.ok) {
+      const data = await response.json();
+      const valueRanges = data.valueRanges || [];
+      pending.forEach((name, index) => {
+        results[name] = valueRanges[index]?.values || [];
+      });
+      break;
+    }
+
+    const body = await response.json().catch(() => null);
+    const message = body?.error?.message || response.statusText;
+    const missingSheet = response.status === 400 ? getUnparseableRange(message) : null;
+
+    if (missingSheet && pending.includes(missingSheet)) {
+      results[missingSheet] = { status: 'missing', httpStatus: response.status, message };
+      pending = pending.filter(name => name !== missingSheet);
+      continue;
+    }
+
+    pending.forEach(name => {
+      results[name] = { status: 'error', httpStatus: response.status, message };
+    });
+    break;
+  }
+
+  return results;
+};
@@ -0,0 +1,251 @@
+/**
+ * Month-to-date metrics shared by the dashboard tabs, the printable report and
+ * the report CLI (server/report.js): the summary of a product type (DAILY) or
+ * client (CAMPAIGN), its daily movement and running totals, the client ranking
+ * of a month, the Monthly Comparison of several months and the field
+ * visitation summary. `viewMode` 'ob' reads the Outstanding Balance columns
+ * ("PULLOUT OB", BOM "OB") instead of the counts.
+ */
+
+import { compareDays, getDayOfMonth, getDayPeriod, getTodayKey } from './dates.js';
+import { formatPeriod, findPeriodRecord } from './periods.js';
+import { getBusinessDayNumber, getBusinessDaysOfPeriod, getPeriodHolidays, isPeriodInHolidayCalendar } from './businessDays.js';
+import { findTarget, getTargetValue, evaluateGrowthTarget } from './targets.js';
+import { estimateRemainingDays } from './forecast.js';
+import { parseNumber } from './sheetValues.js';
+
+const readColumn = (row, column, viewMode) => parseNumber(row?.[viewMode === 'ob' ? `${column} OB` : column]);
+
+// NET FLOW = endorsements / pullouts; isSpecial when there were no pullouts (shown as "−")
+export const calculateNetFlow = (endorsements, pullouts) => {
+  if (pullouts === 0 && endorsements > 0) return { value: -1, isSpecial: true };
+  if (pullouts === 0 && endorsements === 0) return { value: 0, isSpecial: true };
+  return { value: endorsements / pullouts, isSpecial: false };
+};
+
+// BOM, ACTIVE (portfolio on the last day), NET GROWTH and NET FLOW of a product
+// type's or client's daily rows. `endorsementColumn` is ENDORSEMENTS (DAILY) or NEW ENDO (CAMPAIGN).
+export const summarizeRows = (rows, bomRecord, viewMode, endorsementColumn) => {
+  const bom = parseNumber(bomRecord?.[viewMode === 'ob' ? 'OB' : 'TNA']);
+  const sorted = [...rows].sort((a, b) => compareDays(a.DAY, b.DAY));
+  const active = readColumn(sorted[sorted.length - 1], 'Total Portfolio', viewMode);
+  const totalEndorsements = rows.reduce((sum, row) => sum + readColumn(row, endorsementColumn, viewMode), 0);
+  const totalPullouts = rows.reduce((sum, row) => sum + readColumn(row, 'PULLOUT', viewMode), 0);
+  const portfolioGrowth = bom !== 0 ? ((active - bom) / bom) * 100 : 0;
+  const netFlowObj = calculateNetFlow(totalEndorsements, totalPullouts);
+  return { bom, active, portfolioGrowth, netFlowObj, totalEndorsements, totalPullouts };
+};
+
+/**
+ * One point per daily row, oldest first: { date, day, endorsements, pullouts,
+ * netFlowRatio, portfolioGrowth, portfolio }, with growth measured from `bom`
+ * and a net flow of 0 on days without pullouts.
+ */
+export const buildDailyMovement = (rows, { bom, viewMode, endorsementColumn }) => [...rows]
+  .sort((a, b) => compareDays(a.DAY, b.DAY))
+  .map((row, index) => {
+    const endorsements = readColumn(row, endorsementColumn, viewMode);
+    const pullouts = readColumn(row, 'PULLOUT', viewMode);
+    const portfolio = readColumn(row, 'Total Portfolio', viewMode);
+    return {
+      date: row.DATE || `Day ${index + 1}`,
+      day: row.DAY,
+      endorsements,
+      pullouts,
+      netFlowRatio: pullouts === 0 ? 0 : endorsements / pullouts,
+      portfolioGrowth: bom ? ((portfolio - bom) / bom) * 100 : 0,
+      portfolio,
+    };
+  });
+
+// Running totals of a movement series (buildDailyMovement, or rolled-up periods),
+// with net growth measured from `base`
+export const buildRunningTotals = (series, base) => {
+  let cumulativeEndorsements = 0;
+  let cumulativePullouts = 0;
+  return series.map(point => {
+    cumulativeEndorsements += point.endorsements;
+    cumulativePullouts += point.pullouts;
+    return {
+      date: point.date,
+      cumulativeEndorsements,
+      cumulativePullouts,
+      mtdNetFlowRatio: cumulativePullouts === 0 ? 0 : cumulativeEndorsements / cumulativePullouts,
+      mtdPortfolioGrowth: base ? ((point.portfolio - base) / base) * 100 : 0,
+    };
+  });
+};
+
+/**
+ * Every client (CAMPAIGN) with rows in `period`, best net growth first:
+ * [{ name, productType, ...summarizeRows }]. `productTypes` keeps only the
+ * clients of those product types.
+ */
+export const buildClientRanking = (campaignData, campaignBomData, { period, viewMode, productTypes = null }) => {
+  const byClient = new Map();
+  campaignData.forEach(row => {
+    if (row.PERIOD !== period || !row.CAMPAIGN) return;
+    if (productTypes && !productTypes.includes(row['PRODUCT TYPE'])) return;
+    if (!byClient.has(row.CAMPAIGN)) byClient.set(row.CAMPAIGN, []);
+    byClient.get(row.CAMPAIGN).push(row);
+  });
+  return [...byClient.entries()]
+    .map(([name, rows]) => ({
+      name,
+      productType: rows[0]['PRODUCT TYPE'] || '',
+      ...summarizeRows(rows, findPeriodRecord(campaignBomData, period, r => r.CAMPAIGN === name), viewMode, 'NEW ENDO'),
+    }))
+    .sort((a, b) => b.portfolioGrowth - a.portfolioGrowth);
+};
+
+/**
+ * Monthly Comparison tab: `months` (newest first) of a product type compared
+ * over the same stretch of each month, up to the last day every month has
+ * reached (`maxDay`), counted in calendar days or, with `alignment`
+ * 'business', business days (see businessDays.js). Returns
+ * { monthlyMetrics, clientComparison, maxDay, alignment, businessDayMap, uncoveredMonths, mtdTrend }:
+ * - monthlyMetrics: per month, summarizeRows plus growthByDay and its DAILY rows
+ * - clientComparison: every client, best net growth in the first month first,
+ *   with its endorsements and pullouts over all the months and its net growth target progress;
+ *   `clientProductTypes` keeps only the clients' rows of those product types
+ * - businessDayMap: per month, the calendar day of business days 1..maxDay (business alignment only)
+ * - uncoveredMonths: months outside holidays.json, whose holidays are not skipped (business alignment only)
+ * - mtdTrend: one point per aligned day, { alignedDay, [month]: growth, days: { [month]: calendar day } }
+ */
+export const buildMonthlyComparison = ({ dailyData, bomData, campaignData, campaignBomData, targetData }, { months, productType, viewMode, alignment = 'calendar', clientProductTypes = null }) => {
+  // Where a row falls in its month: calendar day N, or business day N (weekends
+  // and holidays count towards the business day before them)
+  const isBusinessAlignment = alignment === 'business';
+  const getAlignedDay = (day) => (isBusinessAlignment ? getBusinessDayNumber(day) : getDayOfMonth(day));
+
+  const maxDay = Math.min(...months.map(month => {
+    const monthData = dailyData.filter(r => r.PERIOD === month && r['PRODUCT TYPE'] === productType);
+    if (monthData.length === 0) return isBusinessAlignment ? getBusinessDaysOfPeriod(month).length : 31;
+    return Math.max(...monthData.map(r => getAlignedDay(r.DAY)));
+  }));
+
+  const monthlyMetrics = months.map(month => {
+    const monthData = dailyData.filter(r => {
+      if (r.PERIOD !== month || r['PRODUCT TYPE'] !== productType) return false;
+      if (r.DATE) {
+        if (getAlignedDay(r.DAY) > maxDay) return false;
+      }
+      return true;
+    });
+
+    const bomRecord = findPeriodRecord(bomData, month, r => r['PRODUCT TYPE'] === productType);
+    const metrics = summarizeRows(monthData, bomRecord, viewMode, 'ENDORSEMENTS');
+    const { bom } = metrics;
+    const sorted = [...monthData].sort((a, b) => compareDays(a.DAY, b.DAY));
+
+    // Net growth to date after each aligned day; the last row of a day wins
+    const growthByDay = sorted
+      .filter(r => getAlignedDay(r.DAY) > 0)
+      .map(r => ({
+        alignedDay: getAlignedDay(r.DAY),
+        day: r.DAY,
+        growth: bom !== 0 ? ((parseNumber(r[viewMode === 'ob' ? 'Total Portfolio OB' : 'Total Portfolio']) - bom) / bom) * 100 : 0,
+      }));
+
+    return { month, monthLabel: formatPeriod(month), ...metrics, growthByDay, rows: sorted };
+  });
+
+  // One point per aligned day, one series per month: { alignedDay, [month]: growth, days: { [month]: calendar day } }
+  const mtdTrend = Array.from({ length: maxDay }, (_, index) => ({ alignedDay: index + 1, days: {} }));
+  monthlyMetrics.forEach(({ month, growthByDay }) => {
+    growthByDay.forEach(({ alignedDay, day, growth }) => {
+      const point = mtdTrend[alignedDay - 1];
+      if (!point) return;
+      point[month] = growth;
+      point.days[month] = day;
+    });
+  });
+
+  const currentMonth = months[0];
+  const isCurrentMonthOpen = currentMonth >= getDayPeriod(getTodayKey());
+  const clientMap = new Map();
+  const clientRows = clientProductTypes
+    ? campaignData.filter(r => clientProductTypes.includes(r['PRODUCT TYPE']))
+    : campaignData;
+
+  months.forEach(month => {
+    clientRows.filter(r => {
+      if (r.PERIOD !== month) return false;
+      if (r.DATE) {
+        if (getAlignedDay(r.DAY) > maxDay) return false;
+      }
+      return true;
+    }).forEach(r => {
+      const client = r.CAMPAIGN;
+      if (!client) return;
+      if (!clientMap.has(client)) clientMap.set(client, { totalEndorsements: 0, totalPullouts: 0 });
+      const data = clientMap.get(client);
+      data.totalEndorsements += parseNumber(r[viewMode === 'ob' ? 'NEW ENDO OB' : 'NEW ENDO']);
+      data.totalPullouts += parseNumber(r[viewMode === 'ob' ? 'PULLOUT OB' : 'PULLOUT']);
+    });
+  });
+
+  const clientComparison = Array.from(clientMap.entries()).map(([name, data]) => {
+    const bomRecord = findPeriodRecord(campaignBomData, currentMonth, r => r.CAMPAIGN === name);
+    const bom = parseNumber(bomRecord?.[viewMode === 'ob' ? 'OB' : 'TNA']);
+    
+    const currentData = clientRows.filter(r => {
+      if (r.CAMPAIGN !== name || r.PERIOD !== currentMonth) return false;
+      if (r.DATE) {
+        if (getAlignedDay(r.DAY) > maxDay) return false;
+      }
+      return true;
+    }).sort((a, b) => compareDays(a.DAY, b.DAY));
+    const lastData = currentData[currentData.length - 1];
+    
+    const active = parseNumber(lastData?.[viewMode === 'ob' ? 'Total Portfolio OB' : 'Total Portfolio']);
+    const portfolioGrowth = bom !== 0 ? ((active - bom) / bom) * 100 : 0;
+    const netFlowObj = calculateNetFlow(data.totalEndorsements, data.totalPullouts);
+
+    const growthTarget = getTargetValue(findTarget(targetData, currentMonth, { campaign: name }), 'NET GROWTH %');
+    const targetProgress = growthTarget === null ? null : evaluateGrowthTarget({
+      bom,
+      active,
+      target: growthTarget,
+      remainingDays: isCurrentMonthOpen ? estimateRemainingDays(currentData.map(r => ({ day: r.DAY }))) : 0,
+    });
+
+    return { name, bom, active, portfolioGrowth, netFlowObj, targetProgress, ...data };
+  }).sort((a, b) => b.portfolioGrowth - a.portfolioGrowth);
+
+  // Calendar day of each business day 1..maxDay, per month
+  const businessDayMap = isBusinessAlignment
+    ? months.map(month => ({ month, days: getBusinessDaysOfPeriod(month).slice(0, maxDay), holidays: getPeriodHolidays(month) }))
+    : [];
+
+  const uncoveredMonths = isBusinessAlignment ? months.filter(month => !isPeriodInHolidayCalendar(month)) : [];
+
+  return { monthlyMetrics, clientComparison, maxDay, alignment, businessDayMap, uncoveredMonths, mtdTrend };
+};
+
+/**
+ * Field Result Tracker summary of a product type or client for a month:
+ * { totalPortfolio, endorseToField, totalVisited, totalPending, totalNewEndo, totalPullouts }.
+ *
+ * - fieldRows: its FIELD_DAILY / FIELD_CAMPAIGN rows, whose TNA is the day's visit count
+ * - endoRecords: its FIELD_ENDO records of the month, summed into Endorse to Field
+ * - bomRecord: its BOM / CAMPAIGN_BOM record of the month
+ * - movementRows: its DAILY / CAMPAIGN rows over the same days, for new endorsements and pullouts
+ */
+export const summarizeFieldVisits = ({ fieldRows, endoRecords, bomRecord, movementRows, viewMode, endorsementColumn }) => {
+  const endorseToField = endoRecords.reduce((sum, row) => sum + parseNumber(row[viewMode === 'ob' ? 'OB' : 'ENDORSED TO FIELD']), 0);
+  const bom = parseNumber(bomRecord?.[viewMode === 'ob' ? 'OB' : 'TNA']);
+  const totalNewEndo = movementRows.reduce((sum, row) => sum + readColumn(row, endorsementColumn, viewMode), 0);
+  const totalPullouts = movementRows.reduce((sum, row) => sum + readColumn(row, 'PULLOUT', viewMode), 0);
+
+  // Total Portfolio = BOM + Total New Endorsements
+  const totalPortfolio = bom + totalNewEndo;
+
+  // VISITED = Sum of all daily TNA values (total accounts visited MTD)
+  const totalVisited = fieldRows.reduce((sum, row) => sum + parseNumber(row.TNA), 0);
+
+  // PENDING = Endorse to Field - VISITED
+  const totalPending = endorseToField - totalVisited;
+
+  return { totalPortfolio, endorseToField, totalVisited, totalPending, totalNewEndo, totalPullouts };
+};
@@ -0,0 +1,191 @@
+/**
+ * Month-end report of a product type, built without the dashboard (see
+ * server/report.js): the Overall tab summary with its daily movement, the
+ * client ranking, the Monthly Comparison against the months before and the
+ * Field Result Tracker summary, from the same metrics.js functions the tabs use.
+ */
+
+import { formatPeriod, findPeriodRecord, matchesPeriod } from './periods.js';
+import { summarizeRows, buildDailyMovement, buildRunningTotals, buildClientRanking, buildMonthlyComparison, summarizeFieldVisits } from './metrics.js';
+import { toSummaryCards, netFlowColumn, growthColumn } from './workbookExport.js';
+import { describeUncoveredMonths } from './businessDays.js';
+
+// Months in the Monthly Comparison, the report's month included
+export const DEFAULT_COMPARE_MONTHS = 3;
+
+// The report's month, then the latest earlier months with DAILY or BOM rows for
+// the product type, newest first. Months without data are left out rather than
+// compared as zeros.
+const getComparedMonths = ({ dailyData, bomData }, { month, productType, compareMonths }) => {
+  const earlier = [...new Set([...dailyData, ...bomData]
+    .filter(r => r['PRODUCT TYPE'] === productType && r.PERIOD && r.PERIOD < month)
+    .map(r => r.PERIOD))]
+    .sort()
+    .reverse();
+  return [month, ...earlier].slice(0, Math.max(1, compareMonths));
+};
+
+/**
+ * Returns { month, monthLabel, productType, viewMode, overall, clients,
+ * monthlyComparison, field }, plain data that serializes to JSON as is.
+ * `overall` and `field` are null when the month has no DAILY or FIELD_DAILY
+ * rows for the product type.
+ */
+export const buildMonthlyReport = (datasets, { month, productType, viewMode = 'count', compareMonths = DEFAULT_COMPARE_MONTHS, alignment = 'calendar' }) => {
+  const { dailyData = [], bomData = [], campaignData = [], campaignBomData = [], fieldDailyData = [], fieldEndoData = [], targetData = [] } = datasets;
+
+  const overallRows = dailyData.filter(r => r.PERIOD === month && r['PRODUCT TYPE'] === productType);
+  const bomRecord = findPeriodRecord(bomData, month, r => r['PRODUCT TYPE'] === productType);
+  let overall = null;
+  if (overallRows.length > 0) {
+    const summary = summarizeRows(overallRows, bomRecord, viewMode, 'ENDORSEMENTS');
+    const daily = buildDailyMovement(overallRows, { bom: summary.bom, viewMode, endorsementColumn: 'ENDORSEMENTS' });
+    const mtd = buildRunningTotals(daily, summary.bom).map((point, index) => ({ ...point, day: daily[index].day }));
+    overall = { ...summary, daily, mtd };
+  }
+
+  const months = getComparedMonths({ dailyData, bomData }, { month, productType, compareMonths });
+  const { monthlyMetrics, ...comparison } = buildMonthlyComparison(
+    { dailyData, bomData, campaignData, campaignBomData, targetData },
+    { months, productType, viewMode, alignment, clientProductTypes: [productType] },
+  );
+
+  const fieldRows = fieldDailyData.filter(r => r.PERIOD === month && r['PRODUCT TYPE'] === productType);
+  const field = fieldRows.length === 0 ? null : summarizeFieldVisits({
+    fieldRows,
+    endoRecords: fieldEndoData.filter(r => matchesPeriod(r, month) && r['PRODUCT TYPE'] === productType),
+    bomRecord,
+    movementRows: overallRows,
+    viewMode,
+    endorsementColumn: 'ENDORSEMENTS',
+  });
+
+  // Without the sheet rows behind each month, which the dashboard keeps for drill-down
+  const comparedMonths = monthlyMetrics.map(metrics => {
+    const { rows: _rows, ...summary } = metrics;
+    return summary;
+  });
+
+  return {
+    month,
+    monthLabel: formatPeriod(month),
+    productType,
+    viewMode,
+    overall,
+    clients: buildClientRanking(campaignData, campaignBomData, { period: month, viewMode, productTypes: [productType] }),
+    monthlyComparison: { months, ...comparison, monthlyMetrics: comparedMonths },
+    field,
+  };
+};
+
+const dayColumn = { key: 'day', header: 'Date', format: 'day' };
+
+/**
+ * The report as a workbookExport.js report ({ title, filters, cards, tables }),
+ * laid out like the dashboard's Excel exports of the same tabs.
+ */
+export const toReportWorkbook = (report, { sourceLabel = null } = {}) => {
+  const { overall, clients, monthlyComparison, field } = report;
+  const isBusiness = monthlyComparison.alignment === 'business';
+  const filters = [
+    ['Product type', report.productType],
+    ['Month', report.monthLabel],
+    ['Values', report.viewMode === 'ob' ? 'Outstanding Balance' : 'Count'],
+    ['Compared with', monthlyComparison.months.slice(1).map(formatPeriod).join(', ') || '—'],
+    ['Compared up to', `${isBusiness ? 'Business day' : 'Day'} ${monthlyComparison.maxDay}`],
+  ];
+  const uncovered = describeUncoveredMonths(monthlyComparison.uncoveredMonths);
+  if (uncovered) filters.push(['Holiday calendar', uncovered]);
+  if (sourceLabel) filters.push(['Source', sourceLabel]);
+
+  const cards = overall ? toSummaryCards(overall) : [];
+  if (field) {
+    cards.push(
+      { key: 'endorseToField', label: 'Endorse to Field', value: field.endorseToField, format: 'number' },
+      { key: 'visited', label: 'VISITED', value: field.totalVisited, format: 'number' },
+      { key: 'pending', label: 'PENDING', value: field.totalPending, format: 'number', formula: (refs) => `${refs.endorseToField}-${refs.visited}` },
+    );
+  }
+
+  const tables = [];
+  if (overall) {
+    tables.push({
+      name: 'Daily Net Flow',
+      totals: true,
+      columns: [
+        dayColumn,
+        { key: 'endorsements', header: 'Endorsements', format: 'number', total: 'sum' },
+        { key: 'pullouts', header: 'Pullouts', format: 'number', total: 'sum' },
+        netFlowColumn(),
+        { key: 'portfolio', header: 'Total Portfolio', format: 'number' },
+        { key: 'portfolioGrowth', header: 'Net Growth % vs BOM', format: 'percent' },
+      ],
+      rows: overall.daily,
+    });
+    tables.push({
+      name: 'MTD',
+      columns: [
+        dayColumn,
+        { key: 'cumulativeEndorsements', header: 'Cumulative Endorsements', format: 'number' },
+        { key: 'cumulativePullouts', header: 'Cumulative Pullouts', format: 'number' },
+        netFlowColumn({ header: 'Net Flow to Date', endorsements: 'cumulativeEndorsements', pullouts: 'cumulativePullouts' }),
+        { key: 'mtdPortfolioGrowth', header: 'Net Growth %', format: 'percent' },
+      ],
+      rows: overall.mtd,
+    });
+  }
+  tables.push({
+    name: 'Client Ranking',
+    totals: true,
+    columns: [
+      { key: 'name', header: 'Client' },
+      { key: 'bom', header: 'BOM', format: 'number', total: 'sum' },
+      { key: 'active', header: 'ACTIVE', format: 'number', total: 'sum' },
+      { key: 'endorsements', header: 'Endorsements', format: 'number', total: 'sum' },
+      { key: 'pullouts', header: 'Pullouts', format: 'number', total: 'sum' },
+      { ...growthColumn(), total: 'formula' },
+      netFlowColumn(),
+    ],
+    rows: clients.map(c => ({ ...c, endorsements: c.totalEndorsements, pullouts: c.totalPullouts })),
+  });
+  tables.push({
+    name: 'Months',
+    columns: [
+      { key: 'month', header: 'Month' },
+      { key: 'bom', header: 'BOM', format: 'number' },
+      { key: 'active', header: 'ACTIVE', format: 'number' },
+      { key: 'endorsements', header: 'Endorsements', format: 'number' },
+      { key: 'pullouts', header: 'Pullouts', format: 'number' },
+      growthColumn(),
+      netFlowColumn(),
+    ],
+    rows: monthlyComparison.monthlyMetrics.map(m => ({ month: m.monthLabel, bom: m.bom, active: m.active, endorsements: m.totalEndorsements, pullouts: m.totalPullouts })),
+  });
+  tables.push({
+    name: 'MTD Net Growth',
+    columns: [
+      { key: 'alignedDay', header: isBusiness ? 'Business Day' : 'Day', format: 'integer' },
+      ...monthlyComparison.months.map(m => ({ key: m, header: `${formatPeriod(m)} %`, format: 'percent' })),
+    ],
+    rows: monthlyComparison.mtdTrend,
+  });
+  if (field) {
+    tables.push({
+      name: 'Field Visitation',
+      columns: [
+        { key: 'label', header: 'Metric' },
+        { key: 'value', header: 'Value', format: 'number' },
+      ],
+      rows: [
+        { label: 'Total Portfolio', value: field.totalPortfolio },
+        { label: 'Endorse to Field', value: field.endorseToField },
+        { label: 'VISITED', value: field.totalVisited },
+        { label: 'PENDING', value: field.totalPending },
+        { label: 'New Endorsements', value: field.totalNewEndo },
+        { label: 'Pullouts', value: field.totalPullouts },
+      ],
+    });
+  }
+
+  return { title: `Monthly Report - ${report.productType} - ${report.monthLabel}`, filters, cards, tables };
+};
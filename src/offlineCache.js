@@ -0,0 +1,73 @@
+/**
+ * IndexedDB cache of the last workbook that loaded successfully from Google
+ * Sheets, so the dashboard can render immediately on startup and keep working
+ * when the Sheets call fails.
+ *
+ * All functions resolve (never reject): a browser without IndexedDB, or a
+ * blocked/corrupt database, simply behaves as an empty cache.
+ */
+
+const DB_NAME = 'endorsement-monitor';
+const DB_VERSION = 1;
+const STORE_NAME = 'workbook';
+const LAST_GOOD_KEY = 'last-good';
+// Bumped whenever the shape of the parsed rows changes, so older copies are ignored
+const CACHE_VERSION = 2;
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available'));
+    return;
+  }
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+      request.result.createObjectStore(STORE_NAME);
+    }
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const runTransaction = async (mode, operation) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Returns { datasets, lastRefreshed: Date, report, columnReport } or null when nothing is cached.
+ */
+export const loadCachedWorkbook = async () => {
+  try {
+    const cached = await runTransaction('readonly', store => store.get(LAST_GOOD_KEY));
+    if (!cached || !cached.datasets || cached.version !== CACHE_VERSION) return null;
+    return { ...cached, lastRefreshed: new Date(cached.lastRefreshed) };
+  } catch (err) {
+    console.warn('Offline cache unavailable:', err);
+    return null;
+  }
+};
+
+export const saveCachedWorkbook = async ({ datasets, lastRefreshed, report, columnReport }) => {
+  try {
+    await runTransaction('readwrite', store => store.put({
+      version: CACHE_VERSION,
+      datasets,
+      lastRefreshed: lastRefreshed.toISOString(),
+      report,
+      columnReport,
+    }, LAST_GOOD_KEY));
+  } catch (err) {
+    console.warn('Could not update offline cache:', err);
+  }
+};
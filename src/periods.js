@@ -0,0 +1,102 @@
+/**
+ * Period (year + month) helpers.
+ *
+ * Rows are bucketed by a period key such as "2026-10" so that October 2025 and
+ * October 2026 never collapse into one month.
+ */
+
+import { parseSheetDate, getDayPeriod } from './dates.js';
+
+export const MONTH_NAMES = ['JANUARY', 'FEBRUARY', 'MARCH', 'APRIL', 'MAY', 'JUNE', 'JULY', 'AUGUST', 'SEPTEMBER', 'OCTOBER', 'NOVEMBER', 'DECEMBER'];
+
+export const toPeriodKey = (year, monthNumber) => `${year}-${String(monthNumber).padStart(2, '0')}`;
+
+export const getPeriodMonthNumber = (period) => parseInt(String(period).slice(5), 10);
+
+// "2026-10" -> "Oct 2026"
+export const formatPeriod = (period) => {
+  if (!period) return '';
+  const [year, month] = String(period).split('-');
+  const name = MONTH_NAMES[parseInt(month, 10) - 1];
+  if (!name) return String(period);
+  return `${name.charAt(0)}${name.slice(1, 3).toLowerCase()} ${year}`;
+};
+
+// ("2026-09", 1, 15) -> "Sep 1–15, 2026"
+export const formatPeriodDays = (period, fromDay, toDay) => {
+  const [name, year] = formatPeriod(period).split(' ');
+  return `${name} ${fromDay === toDay ? fromDay : `${fromDay}–${toDay}`}, ${year}`;
+};
+
+// "2026-10", -1 -> "2026-09"; "2026-10", -12 -> "2025-10"
+export const shiftPeriod = (period, months) => {
+  const [year, month] = String(period).split('-').map(Number);
+  const index = year * 12 + month - 1 + months;
+  return toPeriodKey(Math.floor(index / 12), (index % 12) + 1);
+};
+
+// "2026-10-01" -> { period: "2026-10", monthNumber: 10 }
+const periodFromDay = (day) => {
+  if (!day) return { period: null, monthNumber: null };
+  const period = getDayPeriod(day);
+  return { period, monthNumber: getPeriodMonthNumber(period) };
+};
+
+// Parses a BOM-style MONTH cell ("OCTOBER", "Oct 2026", "October-26", "2026-10",
+// a date string or an Excel serial) with an optional YEAR cell. Date strings are
+// read with the sheet date format (see dates.js).
+// Returns { period, monthNumber }; period is null when no year can be found.
+export const parseMonthValue = (month, year, dateFormat) => {
+  if (month === null || month === undefined || month === '') return { period: null, monthNumber: null };
+  const yearNumber = parseInt(year, 10);
+  const yearHint = isNaN(yearNumber) ? null : yearNumber;
+
+  if (typeof month === 'number') {
+    // Excel date serial (days since 1899-12-30)
+    if (month > 59) return periodFromDay(parseSheetDate(month).day);
+    if (month >= 1 && month <= 12) {
+      return { period: yearHint ? toPeriodKey(yearHint, month) : null, monthNumber: month };
+    }
+    return { period: null, monthNumber: null };
+  }
+
+  const str = String(month).trim();
+
+  const keyMatch = str.match(/^(\d{4})-(\d{1,2})$/);
+  if (keyMatch) {
+    return { period: toPeriodKey(keyMatch[1], keyMatch[2]), monthNumber: parseInt(keyMatch[2], 10) };
+  }
+
+  const nameMatch = str.match(/^([A-Za-z]+)[\s\-'’.,]*(\d{2}|\d{4})?$/);
+  if (nameMatch) {
+    const prefix = nameMatch[1].toUpperCase().slice(0, 3);
+    const index = MONTH_NAMES.findIndex(name => name.startsWith(prefix));
+    if (index === -1) return { period: null, monthNumber: null };
+    let periodYear = yearHint;
+    if (nameMatch[2]) periodYear = nameMatch[2].length === 2 ? 2000 + parseInt(nameMatch[2], 10) : parseInt(nameMatch[2], 10);
+    return { period: periodYear ? toPeriodKey(periodYear, index + 1) : null, monthNumber: index + 1 };
+  }
+
+  return periodFromDay(parseSheetDate(str, dateFormat).day);
+};
+
+// Adds PERIOD ("2026-10") and MONTH_NUMBER to a sheet row, from its DAY (see
+// dates.withDays) when it has one and otherwise from its MONTH (+ optional YEAR) columns.
+export const withPeriod = (row, dateFormat) => {
+  const { period, monthNumber } = row.DAY ? periodFromDay(row.DAY) : parseMonthValue(row.MONTH, row.YEAR, dateFormat);
+  return { ...row, PERIOD: period, MONTH_NUMBER: monthNumber };
+};
+
+// True when a row belongs to the period. Rows from month sheets without any
+// year information (legacy "OCTOBER" only) match that month in every year.
+export const matchesPeriod = (row, period) => {
+  if (row.PERIOD) return row.PERIOD === period;
+  return row.MONTH_NUMBER !== null && row.MONTH_NUMBER !== undefined && row.MONTH_NUMBER === getPeriodMonthNumber(period);
+};
+
+// Finds the BOM-style record for a period, preferring an exact year+month match
+// over a legacy year-less one.
+export const findPeriodRecord = (records, period, predicate) => {
+  return records.find(r => r.PERIOD === period && predicate(r))
+    || records.find(r => !r.PERIOD && matchesPeriod(r, period) && predicate(r));
+};
@@ -0,0 +1,116 @@
+/**
+ * Daily rows (DAILY for a product type, CAMPAIGN for a client) rolled up into
+ * weeks, months or quarters.
+ *
+ * Endorsements and pullouts are summed over each period. The opening portfolio
+ * is the month's BOM when the period opens the month's reporting (always so for
+ * months and quarters) and otherwise the Total Portfolio of the reporting day
+ * before it; the closing portfolio is the Total Portfolio of its last day.
+ */
+
+import { addDays, compareDays, getDayPeriod } from './dates.js';
+import { formatPeriod, shiftPeriod, MONTH_NAMES } from './periods.js';
+import { parseNumber } from './sheetValues.js';
+
+export const GRANULARITIES = ['day', 'week', 'month', 'quarter'];
+
+// Periods shown at each grain when no date range is set, ending with the selected month
+export const ROLLUP_WINDOWS = { week: 13, month: 12, quarter: 8 };
+
+// "2026-10-04" -> "Oct 4"
+const formatShortDay = (day) => {
+  const [, month, date] = day.split('-').map(Number);
+  const name = MONTH_NAMES[month - 1];
+  return `${name.charAt(0)}${name.slice(1, 3).toLowerCase()} ${date}`;
+};
+
+/**
+ * The period of `granularity` that contains `day`, as { key, label, start }.
+ * Weeks run Monday to Sunday and are keyed by their Monday.
+ */
+export const getRollupPeriod = (day, granularity) => {
+  const [year, month, date] = day.split('-').map(Number);
+  if (granularity === 'week') {
+    const weekday = new Date(Date.UTC(year, month - 1, date)).getUTCDay();
+    const start = addDays(day, -((weekday + 6) % 7));
+    return { key: start, label: `${formatShortDay(start)}–${formatShortDay(addDays(start, 6))}`, start };
+  }
+  if (granularity === 'month') {
+    const period = getDayPeriod(day);
+    return { key: period, label: formatPeriod(period), start: `${period}-01` };
+  }
+  if (granularity === 'quarter') {
+    const quarter = Math.ceil(month / 3);
+    const firstMonth = String(quarter * 3 - 2).padStart(2, '0');
+    return { key: `${year}-Q${quarter}`, label: `Q${quarter} ${year}`, start: `${year}-${firstMonth}-01` };
+  }
+  return { key: day, label: formatShortDay(day), start: day };
+};
+
+/**
+ * Rolls `rows` up by `granularity`, oldest period first:
+ * [{ key, label, start, firstDay, lastDay, days, endorsements, pullouts,
+ *    opening, closing, netFlowRatio, growth }].
+ *
+ * `fields` names the endorsement, pullout and portfolio columns; `getBom(period)`
+ * returns the BOM for "2026-10", or null when there is none (the reporting day
+ * before is used instead). `limit` keeps only the latest periods.
+ */
+export const rollUpRows = (rows, { granularity, fields, getBom = () => null, limit = null }) => {
+  const sorted = rows.filter(row => row.DAY).sort((a, b) => compareDays(a.DAY, b.DAY));
+  const periods = new Map();
+  let previous = null;
+
+  sorted.forEach(row => {
+    const { key, label, start } = getRollupPeriod(row.DAY, granularity);
+    let period = periods.get(key);
+    if (!period) {
+      const opensMonth = !previous || getDayPeriod(previous.DAY) !== getDayPeriod(row.DAY);
+      const bom = opensMonth ? getBom(getDayPeriod(row.DAY)) : null;
+      period = {
+        key,
+        label,
+        start,
+        firstDay: row.DAY,
+        lastDay: row.DAY,
+        days: 0,
+        endorsements: 0,
+        pullouts: 0,
+        opening: bom !== null ? bom : parseNumber(previous?.[fields.portfolio]),
+        closing: 0,
+      };
+      periods.set(key, period);
+    }
+    if (period.days === 0 || row.DAY !== period.lastDay) period.days++;
+    period.lastDay = row.DAY;
+    period.endorsements += parseNumber(row[fields.endorsements]);
+    period.pullouts += parseNumber(row[fields.pullouts]);
+    period.closing = parseNumber(row[fields.portfolio]);
+    previous = row;
+  });
+
+  const rolledUp = [...periods.values()].map(period => ({
+    ...period,
+    netFlowRatio: period.pullouts === 0 ? 0 : period.endorsements / period.pullouts,
+    growth: period.opening !== 0 ? ((period.closing - period.opening) / period.opening) * 100 : 0,
+  }));
+  return limit ? rolledUp.slice(-limit) : rolledUp;
+};
+
+/**
+ * Month-by-month history (the Trends tab): rollUpRows by month, each with
+ * `bom` (null when the month has none), `active`, the month-end Total Portfolio,
+ * and `momGrowth`, its % change from the month before (null for the first month
+ * and after a month with no rows).
+ */
+export const buildMonthlyTrend = (rows, { fields, getBom }) => rollUpRows(rows, { granularity: 'month', fields, getBom })
+  .map((month, index, months) => {
+    const previous = months[index - 1];
+    const isConsecutive = previous && previous.key === shiftPeriod(month.key, -1);
+    return {
+      ...month,
+      bom: getBom(month.key),
+      active: month.closing,
+      momGrowth: isConsecutive && previous.closing !== 0 ? ((month.closing - previous.closing) / previous.closing) * 100 : null,
+    };
+  });
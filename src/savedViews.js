@@ -0,0 +1,71 @@
+/**
+ * Named saved views: a tab, its filters and the view mode, stored in
+ * localStorage as { views: [{ name, view }], defaultView: name | null }.
+ *
+ * A view uses the same keys as the URL state (see urlState.js), and is passed
+ * through it when saved or imported so only well-formed values are kept. A view
+ * without a month follows the latest month in the data.
+ */
+
+import { readUrlState, buildUrlSearch } from './urlState.js';
+
+const STORAGE_KEY = 'endorsement-monitor:saved-views';
+
+const EMPTY_SAVED_VIEWS = { views: [], defaultView: null };
+
+// Selections that tie a view to one month; left out of views that follow the latest month
+export const MONTH_SPECIFIC_KEYS = ['selectedMonth', 'selectedMonths', 'startDate', 'endDate', 'fieldStartDate', 'fieldEndDate'];
+
+export const sanitizeView = (view) => readUrlState(buildUrlSearch(view || {}));
+
+export const getSavedViews = () => {
+  if (typeof localStorage === 'undefined') return EMPTY_SAVED_VIEWS;
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored && Array.isArray(stored.views) ? stored : EMPTY_SAVED_VIEWS;
+  } catch {
+    return EMPTY_SAVED_VIEWS;
+  }
+};
+
+export const storeSavedViews = (savedViews) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(savedViews));
+};
+
+// The default view's state, or null when none is set
+export const getDefaultView = () => {
+  const { views, defaultView } = getSavedViews();
+  return views.find(entry => entry.name === defaultView)?.view ?? null;
+};
+
+// Checks an imported file; throws on anything that is not { views: [{ name, view }], defaultView? }.
+// Returns the saved views with every view sanitized.
+export const validateSavedViews = (data) => {
+  if (!data || typeof data !== 'object' || !Array.isArray(data.views)) {
+    throw new Error('Saved views must be a JSON object with a "views" list');
+  }
+  const names = new Set();
+  const views = data.views.map((entry, index) => {
+    if (!entry || typeof entry.name !== 'string' || entry.name.trim() === '') {
+      throw new Error(`Saved view #${index + 1} must have a name`);
+    }
+    if (!entry.view || typeof entry.view !== 'object' || Array.isArray(entry.view)) {
+      throw new Error(`Saved view "${entry.name}" must have a view object`);
+    }
+    const name = entry.name.trim();
+    if (names.has(name)) throw new Error(`Saved view "${name}" appears more than once`);
+    names.add(name);
+    return { name, view: sanitizeView(entry.view) };
+  });
+  const defaultView = typeof data.defaultView === 'string' && names.has(data.defaultView.trim()) ? data.defaultView.trim() : null;
+  return { views, defaultView };
+};
+
+// Adds the imported views to the stored ones; views with the same name are replaced
+export const mergeSavedViews = (current, imported) => {
+  const importedNames = new Set(imported.views.map(entry => entry.name));
+  return {
+    views: [...current.views.filter(entry => !importedNames.has(entry.name)), ...imported.views],
+    defaultView: imported.defaultView ?? current.defaultView,
+  };
+};
@@ -0,0 +1,62 @@
+/**
+ * Sheets that make up the endorsement workbook.
+ *
+ * This is the single list used by the Google Sheets fetcher, the workbook
+ * validation and the error / data-source screens. `dataset` is the key the
+ * parsed rows are kept under in the dashboard (see processWorkbookData).
+ */
+
+export const SHEET_DEFINITIONS = [
+  { name: 'DAILY', dataset: 'dailyData', required: true, description: 'Daily endorsement data' },
+  { name: 'BOM', dataset: 'bomData', required: true, description: 'Beginning of month values' },
+  { name: 'CAMPAIGN', dataset: 'campaignData', required: true, description: 'Client-specific data' },
+  { name: 'CAMPAIGN_BOM', dataset: 'campaignBomData', required: true, description: 'Campaign BOM values' },
+  { name: 'FIELD_DAILY', dataset: 'fieldDailyData', required: false, description: 'Daily field visit data' },
+  { name: 'FIELD_BOM', dataset: 'fieldBomData', required: false, description: 'Field BOM values' },
+  { name: 'FIELD_CAMPAIGN', dataset: 'fieldCampaignData', required: false, description: 'Campaign field data' },
+  { name: 'FIELD_ENDO', dataset: 'fieldEndoData', required: false, description: 'Field endorsement data' },
+  { name: 'PER_AREA', dataset: 'perAreaData', required: false, description: 'Area-specific data' },
+  { name: 'TARGETS', dataset: 'targetData', required: false, description: 'Monthly targets per product type and campaign' },
+];
+
+export const SHEET_NAMES = SHEET_DEFINITIONS.map(sheet => sheet.name);
+
+export const REQUIRED_SHEETS = SHEET_DEFINITIONS.filter(sheet => sheet.required).map(sheet => sheet.name);
+
+export const OPTIONAL_SHEETS = SHEET_DEFINITIONS.filter(sheet => !sheet.required).map(sheet => sheet.name);
+
+// Added to every row while loading (see dates.js and periods.js), not read from the sheet
+export const DERIVED_COLUMNS = ['ROW_NUMBER', 'DAY', 'PERIOD', 'MONTH_NUMBER', 'DATE_AMBIGUOUS'];
+
+// Builds the per-sheet load report shown in the "Data sources" panel.
+// `results` maps a sheet name to its rows (array of arrays, header first) or to
+// { status: 'missing' | 'error', httpStatus, message } when it could not be read.
+// Sheets absent from `results` are reported as missing.
+export const buildLoadReport = (results) => SHEET_DEFINITIONS.map(({ name, required }) => {
+  const result = results[name];
+  if (result === undefined) {
+    return { sheet: name, required, status: 'missing', rowCount: 0, httpStatus: null, message: 'Sheet not found' };
+  }
+  if (!Array.isArray(result)) {
+    return { sheet: name, required, rowCount: 0, httpStatus: null, message: '', ...result };
+  }
+  const rowCount = Math.max(result.length - 1, 0);
+  return {
+    sheet: name,
+    required,
+    status: rowCount > 0 ? 'loaded' : 'empty',
+    rowCount,
+    httpStatus: null,
+    message: rowCount > 0 ? '' : 'Sheet has no data rows',
+  };
+});
+
+// One line per required sheet that did not load, e.g. `DAILY: HTTP 403 - Forbidden`
+export const describeRequiredSheetFailures = (report) => report
+  .filter(entry => entry.required && entry.status !== 'loaded')
+  .map(entry => {
+    const reason = entry.status === 'error'
+      ? `HTTP ${entry.httpStatus ?? 'error'}${entry.message ? ` - ${entry.message}` : ''}`
+      : entry.message || entry.status;
+    return `${entry.sheet}: ${reason}`;
+  });
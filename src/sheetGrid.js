@@ -0,0 +1,83 @@
+/**
+ * Sorting and filtering of raw sheet rows for the Data Explorer grid.
+ *
+ * Each column is typed from its values: DATE is a 'date' column (filtered and
+ * sorted by the parsed DAY, see dates.js), a column whose filled cells are
+ * mostly numbers is a 'number' column, and anything else is 'text'.
+ */
+
+import { DERIVED_COLUMNS } from './sheetConfig.js';
+import { compareDays, isDayInRange } from './dates.js';
+import { parseCellNumber } from './sheetValues.js';
+
+// Share of filled cells that must read as numbers for a 'number' column
+const NUMBER_COLUMN_SHARE = 0.8;
+
+const NUMBER_PATTERN = /^-?[\d,]*\.?\d+%?$/;
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+// Sheet columns of `rows` in first-seen order, without the ones added while loading
+export const getColumns = (rows) => {
+  const columns = new Set();
+  rows.forEach(row => Object.keys(row).forEach(column => columns.add(column)));
+  return [...columns].filter(column => !DERIVED_COLUMNS.includes(column));
+};
+
+// Column -> 'date' | 'number' | 'text'
+export const getColumnTypes = (rows, columns) => Object.fromEntries(columns.map(column => {
+  if (column === 'DATE') return [column, 'date'];
+  const filled = rows.map(row => row[column]).filter(value => !isBlank(value));
+  const numeric = filled.filter(value => typeof value === 'number' || NUMBER_PATTERN.test(String(value).trim()));
+  return [column, filled.length > 0 && numeric.length / filled.length >= NUMBER_COLUMN_SHARE ? 'number' : 'text'];
+}));
+
+// A cell as its column type reads it: the DAY for dates, a number (or null) for numbers, else text (or null)
+export const readCell = (row, column, types) => {
+  if (types[column] === 'date') return row.DAY || null;
+  if (types[column] === 'number') return parseCellNumber(row[column]);
+  return isBlank(row[column]) ? null : String(row[column]);
+};
+
+/**
+ * Keeps the rows matching every filter. `filters` maps a column to
+ * { text } (case-insensitive "contains"), { min, max } for number columns or
+ * { from, to } (day keys) for date columns; empty bounds are ignored.
+ */
+export const filterRows = (rows, filters, types) => {
+  const active = Object.entries(filters).filter(([, filter]) => Object.values(filter).some(value => !isBlank(value)));
+  if (active.length === 0) return rows;
+  return rows.filter(row => active.every(([column, filter]) => {
+    if (types[column] === 'date') return isDayInRange(row.DAY, filter.from, filter.to);
+    if (types[column] === 'number') {
+      const value = parseCellNumber(row[column]);
+      if (value === null) return false;
+      if (!isBlank(filter.min) && value < Number(filter.min)) return false;
+      if (!isBlank(filter.max) && value > Number(filter.max)) return false;
+      return true;
+    }
+    return String(row[column] ?? '').toLowerCase().includes(String(filter.text ?? '').trim().toLowerCase());
+  }));
+};
+
+/**
+ * Sorts by `sort` ({ column, direction: 'asc' | 'desc' }, or null for sheet
+ * order). Blank cells go last either way.
+ */
+export const sortRows = (rows, sort, types) => {
+  if (!sort) return rows;
+  const { column, direction } = sort;
+  const sign = direction === 'desc' ? -1 : 1;
+  const compare = (a, b) => {
+    if (types[column] === 'date') return compareDays(a, b);
+    if (types[column] === 'number') return a - b;
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  };
+  return rows
+    .map(row => ({ row, value: readCell(row, column, types) }))
+    .sort((a, b) => {
+      if (a.value === null || b.value === null) return (a.value === null) - (b.value === null) || a.row.ROW_NUMBER - b.row.ROW_NUMBER;
+      return sign * compare(a.value, b.value) || a.row.ROW_NUMBER - b.row.ROW_NUMBER;
+    })
+    .map(({ row }) => row);
+};
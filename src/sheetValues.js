@@ -0,0 +1,54 @@
+/**
+ * Sheets API values (sheet name -> rows of cells, as returned by
+ * googleSheets.fetchSheetValues) to the datasets the dashboard works with,
+ * for code that runs without XLSX such as the server.
+ *
+ * Rows get the same treatment as in the dashboard: mapped column names,
+ * ROW_NUMBER, DAY (see dates.js) and PERIOD (see periods.js).
+ */
+
+import { SHEET_DEFINITIONS } from './sheetConfig.js';
+import { buildColumnMapping, resolveSheetColumns, applyColumnMapping } from './columnMapping.js';
+import { DEFAULT_DATE_FORMAT, withDays } from './dates.js';
+import { withPeriod } from './periods.js';
+
+// A sheet cell as a number ("1,234.5" -> 1234.5), null when it is blank or not a number
+export const parseCellNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  const parsed = parseFloat(String(value).replace(/,/g, ''));
+  return isNaN(parsed) ? null : parsed;
+};
+
+// A sheet cell as a number, with blanks and unparseable cells counting as 0 (as in every total)
+export const parseNumber = (value) => parseCellNumber(value) ?? 0;
+
+const isBlankRow = (cells) => cells.every(cell => cell === null || cell === undefined || String(cell).trim() === '');
+
+// First row is the header; blank rows are skipped but still counted for ROW_NUMBER
+const toRows = (values) => {
+  const [headers = [], ...body] = values;
+  return body
+    .map((cells, index) => ({ cells, rowNumber: index + 2 }))
+    .filter(({ cells }) => !isBlankRow(cells))
+    .map(({ cells, rowNumber }) => {
+      const row = {};
+      headers.forEach((header, column) => {
+        if (header && cells[column] !== undefined && cells[column] !== '') row[header] = cells[column];
+      });
+      return { ...row, ROW_NUMBER: rowNumber };
+    });
+};
+
+/**
+ * Returns the datasets keyed as in SHEET_DEFINITIONS. Sheets that failed to
+ * load (anything but an array of rows) come out empty.
+ */
+export const buildDatasetsFromValues = (sheets, { mapping = buildColumnMapping({}), dateFormat = DEFAULT_DATE_FORMAT } = {}) => {
+  const datasets = {};
+  SHEET_DEFINITIONS.forEach(({ name, dataset }) => {
+    const values = Array.isArray(sheets[name]) ? sheets[name] : [];
+    const columns = resolveSheetColumns(name, (values[0] || []).map(String), mapping);
+    datasets[dataset] = withDays(applyColumnMapping(toRows(values), columns), dateFormat).map(row => withPeriod(row, dateFormat));
+  });
+  return datasets;
+};
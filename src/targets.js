@@ -0,0 +1,88 @@
+/**
+ * Monthly targets and progress towards them.
+ *
+ * Targets come from the TARGETS sheet, or from targets.json when the workbook
+ * has none. Each row holds the targets of one product type or one campaign
+ * (PRODUCT TYPE or CAMPAIGN filled in) for one month; a blank cell means there
+ * is no target for that metric, not a target of 0.
+ */
+
+import LOCAL_TARGET_ROWS from './targets.json' with { type: 'json' };
+import { withPeriod, findPeriodRecord } from './periods.js';
+import { parseCellNumber } from './sheetValues.js';
+
+// Rows of targets.json, in the same shape as TARGETS sheet rows
+export const LOCAL_TARGETS = LOCAL_TARGET_ROWS.map(row => withPeriod(row));
+
+// Metrics whose target has a separate outstanding-balance column ("ENDORSEMENTS OB")
+const OB_FIELDS = ['ENDORSEMENTS', 'MAX PULLOUTS'];
+
+// The target row of a product type, or of a campaign when `campaign` is given; null when there is none
+export const findTarget = (targets, period, { productType, campaign }) => findPeriodRecord(
+  targets,
+  period,
+  campaign ? r => r.CAMPAIGN === campaign : r => r['PRODUCT TYPE'] === productType && !r.CAMPAIGN,
+) ?? null;
+
+// A target cell as a number ("2.50%" -> 2.5, "1,400" -> 1400), or null when blank or not a number
+export const getTargetValue = (target, field, viewMode = 'count') => {
+  if (!target) return null;
+  const value = target[viewMode === 'ob' && OB_FIELDS.includes(field) ? `${field} OB` : field];
+  return parseCellNumber(value);
+};
+
+/**
+ * Progress of a month-to-date total towards a target. `direction` is 'atLeast'
+ * for goals (endorsements, visits) and 'atMost' for limits (pullouts).
+ * Returns { target, actual, attainment, gap, pace, met }: attainment in % of
+ * the target, gap = target - actual (still missing for a goal, still allowed
+ * for a limit), and pace = the daily amount needed (goal) or allowed (limit)
+ * over `remainingDays`, or null when no days are left.
+ */
+export const evaluateTarget = ({ actual, target, direction = 'atLeast', remainingDays = 0 }) => ({
+  target,
+  actual,
+  attainment: target !== 0 ? (actual / target) * 100 : null,
+  gap: target - actual,
+  pace: remainingDays > 0 ? Math.max(0, target - actual) / remainingDays : null,
+  met: direction === 'atMost' ? actual <= target : actual >= target,
+});
+
+// Growth target: gap is in percentage points, pace is the net (endorsements -
+// pullouts) per day that brings ACTIVE to BOM + target %
+export const evaluateGrowthTarget = ({ bom, active, target, remainingDays = 0 }) => {
+  const growth = bom !== 0 ? ((active - bom) / bom) * 100 : 0;
+  const requiredActive = bom * (1 + target / 100);
+  return {
+    target,
+    actual: growth,
+    attainment: target !== 0 ? (growth / target) * 100 : null,
+    gap: target - growth,
+    pace: remainingDays > 0 ? Math.max(0, requiredActive - active) / remainingDays : null,
+    met: growth >= target,
+  };
+};
+
+/**
+ * Progress on every metric the target row has a target for:
+ * [{ key, label, unit: 'percent' | 'number', direction, ...evaluation }].
+ * Only the totals that are passed in are evaluated (e.g. `visits` on the field tabs).
+ */
+export const buildTargetProgress = ({ target, viewMode, remainingDays, bom, active, endorsements, pullouts, visits }) => {
+  if (!target) return [];
+  const progress = [];
+  const growthTarget = getTargetValue(target, 'NET GROWTH %');
+  if (growthTarget !== null && bom !== undefined) {
+    progress.push({ key: 'growth', label: 'NET GROWTH', unit: 'percent', direction: 'atLeast', ...evaluateGrowthTarget({ bom, active, target: growthTarget, remainingDays }) });
+  }
+  [
+    { key: 'endorsements', label: 'ENDORSEMENTS', field: 'ENDORSEMENTS', direction: 'atLeast', actual: endorsements },
+    { key: 'pullouts', label: 'PULLOUTS', field: 'MAX PULLOUTS', direction: 'atMost', actual: pullouts },
+    { key: 'visits', label: 'FIELD VISITS', field: 'FIELD VISITS', direction: 'atLeast', actual: visits },
+  ].forEach(({ key, label, field, direction, actual }) => {
+    const value = getTargetValue(target, field, viewMode);
+    if (value === null || actual === undefined) return;
+    progress.push({ key, label, unit: 'number', direction, ...evaluateTarget({ actual, target: value, direction, remainingDays }) });
+  });
+  return progress;
+};
@@ -0,0 +1,89 @@
+/**
+ * Dashboard view state <-> URL query string, so any tab and filter combination
+ * can be shared as a link, e.g. ?tab=client&client=BPI&view=ob&from=2026-10-01&to=2026-10-15
+ *
+ * Only the shape of each value is checked here; whether a linked month, product
+ * type or client still exists in the data is up to the dashboard.
+ */
+
+import { GRANULARITIES } from './rollups.js';
+
+export const TABS = ['overall', 'client', 'monthly', 'trends', 'field', 'fieldCampaign', 'explorer', 'columns', 'quality'];
+
+// Tab names as shown on the tab bar
+export const TAB_LABELS = {
+  overall: 'Overall',
+  client: 'Client',
+  monthly: 'Monthly Comparison',
+  trends: 'Trends',
+  field: 'Field Result Tracker',
+  fieldCampaign: 'Field Result Per Campaign',
+  explorer: 'Data Explorer',
+  columns: 'Column Mapping',
+  quality: 'Data Quality',
+};
+
+export const VIEW_MODES = ['count', 'ob'];
+export const CLIENT_RANKING_VIEWS = ['all', 'top5', 'bottom5'];
+export const SUMMARY_COMPARISONS = ['lastMonth', 'lastYear'];
+export const COMPARISON_ALIGNMENTS = ['calendar', 'business'];
+export const TREND_SCOPES = ['productType', 'campaign'];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PERIOD_PATTERN = /^\d{4}-\d{2}$/;
+
+// State key -> [query parameter, value check]
+const PARAMS = {
+  activeTab: ['tab', value => TABS.includes(value)],
+  selectedMonth: ['month', value => PERIOD_PATTERN.test(value)],
+  selectedProductType: ['product', Boolean],
+  selectedClient: ['client', Boolean],
+  startDate: ['from', value => DAY_PATTERN.test(value)],
+  endDate: ['to', value => DAY_PATTERN.test(value)],
+  fieldStartDate: ['fieldFrom', value => DAY_PATTERN.test(value)],
+  fieldEndDate: ['fieldTo', value => DAY_PATTERN.test(value)],
+  viewMode: ['view', value => VIEW_MODES.includes(value)],
+  selectedComparisonProductType: ['compare', Boolean],
+  clientRankingView: ['ranking', value => CLIENT_RANKING_VIEWS.includes(value)],
+  summaryComparison: ['vs', value => SUMMARY_COMPARISONS.includes(value)],
+  comparisonAlignment: ['align', value => COMPARISON_ALIGNMENTS.includes(value)],
+  granularity: ['grain', value => GRANULARITIES.includes(value)],
+  trendScope: ['scope', value => TREND_SCOPES.includes(value)],
+};
+
+// State key -> [repeated query parameter, value check], e.g. ?months=2026-10&months=2026-09
+const LIST_PARAMS = {
+  selectedMonths: ['months', value => PERIOD_PATTERN.test(value)],
+  comparedProductTypes: ['products', Boolean],
+};
+
+/**
+ * Reads the view state from a query string. Returns only the keys that are
+ * present and well-formed, e.g. { activeTab: 'client', selectedMonths: ['2026-10'] }.
+ */
+export const readUrlState = (search = window.location.search) => {
+  const params = new URLSearchParams(search);
+  const state = {};
+  Object.entries(PARAMS).forEach(([key, [param, isValid]]) => {
+    const value = params.get(param);
+    if (value !== null && isValid(value)) state[key] = value;
+  });
+  Object.entries(LIST_PARAMS).forEach(([key, [param, isValid]]) => {
+    const values = params.getAll(param).filter(isValid);
+    if (values.length > 0) state[key] = [...new Set(values)];
+  });
+  return state;
+};
+
+// Query string ("?tab=...", or "" when there is nothing to share) for the view state; empty values are left out
+export const buildUrlSearch = (state) => {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([key, [param]]) => {
+    if (state[key]) params.set(param, state[key]);
+  });
+  Object.entries(LIST_PARAMS).forEach(([key, [param]]) => {
+    (state[key] || []).forEach(value => params.append(param, value));
+  });
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
@@ -0,0 +1,202 @@
+/**
+ * Excel export of the view on screen (the Export button on every tab): a
+ * "Summary" cover sheet with the active filters and summary cards, then one
+ * sheet per table, typically the series behind a chart.
+ *
+ * A report is { title, filters: [[label, value]], cards, tables }:
+ * - cards: [{ key, label, value, format, formula }]
+ * - tables: [{ name, columns, rows, totals }], with columns
+ *   [{ key, header, format, value, formula, total }]
+ *
+ * `format` is 'number' (2 decimals), 'integer', 'percent' (values already in %,
+ * 2.5 for 2.5%), 'ratio', 'day' (a "YYYY-MM-DD" key, written as an Excel date)
+ * or 'text'. A cell's value is `value(row)` when given, else `row[key]`.
+ *
+ * `formula(refs)` returns an Excel formula over other cells of the same row
+ * (refs[key] is an address such as "C2", or the card's address on the cover).
+ * The computed value is cached in the cell, so the sheet opens with the
+ * dashboard's numbers and recalculates when a cell is edited. A table with
+ * `totals` ends with a TOTAL row: SUM for columns with `total: 'sum'`, and the
+ * column's formula over that row for `total: 'formula'`.
+ *
+ * The report CLI (server/report.js) writes the same reports, and `toCsv` turns
+ * one of their tables into CSV.
+ */
+
+import * as XLSX from 'xlsx';
+
+const NUMBER_FORMATS = {
+  number: '#,##0.00',
+  integer: '#,##0',
+  percent: '0.00"%"',
+  ratio: '0.00',
+  day: 'yyyy-mm-dd',
+};
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MAX_COLUMN_WIDTH = 40;
+const MIN_COLUMN_WIDTH = 10;
+
+// "2026-10-04" -> its Excel serial date
+const toExcelDate = (day) => {
+  const [year, month, date] = day.split('-').map(Number);
+  return (Date.UTC(year, month - 1, date) - EXCEL_EPOCH) / 86400000;
+};
+
+const toCell = (value, format = 'text') => {
+  if (format === 'day' && DAY_PATTERN.test(value ?? '')) return { t: 'n', v: toExcelDate(value), z: NUMBER_FORMATS.day };
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return NUMBER_FORMATS[format] ? { t: 'n', v: value, z: NUMBER_FORMATS[format] } : { t: 'n', v: value };
+  }
+  if (typeof value === 'boolean') return { t: 'b', v: value };
+  if (value === null || value === undefined || value === '') return null;
+  return { t: 's', v: String(value) };
+};
+
+const withFormula = (cell, formula, format) => ({ ...(cell || { t: 'n', z: NUMBER_FORMATS[format] }), f: formula });
+
+const readValue = (column, row) => (column.value ? column.value(row) : row[column.key]);
+
+// Lays out rows of cells (null for an empty cell) from A1, with column widths fitted to the text
+const buildSheet = (cellRows) => {
+  const sheet = {};
+  const widths = [];
+  cellRows.forEach((cells, r) => cells.forEach((cell, c) => {
+    if (!cell) return;
+    sheet[XLSX.utils.encode_cell({ r, c })] = cell;
+    const text = cell.t === 'n' ? (cell.z === NUMBER_FORMATS.day ? 'yyyy-mm-dd' : (cell.v ?? 0).toFixed(2)) : String(cell.v ?? '');
+    widths[c] = Math.max(widths[c] || MIN_COLUMN_WIDTH, Math.min(MAX_COLUMN_WIDTH, text.length + 2));
+  }));
+  const lastColumn = Math.max(0, ...cellRows.map(cells => cells.length - 1));
+  sheet['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: Math.max(0, cellRows.length - 1), c: lastColumn } });
+  sheet['!cols'] = Array.from({ length: lastColumn + 1 }, (_, c) => ({ wch: widths[c] || MIN_COLUMN_WIDTH }));
+  return sheet;
+};
+
+const buildCoverSheet = ({ title, filters = [], cards = [], exportedAt }) => {
+  const cellRows = [
+    [toCell(title)],
+    [toCell('Exported'), toCell(exportedAt.toLocaleString())],
+    [],
+    [toCell('FILTERS')],
+    ...filters.map(([label, value]) => [toCell(label), toCell(value)]),
+  ];
+  if (cards.length > 0) {
+    cellRows.push([], [toCell('SUMMARY')]);
+    const firstCardRow = cellRows.length;
+    const refs = Object.fromEntries(cards.map((card, index) => [card.key, XLSX.utils.encode_cell({ r: firstCardRow + index, c: 1 })]));
+    cards.forEach(card => {
+      const cell = toCell(card.value, card.format);
+      cellRows.push([toCell(card.label), card.formula ? withFormula(cell, card.formula(refs), card.format) : cell]);
+    });
+  }
+  return buildSheet(cellRows);
+};
+
+const buildTableSheet = ({ columns, rows, totals = false }) => {
+  const refsAt = (r) => Object.fromEntries(columns.map((column, c) => [column.key, XLSX.utils.encode_cell({ r, c })]));
+  const toRowCells = (row, r) => columns.map(column => {
+    const cell = toCell(readValue(column, row), column.format);
+    return column.formula ? withFormula(cell, column.formula(refsAt(r)), column.format) : cell;
+  });
+  const cellRows = [
+    columns.map(column => toCell(column.header)),
+    ...rows.map((row, index) => toRowCells(row, index + 1)),
+  ];
+
+  if (totals && rows.length > 0) {
+    const r = rows.length + 1;
+    const sums = Object.fromEntries(columns
+      .filter(column => column.total === 'sum')
+      .map(column => [column.key, rows.reduce((sum, row) => sum + (Number(readValue(column, row)) || 0), 0)]));
+    cellRows.push(columns.map((column, c) => {
+      if (c === 0) return toCell('TOTAL');
+      if (column.total === 'sum') {
+        const range = `${XLSX.utils.encode_cell({ r: 1, c })}:${XLSX.utils.encode_cell({ r: rows.length, c })}`;
+        return withFormula(toCell(sums[column.key], column.format), `SUM(${range})`, column.format);
+      }
+      if (column.total === 'formula') return withFormula(toCell(readValue(column, sums), column.format), column.formula(refsAt(r)), column.format);
+      return null;
+    }));
+  }
+
+  const sheet = buildSheet(cellRows);
+  if (rows.length > 0) {
+    sheet['!autofilter'] = { ref: XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: columns.length - 1 } }) };
+  }
+  return sheet;
+};
+
+// Excel sheet names: at most 31 characters, none of \ / ? * [ ] :, unique ignoring case
+const toSheetName = (name, taken) => {
+  const base = String(name).replace(/[\\/?*[\]:]/g, ' ').trim().slice(0, 31) || 'Sheet';
+  let sheetName = base;
+  for (let n = 2; taken.has(sheetName.toLowerCase()); n++) sheetName = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+  taken.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+export const buildExportWorkbook = ({ title, filters, cards, tables = [] }, { exportedAt = new Date() } = {}) => {
+  const workbook = XLSX.utils.book_new();
+  const taken = new Set();
+  XLSX.utils.book_append_sheet(workbook, buildCoverSheet({ title, filters, cards, exportedAt }), toSheetName('Summary', taken));
+  tables.forEach(table => XLSX.utils.book_append_sheet(workbook, buildTableSheet(table), toSheetName(table.name, taken)));
+  return workbook;
+};
+
+// "MC03 Overall - CARDS - Oct 2026.xlsx", without characters file systems reject
+export const getExportFileName = (parts) => `${parts.filter(Boolean).join(' - ').replace(/[\\/:*?"<>|]/g, ' ')}.xlsx`;
+
+// A table as CSV: the headers, then the cell values unformatted (days stay "YYYY-MM-DD"),
+// without formulas or the TOTAL row
+export const toCsv = ({ columns, rows }) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.map(column => column.header), ...rows.map(row => columns.map(column => readValue(column, row)))]
+    .map(cells => cells.map(escape).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+// Builds the report's workbook and downloads it
+export const exportWorkbook = (report, fileName) => {
+  XLSX.writeFile(buildExportWorkbook(report), fileName, { compression: true });
+};
+
+// NET FLOW of a row: endorsements / pullouts, 0 when there were no pullouts (as on the charts)
+export const netFlowColumn = ({ header = 'Net Flow', endorsements = 'endorsements', pullouts = 'pullouts' } = {}) => ({
+  key: 'netFlow',
+  header,
+  format: 'ratio',
+  total: 'formula',
+  value: (row) => (row[pullouts] === 0 ? 0 : row[endorsements] / row[pullouts]),
+  formula: (refs) => `IF(${refs[pullouts]}=0,0,${refs[endorsements]}/${refs[pullouts]})`,
+});
+
+// Net growth of a row in %: (to - from) / from, 0 when `from` is 0
+export const growthColumn = ({ header = 'Net Growth %', from = 'bom', to = 'active' } = {}) => ({
+  key: 'growth',
+  header,
+  format: 'percent',
+  value: (row) => (row[from] ? ((row[to] - row[from]) / row[from]) * 100 : 0),
+  formula: (refs) => `IF(${refs[from]}=0,0,(${refs[to]}-${refs[from]})/${refs[from]}*100)`,
+});
+
+// Summary cards of a product type or client (metrics.js summarizeRows) for the cover sheet
+export const toSummaryCards = (metrics) => [
+  { key: 'bom', label: 'BOM', value: metrics.bom, format: 'number' },
+  { key: 'active', label: 'ACTIVE', value: metrics.active, format: 'number' },
+  { key: 'endorsements', label: 'ENDORSEMENTS', value: metrics.totalEndorsements, format: 'number' },
+  { key: 'pullouts', label: 'PULLOUTS', value: metrics.totalPullouts, format: 'number' },
+  { key: 'growth', label: 'NET GROWTH %', value: metrics.portfolioGrowth, format: 'percent', formula: growthColumn().formula },
+  {
+    key: 'netFlow',
+    label: 'NET FLOW',
+    value: metrics.netFlowObj.isSpecial ? '−' : metrics.netFlowObj.value,
+    format: 'ratio',
+    formula: (refs) => `IF(${refs.pullouts}=0,"−",${refs.endorsements}/${refs.pullouts})`,
+  },
+];
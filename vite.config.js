@@ -4,5 +4,11 @@ import tailwindcss from '@tailwindcss/vite'
 export default defineConfig({
   plugins: [
     tailwindcss(),
-  ]
-});
\ No newline at end of file
+  ],
+  server: {
+    // Workbook proxy (npm run server)
+    proxy: {
+      '/api': process.env.API_PROXY_TARGET || 'http://localhost:3001',
+    },
+  },
+});